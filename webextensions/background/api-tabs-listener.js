@@ -56,6 +56,7 @@ import * as SidebarConnection from '/common/sidebar-connection.js';
 import Tab from '/common/Tab.js';
 import Window from '/common/Window.js';
 
+import * as NativeTabVisibility from './native-tab-visibility.js';
 import * as Tree from './tree.js';
 
 function log(...args) {
@@ -238,6 +239,10 @@ async function onUpdated(tabId, changeInfo, tab) {
 
     logUpdated('tabs.onUpdated ', tabId, changeInfo, tab, updatedTab);
 
+    if ('hidden' in changeInfo &&
+        NativeTabVisibility.onNativeVisibilityChanged(updatedTab, changeInfo.hidden))
+      delete changeInfo.hidden;
+
     if ('url' in changeInfo)
       changeInfo.previousUrl = updatedTab.url;
     /*
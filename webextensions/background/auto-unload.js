@@ -0,0 +1,77 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger,
+  dumpTab,
+  configs
+} from '/common/common.js';
+import * as TabsStore from '/common/tabs-store.js';
+
+import Tab from '/common/Tab.js';
+
+import * as Background from './background.js';
+import * as Commands from './commands.js';
+import * as Tree from './tree.js';
+
+function log(...args) {
+  internalLogger('background/auto-unload', ...args);
+}
+
+const kCHECK_INTERVAL = 60 * 1000;
+
+let mInitialized = false;
+
+function getLastAccessed(rootTab) {
+  const tabs = [rootTab].concat(rootTab.$TST.descendants);
+  if (tabs.some(tab => tab.active))
+    return Date.now();
+  return Math.max(...tabs.map(tab => tab.lastAccessed || 0));
+}
+
+// Subtrees are unloaded from the root, and descendants of recently
+// visited subtrees are checked recursively.
+function unloadInactiveTrees(tabs, lastAccessedBefore) {
+  for (const tab of tabs) {
+    if (getLastAccessed(tab) < lastAccessedBefore) {
+      log('unloadInactiveTrees: ', dumpTab(tab));
+      Commands.unloadTree(tab);
+    }
+    else {
+      unloadInactiveTrees(tab.$TST.children, lastAccessedBefore);
+    }
+  }
+}
+
+function checkInactiveTrees() {
+  if (!mInitialized ||
+      !configs.autoUnloadInactiveTrees)
+    return;
+  const lastAccessedBefore = Date.now() - configs.autoUnloadInactiveTreesDelay * 60 * 1000;
+  for (const windowId of TabsStore.windows.keys()) {
+    unloadInactiveTrees(Tab.getRootTabs(windowId), lastAccessedBefore);
+  }
+}
+setInterval(checkInactiveTrees, kCHECK_INTERVAL);
+
+Background.onReady.addListener(() => {
+  mInitialized = true;
+});
+
+// The tracked "lastAccessed" is not updated by Firefox after the tab is tracked.
+Tab.onActivated.addListener((tab, _info) => {
+  tab.lastAccessed = Date.now();
+});
+
+Tree.onSubtreeCollapsedStateChanged.addListener((tab, info = {}) => {
+  if (!mInitialized ||
+      !info.collapsed ||
+      !configs.autoUnloadCollapsedTrees)
+    return;
+  log('unload descendants of collapsed tree: ', dumpTab(tab));
+  Commands.unloadTabs(tab.$TST.descendants);
+});
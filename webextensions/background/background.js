@@ -34,6 +34,7 @@ import * as TreeStructure from './tree-structure.js';
 import * as BackgroundCache from './background-cache.js';
 import * as TabContextMenu from './tab-context-menu.js';
 import * as Migration from './migration.js';
+import * as NativeTabVisibility from './native-tab-visibility.js';
 import './browser-action-menu.js';
 import './successor-tab.js';
 
@@ -82,7 +83,7 @@ export async function init() {
   let promisedWindows;
   log('init: Getting existing windows and tabs');
   await MetricsData.addAsync('init: waiting for waitUntilCompletelyRestored, ContextualIdentities.init and configs.$loaded', Promise.all([
-    waitUntilCompletelyRestored().then(() => {
+    waitUntilCompletelyRestored().then(NativeTabVisibility.restore).then(() => {
       // don't wait at here for better performance
       promisedWindows = getAllWindows();
       log('init: Start queuing of messages notified via WE APIs');
@@ -149,6 +150,7 @@ export async function init() {
   onReady.dispatch();
   BackgroundCache.activate();
   TreeStructure.startTracking();
+  NativeTabVisibility.updateAll();
 
   await MetricsData.addAsync('init: exporting tabs to sidebars', notifyReadyToSidebars());
 
@@ -488,7 +490,8 @@ export async function confirmToCloseTabs(tabs, options = {}) {
   }
 }
 Commands.onTabsClosing.addListener((tabIds, options = {}) => {
-  return confirmToCloseTabs(tabIds, options);
+  const tabs = tabIds.map(id => Tab.get(id)).filter(tab => !!tab).map(tab => tab.$TST.sanitized);
+  return confirmToCloseTabs(tabs, options);
 });
 
 Tab.onCreated.addListener((tab, info = {}) => {
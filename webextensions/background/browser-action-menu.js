@@ -13,6 +13,9 @@ import {
 import * as Constants from '/common/constants.js';
 import * as ApiTabs from '/common/api-tabs.js';
 
+import * as TreeFile from './tree-file.js';
+import * as TreeSessions from './tree-sessions.js';
+
 function log(...args) {
   internalLogger('background/browser-action-menu', ...args);
 }
@@ -29,6 +32,34 @@ function indent(level = 1) {
 }
 
 const mItems = [
+  {
+    title:    browser.i18n.getMessage('browserAction_tree_caption'),
+    children: [
+      {
+        title:   browser.i18n.getMessage('context_saveTreeToFile_label'),
+        command: 'saveTreeToFile'
+      },
+      {
+        title:   browser.i18n.getMessage('context_loadTreeFromFile_label'),
+        command: 'loadTreeFromFile'
+      },
+      { type: 'separator' },
+      {
+        title:        browser.i18n.getMessage('treeSession_restore_label'),
+        treeSessions: true,
+        children:     [
+          {
+            title:   browser.i18n.getMessage('treeSession_noSession_label'),
+            enabled: false
+          }
+        ]
+      },
+      {
+        title:   browser.i18n.getMessage('treeSession_manage_label'),
+        command: 'manageTreeSessions'
+      }
+    ]
+  },
   {
     title:    browser.i18n.getMessage('config_appearance_caption'),
     children: [
@@ -228,6 +259,16 @@ const mItems = [
         key:   'context_topLevel_reloadDescendants',
         type:  'checkbox'
       },
+      {
+        title: indent() + browser.i18n.getMessage('context_unloadTree_label'),
+        key:   'context_topLevel_unloadTree',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_unloadOtherTrees_label'),
+        key:   'context_topLevel_unloadOtherTrees',
+        type:  'checkbox'
+      },
       {
         title: indent() + browser.i18n.getMessage('context_closeTree_label'),
         key:   'context_topLevel_closeTree',
@@ -243,6 +284,11 @@ const mItems = [
         key:   'context_topLevel_closeOthers',
         type:  'checkbox'
       },
+      {
+        title: indent() + browser.i18n.getMessage('context_undoCloseTree_label'),
+        key:   'context_topLevel_undoCloseTree',
+        type:  'checkbox'
+      },
       {
         title: indent() + browser.i18n.getMessage('context_collapseTree_label'),
         key:   'context_topLevel_collapseTree',
@@ -273,6 +319,41 @@ const mItems = [
         key:   'context_topLevel_groupTabs',
         type:  'checkbox'
       },
+      {
+        title: indent() + browser.i18n.getMessage('context_saveTreeToFile_label'),
+        key:   'context_topLevel_saveTreeToFile',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_loadTreeFromFile_label'),
+        key:   'context_topLevel_loadTreeFromFile',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_saveTreeAsSession_label'),
+        key:   'context_topLevel_saveTreeAsSession',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_sortChildren_label'),
+        key:   'context_topLevel_sortChildren',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_sortTree_label'),
+        key:   'context_topLevel_sortTree',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_findDuplicatedTabs_label'),
+        key:   'context_topLevel_findDuplicatedTabs',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_flattenTree_label'),
+        key:   'context_topLevel_flattenTree',
+        type:  'checkbox'
+      },
       { type: 'separator' },
       {
         title: browser.i18n.getMessage('config_extraItems_subMenu'),
@@ -288,6 +369,16 @@ const mItems = [
         key:   'context_reloadDescendants',
         type:  'checkbox'
       },
+      {
+        title: indent() + browser.i18n.getMessage('context_unloadTree_label'),
+        key:   'context_unloadTree',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_unloadOtherTrees_label'),
+        key:   'context_unloadOtherTrees',
+        type:  'checkbox'
+      },
       {
         title: indent() + browser.i18n.getMessage('context_closeTree_label'),
         key:   'context_closeTree',
@@ -303,6 +394,11 @@ const mItems = [
         key:   'context_closeOthers',
         type:  'checkbox'
       },
+      {
+        title: indent() + browser.i18n.getMessage('context_undoCloseTree_label'),
+        key:   'context_undoCloseTree',
+        type:  'checkbox'
+      },
       {
         title: indent() + browser.i18n.getMessage('context_collapseTree_label'),
         key:   'context_collapseTree',
@@ -332,6 +428,46 @@ const mItems = [
         title: indent() + browser.i18n.getMessage('context_groupTabs_label'),
         key:   'context_groupTabs',
         type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_saveTreeToFile_label'),
+        key:   'context_saveTreeToFile',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_loadTreeFromFile_label'),
+        key:   'context_loadTreeFromFile',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_saveTreeAsSession_label'),
+        key:   'context_saveTreeAsSession',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_sortChildren_label'),
+        key:   'context_sortChildren',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_sortTree_label'),
+        key:   'context_sortTree',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_findDuplicatedTabs_label'),
+        key:   'context_findDuplicatedTabs',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_flattenTree_label'),
+        key:   'context_flattenTree',
+        type:  'checkbox'
+      },
+      {
+        title: indent() + browser.i18n.getMessage('context_moveTreeToWindow_label'),
+        key:   'context_moveTreeToWindow',
+        type:  'checkbox'
       }
     ]
   },
@@ -574,7 +710,8 @@ const mItems = [
     ]
   },
   {
-    title:    browser.i18n.getMessage('config_treeBehavior_caption'),
+    // The browser action menu accepts only 6 top level items.
+    title:    browser.i18n.getMessage('config_treeBehavior_caption') + ' / ' + browser.i18n.getMessage('config_drag_caption'),
     children: [
       {
         title: browser.i18n.getMessage('config_autoCollapseExpandSubtreeOnAttach_label'),
@@ -706,12 +843,8 @@ const mItems = [
             type:  'radio'
           }
         ]
-      }
-    ]
-  },
-  {
-    title:    browser.i18n.getMessage('config_drag_caption'),
-    children: [
+      },
+      { type: 'separator' },
       {
         title: browser.i18n.getMessage('config_tabDragBehavior_caption'),
         enabled: false
@@ -862,6 +995,7 @@ const mItems = [
 
 const mItemsById = new Map();
 const mUpdatableItemsById = new Map();
+let mTreeSessionsItem;
 
 function createItem(id, item, parent) {
   if (item.visible === false)
@@ -870,6 +1004,8 @@ function createItem(id, item, parent) {
   const parentId = parent ? parent.id : null ;
   item.id = id;
   mItemsById.set(id, item);
+  if (item.treeSessions)
+    mTreeSessionsItem = item;
 
   if (item.dynamicTitle) {
     item.lastTitle = item.title;
@@ -902,11 +1038,62 @@ for (let i = 0, maxi = mItems.length; i < maxi; i++) {
   createItem(`browserActionItem:${i}`, mItems[i]);
 }
 
-browser.menus.onShown.addListener((info, _tab) => {
+
+let mTreeSessionsDirty = true;
+
+TreeSessions.onChanged.addListener(() => {
+  mTreeSessionsDirty = true;
+});
+
+async function updateTreeSessionItems() {
+  if (!mTreeSessionsItem || !mTreeSessionsDirty)
+    return false;
+  mTreeSessionsDirty = false;
+
+  const sessions = await TreeSessions.list();
+  for (const child of mTreeSessionsItem.children) {
+    browser.menus.remove(child.id).catch(ApiTabs.createErrorSuppressor());
+    mItemsById.delete(child.id);
+    for (const grandChild of child.children || []) {
+      mItemsById.delete(grandChild.id);
+    }
+  }
+  if (sessions.length == 0) {
+    mTreeSessionsItem.children = [{
+      title:   browser.i18n.getMessage('treeSession_noSession_label'),
+      enabled: false
+    }];
+  }
+  else {
+    mTreeSessionsItem.children = sessions.map(session => ({
+      title:    browser.i18n.getMessage('treeSession_item_label', [session.name.replace(/&/g, '&&'), session.count]),
+      children: [
+        {
+          title:     browser.i18n.getMessage('treeSession_restoreItem_label'),
+          command:   'restoreTreeSession',
+          sessionId: session.id
+        },
+        {
+          title:     browser.i18n.getMessage('treeSession_removeItem_label'),
+          command:   'removeTreeSession',
+          sessionId: session.id
+        }
+      ]
+    }));
+  }
+  // Generate unique IDs to avoid collision with removed items.
+  const idPrefix = `${mTreeSessionsItem.id}:${Date.now()}`;
+  for (let i = 0, maxi = mTreeSessionsItem.children.length; i < maxi; i++) {
+    createItem(`${idPrefix}:${i}`, mTreeSessionsItem.children[i], mTreeSessionsItem);
+  }
+  return true;
+}
+
+browser.menus.onShown.addListener(async (info, _tab) => {
   if (!info.contexts.includes('browser_action'))
     return;
 
-  let updated = false;
+  let updated = await updateTreeSessionItems();
   for (const item of mUpdatableItemsById.values()) {
     const params = {};
     if (item.dynamicTitle) {
@@ -929,10 +1116,31 @@ browser.menus.onShown.addListener((info, _tab) => {
     browser.menus.refresh().catch(ApiTabs.createErrorSuppressor());
 });
 
-browser.menus.onClicked.addListener((info, _tab) => {
+browser.menus.onClicked.addListener((info, tab) => {
   const item = mItemsById.get(info.menuItemId);
   log('onClicked ', { id: info.menuItemId, item });
-  if (!item || !item.key)
+  if (!item)
+    return;
+
+  switch (item.command) {
+    case 'saveTreeToFile':
+      TreeFile.openDialog('save', tab.windowId);
+      return;
+    case 'loadTreeFromFile':
+      TreeFile.openDialog('load', tab.windowId);
+      return;
+    case 'restoreTreeSession':
+      TreeSessions.restore(item.sessionId, { windowId: tab.windowId });
+      return;
+    case 'removeTreeSession':
+      TreeSessions.remove(item.sessionId);
+      return;
+    case 'manageTreeSessions':
+      TreeSessions.openDialog(tab.windowId);
+      return;
+  }
+
+  if (!item.key)
     return;
 
   configs[item.key] = 'value' in item ? item.value : !configs[item.key];
@@ -24,6 +24,8 @@ import Tab from '/common/Tab.js';
 import * as TabsOpen from './tabs-open.js';
 import * as TabsMove from './tabs-move.js';
 import * as Tree from './tree.js';
+import * as TreeHistory from './tree-history.js';
+import * as TreeStructure from './tree-structure.js';
 
 import EventListenerManager from '/extlib/EventListenerManager.js';
 
@@ -51,26 +53,66 @@ export function reloadDescendants(rootTab) {
   }
 }
 
+// Active, pinned and audible tabs are never unloaded.
+function isUnloadable(tab) {
+  return (
+    !!TabsStore.ensureLivingTab(tab) &&
+    !tab.active &&
+    !tab.pinned &&
+    !tab.audible &&
+    !tab.discarded
+  );
+}
+
+export async function unloadTabs(tabs) {
+  const unloadableTabs = tabs.filter(isUnloadable);
+  if (unloadableTabs.length == 0)
+    return 0;
+  log('unloadTabs: ', unloadableTabs.map(dumpTab));
+  await browser.tabs.discard(unloadableTabs.map(tab => tab.id))
+    .catch(ApiTabs.createErrorHandler(ApiTabs.handleMissingTabError));
+  return unloadableTabs.length;
+}
+
+export async function unloadTree(rootTab) {
+  return unloadTabs([rootTab].concat(rootTab.$TST.descendants));
+}
+
+export async function unloadOtherTrees(rootTab) {
+  const exceptionTabs = [rootTab].concat(rootTab.$TST.descendants);
+  return unloadTabs(Tab.getNormalTabs(rootTab.windowId).filter(tab => !exceptionTabs.includes(tab)));
+}
+
+// Closing tabs are confirmed before recording, because other operations
+// wait until the recording operation is finished.
 export async function closeTree(rootTab) {
   const tabs = [rootTab].concat(rootTab.$TST.descendants);
   const canceled = (await onTabsClosing.dispatch(tabs.map(tab => tab.id), { windowId: rootTab.windowId })) === false;
   if (canceled)
-    return;
-  tabs.reverse(); // close bottom to top!
-  for (const tab of tabs) {
-    TabsInternalOperation.removeTab(tab);
-  }
+    return false;
+  return TreeHistory.record(rootTab.windowId, async () => {
+    await TreeStructure.markAsClosedSet(tabs);
+    tabs.reverse(); // close bottom to top!
+    for (const tab of tabs) {
+      TabsInternalOperation.removeTab(tab);
+    }
+    return true;
+  });
 }
 
 export async function closeDescendants(rootTab) {
   const tabs = rootTab.$TST.descendants;
   const canceled = (await onTabsClosing.dispatch(tabs.map(tab => tab.id), { windowId: rootTab.windowId })) === false;
   if (canceled)
-    return;
-  tabs.reverse(); // close bottom to top!
-  for (const tab of tabs) {
-    TabsInternalOperation.removeTab(tab);
-  }
+    return false;
+  return TreeHistory.record(rootTab.windowId, async () => {
+    await TreeStructure.markAsClosedSet(tabs);
+    tabs.reverse(); // close bottom to top!
+    for (const tab of tabs) {
+      TabsInternalOperation.removeTab(tab);
+    }
+    return true;
+  });
 }
 
 export async function closeOthers(rootTab) {
@@ -83,42 +125,160 @@ export async function closeOthers(rootTab) {
   }
   const canceled = (await onTabsClosing.dispatch(closeTabs.map(tab => tab.id), { windowId: rootTab.windowId })) === false;
   if (canceled)
-    return;
-  for (const tab of closeTabs) {
-    TabsInternalOperation.removeTab(tab);
+    return false;
+  return TreeHistory.record(rootTab.windowId, async () => {
+    for (const tab of closeTabs) {
+      TabsInternalOperation.removeTab(tab);
+    }
+    return true;
+  });
+}
+
+export async function collapseTree(rootTab, options = {}) {
+  return TreeHistory.record(rootTab.windowId, async () => {
+    if (!rootTab.$TST.hasChild ||
+        rootTab.$TST.subtreeCollapsed)
+      return;
+    Tree.collapseExpandSubtree(rootTab, {
+      collapsed: true,
+      broadcast: true
+    });
+  }, { context: options.historyContext });
+}
+
+export async function collapseAll(windowId, options = {}) {
+  return TreeHistory.record(windowId, async context => {
+    for (const tab of Tab.getNormalTabs(windowId, { iterator: true })) {
+      collapseTree(tab, { historyContext: context });
+    }
+  }, { context: options.historyContext });
+}
+
+export async function expandTree(rootTab, options = {}) {
+  return TreeHistory.record(rootTab.windowId, async () => {
+    if (!rootTab.$TST.hasChild ||
+        !rootTab.$TST.subtreeCollapsed)
+      return;
+    Tree.collapseExpandSubtree(rootTab, {
+      collapsed: false,
+      broadcast: true
+    });
+  }, { context: options.historyContext });
+}
+
+export async function expandAll(windowId, options = {}) {
+  return TreeHistory.record(windowId, async context => {
+    for (const tab of Tab.getNormalTabs(windowId, { iterator: true })) {
+      expandTree(tab, { historyContext: context });
+    }
+  }, { context: options.historyContext });
+}
+
+function getDomain(tab) {
+  try {
+    return new URL(tab.url).hostname.replace(/^www\./, '');
+  }
+  catch(_error) {
+    return '';
   }
 }
 
-export function collapseTree(rootTab) {
-  if (!rootTab.$TST.hasChild ||
-      rootTab.$TST.subtreeCollapsed)
-    return;
-  Tree.collapseExpandSubtree(rootTab, {
-    collapsed: true,
-    broadcast: true
-  });
+function compareStrings(a, b) {
+  return (a || '').localeCompare(b || '', undefined, { sensitivity: 'base', numeric: true });
 }
 
-export function collapseAll(windowId) {
-  for (const tab of Tab.getNormalTabs(windowId, { iterator: true })) {
-    collapseTree(tab);
+const kSORT_COMPARATORS = {
+  [Constants.kSORT_KEY_TITLE]:         (a, b) => compareStrings(a.title, b.title),
+  [Constants.kSORT_KEY_URL]:           (a, b) => compareStrings(a.url, b.url),
+  [Constants.kSORT_KEY_DOMAIN]:        (a, b) => compareStrings(getDomain(a), getDomain(b)) || compareStrings(a.url, b.url),
+  [Constants.kSORT_KEY_LAST_ACCESSED]: (a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0),
+  // IDs of tabs are given in the order of creation.
+  [Constants.kSORT_KEY_CREATION]:      (a, b) => a.id - b.id
+};
+
+export async function sortChildren(rootTab, options = {}) {
+  const key = options.key || configs.sortTreeKey;
+  const comparator = kSORT_COMPARATORS[key];
+  if (!comparator) {
+    log('sortChildren: unknown sort key ', key);
+    return false;
   }
+  const descending = (options.order || configs.sortTreeOrder) == Constants.kSORT_ORDER_DESCENDING;
+  return TreeHistory.record(rootTab.windowId, async () => {
+    await sortChildrenInternal(rootTab, {
+      comparator: descending ? (a, b) => comparator(b, a) : comparator,
+      recursive:  !!options.recursive
+    });
+    return true;
+  }, { context: options.historyContext });
 }
 
-export function expandTree(rootTab) {
-  if (!rootTab.$TST.hasChild ||
-      !rootTab.$TST.subtreeCollapsed)
+async function sortChildrenInternal(parent, { comparator, recursive }) {
+  const children = parent.$TST.children;
+  if (children.length == 0)
     return;
-  Tree.collapseExpandSubtree(rootTab, {
-    collapsed: false,
-    broadcast: true
+  log('sortChildren: ', parent.id);
+  // Array.prototype.sort is stable, so tabs with same key keep their order.
+  const sortedChildren = children.slice(0).sort(comparator);
+  let previousTab = parent;
+  for (const child of sortedChildren) {
+    if (!TabsStore.ensureLivingTab(child))
+      continue;
+    await Tree.moveTabSubtreeAfter(child, previousTab, { broadcast: true });
+    if (recursive)
+      await sortChildrenInternal(child, { comparator, recursive });
+    previousTab = child.$TST.lastDescendant || child;
+  }
+  if (!TabsStore.ensureLivingTab(parent))
+    return;
+  // Children are moved internally, so we need to reorder them by their new positions.
+  parent.$TST.children = parent.$TST.childIds;
+  SidebarConnection.sendMessage({
+    type:     Constants.kCOMMAND_NOTIFY_CHILDREN_CHANGED,
+    windowId: parent.windowId,
+    tabId:    parent.id,
+    childIds: parent.$TST.childIds,
+    addedChildIds:   [],
+    removedChildIds: []
   });
 }
 
-export function expandAll(windowId) {
-  for (const tab of Tab.getNormalTabs(windowId, { iterator: true })) {
-    expandTree(tab);
+export async function flattenTree(rootTab, options = {}) {
+  return TreeHistory.record(rootTab.windowId, async () => {
+    return flattenTabs([rootTab].concat(rootTab.$TST.descendants), options);
+  }, { context: options.historyContext });
+}
+
+export async function flattenAll(windowId, options = {}) {
+  return TreeHistory.record(windowId, async () => {
+    return flattenTabs(Tab.getNormalTabs(windowId), options);
+  }, { context: options.historyContext });
+}
+
+// Tabs deeper than the level are attached to the upper level, without
+// changing the order of tabs.
+async function flattenTabs(tabs, options = {}) {
+  const maxLevel = typeof options.level == 'number' ? options.level : configs.maxTreeLevel;
+  if (maxLevel < 0)
+    return false;
+  for (const tab of tabs) {
+    if (!TabsStore.ensureLivingTab(tab))
+      continue;
+    const ancestors = tab.$TST.ancestors;
+    if (ancestors.length <= maxLevel)
+      continue;
+    log('flattenTabs: ', dumpTab(tab), ancestors.length);
+    if (maxLevel > 0)
+      await Tree.attachTabTo(tab, ancestors[ancestors.length - maxLevel], {
+        dontMove:  true,
+        broadcast: true
+      });
+    else
+      Tree.detachTab(tab, {
+        broadcast: true
+      });
   }
+  return true;
 }
 
 export async function bookmarkTree(root, options = {}) {
@@ -197,7 +357,7 @@ export async function openNewTabAs(options = {}) {
       !options.cookieStoreId)
     options.cookieStoreId = parent.cookieStoreId;
 
-  TabsOpen.openNewTab({
+  return TabsOpen.openNewTab({
     parent, insertBefore, insertAfter,
     isOrphan,
     windowId:      currentTab.windowId,
@@ -207,54 +367,59 @@ export async function openNewTabAs(options = {}) {
 }
 
 export async function indent(tab, options = {}) {
-  const newParent = tab.$TST.previousSiblingTab;
-  if (!newParent ||
-      newParent == tab.$TST.parent)
-    return false;
+  return TreeHistory.record(tab.windowId, async () => {
+    const newParent = tab.$TST.previousSiblingTab;
+    if (!newParent ||
+        newParent == tab.$TST.parent)
+      return false;
 
-  if (!options.followChildren)
-    Tree.detachAllChildren(tab, {
-      broadcast: true,
-      behavior:  Constants.kCLOSE_PARENT_BEHAVIOR_PROMOTE_FIRST_CHILD
+    if (!options.followChildren)
+      Tree.detachAllChildren(tab, {
+        broadcast: true,
+        behavior:  Constants.kCLOSE_PARENT_BEHAVIOR_PROMOTE_FIRST_CHILD
+      });
+    const insertAfter = newParent.$TST.lastDescendant || newParent;
+    await Tree.attachTabTo(tab, newParent, {
+      broadcast:         true,
+      forceExpand:       true,
+      applyMaxTreeLevel: true,
+      insertAfter
     });
-  const insertAfter = newParent.$TST.lastDescendant || newParent;
-  await Tree.attachTabTo(tab, newParent, {
-    broadcast:   true,
-    forceExpand: true,
-    insertAfter
-  });
-  return true;
+    return true;
+  }, { context: options.historyContext });
 }
 
 export async function outdent(tab, options = {}) {
-  const parent = tab.$TST.parent;
-  if (!parent)
-    return false;
+  return TreeHistory.record(tab.windowId, async () => {
+    const parent = tab.$TST.parent;
+    if (!parent)
+      return false;
 
-  const newParent = parent.$TST.parent;
-  if (!options.followChildren)
-    Tree.detachAllChildren(tab, {
-      broadcast: true,
-      behavior:  Constants.kCLOSE_PARENT_BEHAVIOR_PROMOTE_FIRST_CHILD
-    });
-  if (newParent) {
-    const insertAfter = parent.$TST.lastDescendant || parent;
-    await Tree.attachTabTo(tab, newParent, {
-      broadcast:   true,
-      forceExpand: true,
-      insertAfter
-    });
-  }
-  else {
-    await Tree.detachTab(tab, {
-      broadcast: true,
-    });
-    const insertAfter = parent.$TST.lastDescendant || parent;
-    await TabsMove.moveTabAfter(tab, insertAfter, {
-      broadcast: true,
-    });
-  }
-  return true;
+    const newParent = parent.$TST.parent;
+    if (!options.followChildren)
+      Tree.detachAllChildren(tab, {
+        broadcast: true,
+        behavior:  Constants.kCLOSE_PARENT_BEHAVIOR_PROMOTE_FIRST_CHILD
+      });
+    if (newParent) {
+      const insertAfter = parent.$TST.lastDescendant || parent;
+      await Tree.attachTabTo(tab, newParent, {
+        broadcast:   true,
+        forceExpand: true,
+        insertAfter
+      });
+    }
+    else {
+      await Tree.detachTab(tab, {
+        broadcast: true,
+      });
+      const insertAfter = parent.$TST.lastDescendant || parent;
+      await TabsMove.moveTabAfter(tab, insertAfter, {
+        broadcast: true,
+      });
+    }
+    return true;
+  }, { context: options.historyContext });
 }
 
 // drag and drop helper
@@ -272,10 +437,14 @@ export async function performTabsDragDrop(params = {}) {
     action:              params.action
   });
 
-  const movedTabs = await moveTabsWithStructure(params.tabs, Object.assign({}, params, {
+  const move = () => moveTabsWithStructure(params.tabs, Object.assign({}, params, {
     windowId, destinationWindowId,
     broadcast: true
   }));
+  // Moving tabs across windows is not undoable.
+  const movedTabs = windowId == destinationWindowId ?
+    await TreeHistory.record(windowId, move) :
+    await move();
   if (movedTabs.length == 0)
     return;
   if (windowId != destinationWindowId) {
@@ -411,6 +580,19 @@ export async function moveTabsWithStructure(tabs, params = {}) {
 
 async function attachTabsWithStructure(tabs, parent, options = {}) {
   log('attachTabsWithStructure: start ', tabs.map(dumpTab), dumpTab(parent));
+  // Apply the max tree level here, because members are attached with
+  // "dontMove" and they must be moved to the adjusted position by ourselves.
+  const attachment = parent && Tree.getAttachmentWithinMaxTreeLevel(
+    tabs[0],
+    parent,
+    { ignoreTabs: options.draggedTabs || tabs }
+  );
+  if (attachment) {
+    log(' => too deep, attach to an upper level ', dumpTab(attachment.parent));
+    parent = attachment.parent;
+    options.insertBefore = attachment.insertBefore;
+    options.insertAfter  = attachment.insertAfter;
+  }
   if (parent &&
       !options.insertBefore &&
       !options.insertAfter) {
@@ -464,27 +646,31 @@ function detachTabsWithStructure(tabs, options = {}) {
 }
 
 export async function moveUp(tab, options = {}) {
-  const previousTab = tab.$TST.nearestVisiblePrecedingTab;
-  if (!previousTab)
-    return false;
-  const moved = await moveBefore(tab, Object.assign({}, options, {
-    referenceTabId: previousTab.id
-  }));
-  if (moved && !options.followChildren)
-    await onMoveUp.dispatch(tab);
-  return moved;
+  return TreeHistory.record(tab.windowId, async () => {
+    const previousTab = tab.$TST.nearestVisiblePrecedingTab;
+    if (!previousTab)
+      return false;
+    const moved = await moveBefore(tab, Object.assign({}, options, {
+      referenceTabId: previousTab.id
+    }));
+    if (moved && !options.followChildren)
+      await onMoveUp.dispatch(tab);
+    return moved;
+  }, { context: options.historyContext });
 }
 
 export async function moveDown(tab, options = {}) {
-  const nextTab = options.followChildren ? tab.$TST.nearestFollowingForeignerTab : tab.$TST.nearestVisibleFollowingTab;
-  if (!nextTab)
-    return false;
-  const moved = await moveAfter(tab, Object.assign({}, options, {
-    referenceTabId: nextTab.id
-  }));
-  if (moved && !options.followChildren)
-    await onMoveDown.dispatch(tab);
-  return moved;
+  return TreeHistory.record(tab.windowId, async () => {
+    const nextTab = options.followChildren ? tab.$TST.nearestFollowingForeignerTab : tab.$TST.nearestVisibleFollowingTab;
+    if (!nextTab)
+      return false;
+    const moved = await moveAfter(tab, Object.assign({}, options, {
+      referenceTabId: nextTab.id
+    }));
+    if (moved && !options.followChildren)
+      await onMoveDown.dispatch(tab);
+    return moved;
+  }, { context: options.historyContext });
 }
 
 export async function moveBefore(tab, options = {}) {
@@ -576,9 +762,22 @@ export async function duplicateTab(sourceTab, options = {}) {
     behavior:  typeof options.behavior == 'number' ? options.behavior : configs.autoAttachOnDuplicated,
     broadcast: true
   });
+  await inheritAddonData(sourceTabs, duplicatedTabs);
   return duplicatedTabs;
 }
 
+async function inheritAddonData(sourceTabs, clonedTabs) {
+  await Promise.all(clonedTabs.map(async (tab, index) => {
+    const sourceTab = sourceTabs[index];
+    if (!sourceTab ||
+        !TabsStore.ensureLivingTab(tab))
+      return;
+    const data = await sourceTab.$TST.getAllAddonData();
+    if (Object.keys(data).length > 0)
+      await tab.$TST.setAllAddonData(data);
+  }));
+}
+
 export async function moveTabToStart(tab, options = {}) {
   const isMultiselected = options.multiselected === false ? false : tab.$TST.multiselected;
   return moveTabsToStart(isMultiselected ? Tab.getSelectedTabs(tab.windowId) : [tab].concat(tab.$TST.descendants));
@@ -633,6 +832,43 @@ export async function openTabsInWindow(tabs) {
   return movedTabs.length > 0 ? movedTabs[0].windowId : null;
 }
 
+export async function moveTreeToWindow(tab, windowId, options = {}) {
+  const tabs = options.multiselected !== false && tab.$TST.multiselected ?
+    Tab.getSelectedTabs(tab.windowId) :
+    [tab].concat(tab.$TST.descendants);
+  return moveTabsToWindow(tabs, windowId, options);
+}
+
+// Parent relations and collapsed states of moved tabs are restored in the
+// destination window by Tree.moveTabs().
+export async function moveTabsToWindow(tabs, windowId, options = {}) {
+  tabs = tabs.filter(TabsStore.ensureLivingTab);
+  if (tabs.length == 0 ||
+      !TabsStore.windows.has(windowId) ||
+      tabs[0].windowId == windowId)
+    return [];
+
+  const isInDestination = tab => !!tab && !!TabsStore.ensureLivingTab(tab) && tab.windowId == windowId;
+  const attachTo = isInDestination(options.attachTo) ? options.attachTo : null;
+  const insertBefore = isInDestination(options.insertBefore) ? options.insertBefore : null;
+  let insertAfter    = isInDestination(options.insertAfter) ? options.insertAfter : null;
+  if (!insertBefore && !insertAfter) {
+    if (attachTo)
+      insertAfter = attachTo.$TST.lastDescendant || attachTo;
+    else
+      insertAfter = Tab.getLastTab(windowId);
+  }
+  log('moveTabsToWindow: ', tabs.map(dumpTab), { windowId, attachTo, insertBefore, insertAfter });
+
+  return moveTabsWithStructure(tabs, {
+    destinationWindowId: windowId,
+    attachTo,
+    insertBefore,
+    insertAfter,
+    broadcast: true
+  });
+}
+
 export async function bookmarkTab(tab, options = {}) {
   if (options.multiselected !== false && tab.$TST.multiselected)
     return bookmarkTabs(Tab.getSelectedTabs(tab.windowId));
@@ -702,6 +938,27 @@ export async function reopenInContainer(sourceTabOrTabs, cookieStoreId, options
     behavior:  configs.autoAttachOnDuplicated,
     broadcast: true
   });
+  await inheritAddonData(sourceTabs, tabs);
+  return tabs;
+}
+
+export async function openBookmarksWithStructure(folderId, options = {}) {
+  const { items, structure } = await Bookmark.getItemsWithTreeStructure(folderId);
+  if (items.length == 0)
+    return [];
+  let windowId = options.windowId;
+  if (!windowId) {
+    const window = await browser.windows.getLastFocused().catch(ApiTabs.createErrorHandler());
+    windowId = window.id;
+  }
+  const tabs = await TabsOpen.openURIsInTabs(items.map(item => item.url), {
+    isOrphan:     true,
+    inBackground: !!options.inBackground,
+    windowId
+  });
+  await Tree.applyTreeStructureToTabs(tabs, structure, {
+    broadcast: true
+  });
   return tabs;
 }
 
@@ -12,12 +12,17 @@ import {
 
 import * as ApiTabs from '/common/api-tabs.js';
 import * as TSTAPI from '/common/tst-api.js';
+import * as Permissions from '/common/permissions.js';
 import * as TabContextMenu from './tab-context-menu.js';
 
 import Tab from '/common/Tab.js';
 
 import * as TabsGroup from './tabs-group.js';
 import * as Commands from './commands.js';
+import * as TreeStructure from './tree-structure.js';
+import * as TreeFile from './tree-file.js';
+import * as TreeSessions from './tree-sessions.js';
+import * as DuplicatedTabs from './duplicated-tabs.js';
 
 function log(...args) {
   internalLogger('background/context-menu', ...args);
@@ -35,6 +40,12 @@ const mContextMenuItemsById = {
   'reloadDescendants': {
     title: browser.i18n.getMessage('context_reloadDescendants_label')
   },
+  'unloadTree': {
+    title: browser.i18n.getMessage('context_unloadTree_label')
+  },
+  'unloadOtherTrees': {
+    title: browser.i18n.getMessage('context_unloadOtherTrees_label')
+  },
   'separatorAfterReload': {
     type: 'separator'
   },
@@ -48,6 +59,9 @@ const mContextMenuItemsById = {
   'closeOthers': {
     title: browser.i18n.getMessage('context_closeOthers_label')
   },
+  'undoCloseTree': {
+    title: browser.i18n.getMessage('context_undoCloseTree_label')
+  },
   'separatorAfterClose': {
     type: 'separator'
   },
@@ -75,6 +89,33 @@ const mContextMenuItemsById = {
     title: browser.i18n.getMessage('context_groupTabs_label'),
     requireMultiselected: true
   },
+  'saveTreeToFile': {
+    title: browser.i18n.getMessage('context_saveTreeToFile_label')
+  },
+  'loadTreeFromFile': {
+    title: browser.i18n.getMessage('context_loadTreeFromFile_label')
+  },
+  'saveTreeAsSession': {
+    title: browser.i18n.getMessage('context_saveTreeAsSession_label')
+  },
+  'sortChildren': {
+    title:       browser.i18n.getMessage('context_sortChildren_label'),
+    requireTree: true
+  },
+  'sortTree': {
+    title:       browser.i18n.getMessage('context_sortTree_label'),
+    requireTree: true
+  },
+  'findDuplicatedTabs': {
+    title: browser.i18n.getMessage('context_findDuplicatedTabs_label')
+  },
+  'flattenTree': {
+    title:       browser.i18n.getMessage('context_flattenTree_label'),
+    requireTree: true
+  },
+  'moveTreeToWindow': {
+    title: browser.i18n.getMessage('context_moveTreeToWindow_label')
+  },
   'separatorAfterBookmark': {
     type: 'separator'
   },
@@ -133,6 +174,27 @@ const mRootItem = {
   visible:  false
 };
 
+// The "bookmark" context is available only when the permission is granted.
+const mBookmarkItem = {
+  id:       'openBookmarksAsTree',
+  type:     'normal',
+  contexts: ['bookmark'],
+  title:    browser.i18n.getMessage('context_openBookmarksAsTree_label'),
+  visible:  false
+};
+let mBookmarkItemInitialized = false;
+
+async function initBookmarkItem() {
+  if (mBookmarkItemInitialized ||
+      !(await Permissions.isGranted(Permissions.BOOKMARKS).catch(_error => false)))
+    return false;
+  mBookmarkItemInitialized = true;
+  browser.menus.create(mBookmarkItem);
+  mBookmarkItem.lastVisible = false;
+  return true;
+}
+initBookmarkItem();
+
 function initItems() {
   if (mInitialized)
     return;
@@ -177,6 +239,63 @@ function updateItem(id, params) {
   }, browser.runtime);
 }
 
+// Items for destination windows are rebuilt every time when the menu is shown.
+const mMoveTreeToWindowItemIds = new Set();
+
+async function updateMoveTreeToWindowItems(tab) {
+  const item = mContextMenuItemsById.moveTreeToWindow;
+  if (!tab ||
+      !configs[item.configKey])
+    return false;
+
+  const windows = await browser.windows.getAll({
+    populate:    false,
+    windowTypes: ['normal']
+  }).catch(ApiTabs.createErrorHandler());
+  const destinations = windows.filter(window => window.id != tab.windowId && window.incognito == tab.incognito);
+  log('updateMoveTreeToWindowItems: ', destinations.map(window => window.id));
+
+  for (const id of mMoveTreeToWindowItemIds) {
+    browser.menus.remove(id).catch(ApiTabs.createErrorSuppressor());
+    TabContextMenu.onExternalMessage({
+      type:   TSTAPI.kCONTEXT_MENU_REMOVE,
+      params: id
+    }, browser.runtime);
+  }
+  mMoveTreeToWindowItemIds.clear();
+
+  for (const parentId of [item.id, `grouped:${item.id}`]) {
+    for (const window of destinations) {
+      const activeTab = Tab.getActiveTab(window.id);
+      const title     = window.title || (activeTab && activeTab.title) || `#${window.id}`;
+      const params = {
+        id:       `${parentId}:${window.id}`,
+        parentId,
+        type:     'normal',
+        // escape "&" to prevent it from being treated as the access key
+        title:    title.replace(/&/g, '&&'),
+        contexts: ['tab']
+      };
+      browser.menus.create(params);
+      TabContextMenu.onExternalMessage({
+        type: TSTAPI.kCONTEXT_MENU_CREATE,
+        params
+      }, browser.runtime);
+      mMoveTreeToWindowItemIds.add(params.id);
+    }
+  }
+
+  const enabled = destinations.length > 0;
+  if (enabled != item.enabled) {
+    const params = {
+      enabled: item.enabled = enabled
+    };
+    updateItem(item.id, params);
+    updateItem(`grouped:${item.id}`, params);
+  }
+  return true;
+}
+
 function updateItemsVisibility(items, forceVisible = null) {
   let updated = false;
   let visibleItemsCount = 0;
@@ -252,6 +371,13 @@ function updateItems() {
 }
 
 export const onClick = (info, tab) => {
+  if (info.menuItemId == mBookmarkItem.id) {
+    Commands.openBookmarksWithStructure(info.bookmarkId, {
+      windowId: tab && tab.windowId
+    });
+    return;
+  }
+
   // Extra context menu commands won't be available on the blank area of the tab bar.
   if (!tab)
     return;
@@ -268,6 +394,12 @@ export const onClick = (info, tab) => {
     case 'reloadDescendants':
       Commands.reloadDescendants(contextTab);
       break;
+    case 'unloadTree':
+      Commands.unloadTree(contextTab);
+      break;
+    case 'unloadOtherTrees':
+      Commands.unloadOtherTrees(contextTab);
+      break;
 
     case 'closeTree':
       Commands.closeTree(contextTab);
@@ -278,6 +410,9 @@ export const onClick = (info, tab) => {
     case 'closeOthers':
       Commands.closeOthers(contextTab);
       break;
+    case 'undoCloseTree':
+      TreeStructure.undoCloseTree();
+      break;
 
     case 'collapseTree':
       Commands.collapseTree(contextTab);
@@ -301,6 +436,28 @@ export const onClick = (info, tab) => {
         TabsGroup.groupTabs(selectedTabs, { broadcast: true });
       break;
 
+    case 'saveTreeToFile':
+      TreeFile.openDialog('save', contextTab.windowId);
+      break;
+    case 'loadTreeFromFile':
+      TreeFile.openDialog('load', contextTab.windowId);
+      break;
+    case 'saveTreeAsSession':
+      TreeSessions.openDialog(contextTab.windowId, contextTab.id);
+      break;
+    case 'sortChildren':
+      Commands.sortChildren(contextTab);
+      break;
+    case 'sortTree':
+      Commands.sortChildren(contextTab, { recursive: true });
+      break;
+    case 'flattenTree':
+      Commands.flattenTree(contextTab);
+      break;
+    case 'findDuplicatedTabs':
+      DuplicatedTabs.openDialog(contextTab.windowId, contextTab.$TST.hasChild ? contextTab.id : null);
+      break;
+
     case 'collapsed':
       if (info.wasChecked)
         Commands.expandTree(contextTab);
@@ -320,14 +477,39 @@ export const onClick = (info, tab) => {
           .catch(ApiTabs.createErrorHandler(ApiTabs.handleMissingTabError));
     }; break;
 
-    default:
-      break;
+    default: {
+      const moveTreeToWindowMatch = info.menuItemId.match(/^(?:grouped:)?moveTreeToWindow:(\d+)$/);
+      if (moveTreeToWindowMatch)
+        Commands.moveTreeToWindow(contextTab, parseInt(moveTreeToWindowMatch[1]));
+    }; break;
   }
 };
 browser.menus.onClicked.addListener(onClick);
 TabContextMenu.onTSTItemClick.addListener(onClick);
 
+async function onBookmarkContextShown(info) {
+  const initialized = await initBookmarkItem();
+  let visible = false;
+  if (info.bookmarkId) {
+    const items = await browser.bookmarks.get(info.bookmarkId).catch(ApiTabs.createErrorSuppressor());
+    visible = !!(items && items.length > 0 && items[0].type == 'folder');
+  }
+  if (visible == mBookmarkItem.lastVisible) {
+    if (initialized)
+      browser.menus.refresh().catch(ApiTabs.createErrorSuppressor());
+    return;
+  }
+  browser.menus.update(mBookmarkItem.id, { visible }).catch(ApiTabs.createErrorSuppressor());
+  mBookmarkItem.lastVisible = visible;
+  browser.menus.refresh().catch(ApiTabs.createErrorSuppressor());
+}
+
 function onShown(info, tab) {
+  if (info.contexts.includes('bookmark')) {
+    onBookmarkContextShown(info);
+    return;
+  }
+
   if (!info.contexts.includes('tab'))
     return;
 
@@ -335,6 +517,10 @@ function onShown(info, tab) {
   if (mNativeContextMenuAvailable) {
     initItems();
     updated = updateItems();
+    updateMoveTreeToWindowItems(tab && Tab.get(tab.id)).then(updated => {
+      if (updated)
+        browser.menus.refresh().catch(ApiTabs.createErrorSuppressor());
+    });
   }
 
   tab = tab && Tab.get(tab.id);
@@ -355,6 +541,10 @@ function onShown(info, tab) {
           if (!subtreeCollapsed)
             newEnabled = false;
           break;
+        case 'flattenTree':
+          if (configs.maxTreeLevel < 0)
+            newEnabled = false;
+          break;
       }
     }
     else if (item.requireMultiselected) {
@@ -0,0 +1,216 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import RichConfirm from '/extlib/RichConfirm.js';
+
+import {
+  log as internalLogger,
+  dumpTab,
+  configs
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as ApiTabs from '/common/api-tabs.js';
+import * as TabsStore from '/common/tabs-store.js';
+import * as TabsInternalOperation from '/common/tabs-internal-operation.js';
+import * as SidebarConnection from '/common/sidebar-connection.js';
+
+import Tab from '/common/Tab.js';
+
+import * as Commands from './commands.js';
+import * as TreeHistory from './tree-history.js';
+
+function log(...args) {
+  internalLogger('background/duplicated-tabs', ...args);
+}
+
+const kTRACKING_PARAM_MATCHER = /^(utm_[^=]*|fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl)$/i;
+const kIGNORED_URLS = ['about:blank', 'about:newtab', 'about:home'];
+
+export function isIgnoredUrl(url) {
+  return !url || kIGNORED_URLS.includes(url);
+}
+
+export async function openDialog(windowId, rootTabId = null) {
+  return browser.windows.create({
+    type:   'popup',
+    url:    `/resources/duplicated-tabs.html?windowId=${windowId}${rootTabId ? `&rootTabId=${rootTabId}` : ''}`,
+    width:  640,
+    height: 480,
+    allowScriptsToClose: true
+  }).catch(ApiTabs.createErrorHandler());
+}
+
+export function normalizeUrl(url, options = {}) {
+  const ignoreHash = typeof options.ignoreHash == 'boolean' ?
+    options.ignoreHash :
+    configs.duplicatedTabsIgnoreHash;
+  const ignoreTrackingParams = typeof options.ignoreTrackingParams == 'boolean' ?
+    options.ignoreTrackingParams :
+    configs.duplicatedTabsIgnoreTrackingParams;
+
+  const matched = (url || '').match(/^([^?#]*)(\?[^#]*)?(#.*)?$/);
+  if (!matched)
+    return url;
+  const base = matched[1];
+  let query  = matched[2];
+  let hash   = matched[3];
+  if (query && ignoreTrackingParams) {
+    // We don't use URLSearchParams here, because it re-encodes all parameters.
+    const params = query.substring(1).split('&').filter(param => !kTRACKING_PARAM_MATCHER.test(param.split('=')[0]));
+    query = params.length > 0 ? `?${params.join('&')}` : '';
+  }
+  if (ignoreHash)
+    hash = '';
+  return `${base}${query || ''}${hash || ''}`;
+}
+
+function getTargetTabs(windowId, rootTab) {
+  if (rootTab)
+    return [rootTab].concat(rootTab.$TST.descendants);
+  return TabsStore.queryAll({
+    windowId,
+    tabs:    TabsStore.unpinnedTabsInWindow.get(windowId),
+    normal:  true,
+    ordered: true
+  });
+}
+
+// Returns groups of tabs with same URL, in the order of the first tab of
+// each group. The first tab of a group is kept when duplicates are closed.
+export function findDuplicatedTabs(params = {}) {
+  const rootTab  = params.rootTab && TabsStore.ensureLivingTab(params.rootTab);
+  const windowId = rootTab ? rootTab.windowId : params.windowId;
+  const tabsByUrl = new Map();
+  for (const tab of getTargetTabs(windowId, rootTab)) {
+    if (tab.$TST.isGroupTab ||
+        isIgnoredUrl(tab.url))
+      continue;
+    const url  = normalizeUrl(tab.url, params);
+    const tabs = tabsByUrl.get(url) || [];
+    tabs.push(tab);
+    tabsByUrl.set(url, tabs);
+  }
+  const groups = [];
+  for (const [url, tabs] of tabsByUrl) {
+    if (tabs.length > 1)
+      groups.push({ url, tabs });
+  }
+  log('findDuplicatedTabs: ', groups.map(group => group.tabs.map(dumpTab)));
+  return groups;
+}
+
+export function serializeGroups(groups) {
+  return groups.map(group => ({
+    url:  group.url,
+    tabs: group.tabs.map(tab => ({
+      id:         tab.id,
+      title:      tab.title,
+      url:        tab.url,
+      favIconUrl: tab.favIconUrl,
+      active:     tab.active,
+      level:      tab.$TST.ancestors.length
+    }))
+  }));
+}
+
+// Children of closed duplicates are moved under the kept tab, so subtrees
+// are never closed together with duplicates.
+export async function closeDuplicatedTabs(params = {}) {
+  const groups = findDuplicatedTabs(params);
+  const closingTabIds = params.tabIds && new Set(params.tabIds);
+  const closingTabs = [];
+  const survivorOf  = new Map();
+  for (const group of groups) {
+    const [survivor, ...duplicatedTabs] = group.tabs;
+    for (const tab of duplicatedTabs) {
+      if (closingTabIds && !closingTabIds.has(tab.id))
+        continue;
+      closingTabs.push(tab);
+      survivorOf.set(tab, survivor);
+    }
+  }
+  if (closingTabs.length == 0)
+    return 0;
+
+  const windowId = closingTabs[0].windowId;
+  const canceled = (await Commands.onTabsClosing.dispatch(closingTabs.map(tab => tab.id), { windowId })) === false;
+  if (canceled)
+    return 0;
+
+  return TreeHistory.record(windowId, async () => {
+    for (const tab of closingTabs) {
+      const survivor = survivorOf.get(tab);
+      for (const child of tab.$TST.children) {
+        if (!TabsStore.ensureLivingTab(survivor))
+          break;
+        log('closeDuplicatedTabs: move children to the kept tab ', dumpTab(child), dumpTab(survivor));
+        await Commands.moveTabsWithStructure([child].concat(child.$TST.descendants), {
+          attachTo:    survivor,
+          insertAfter: survivor.$TST.lastDescendant || survivor,
+          broadcast:   true
+        });
+      }
+    }
+    const livingTabs = closingTabs.filter(TabsStore.ensureLivingTab);
+    TabsInternalOperation.removeTabs(livingTabs);
+    return livingTabs.length;
+  });
+}
+
+export function findExistingTab(tab) {
+  if (isIgnoredUrl(tab.url))
+    return null;
+  const url = normalizeUrl(tab.url);
+  for (const otherTab of Tab.getTabs(tab.windowId, { iterator: true })) {
+    if (otherTab != tab &&
+        !otherTab.$TST.isGroupTab &&
+        normalizeUrl(otherTab.url) == url)
+      return otherTab;
+  }
+  return null;
+}
+
+async function confirmToSwitchToExistingTab(tab, existingTab) {
+  const windowId = tab.windowId;
+  if (/^(about|chrome|resource):/.test(tab.url) ||
+      (SidebarConnection.isOpen(windowId) &&
+       SidebarConnection.hasFocus(windowId)))
+    return browser.runtime.sendMessage({
+      type:          Constants.kCOMMAND_CONFIRM_TO_SWITCH_TO_DUPLICATED_TAB,
+      tabId:         tab.id,
+      existingTabId: existingTab.id,
+      windowId
+    }).catch(ApiTabs.createErrorHandler());
+
+  const result = await RichConfirm.showInTab(tab.id, {
+    message: browser.i18n.getMessage('warnOnDuplicatedTab_message', [existingTab.title]),
+    buttons: [
+      browser.i18n.getMessage('warnOnDuplicatedTab_switch'),
+      browser.i18n.getMessage('warnOnDuplicatedTab_keep')
+    ],
+    checkMessage: browser.i18n.getMessage('warnOnDuplicatedTab_warnAgain'),
+    checked: true
+  });
+  if (!result.checked)
+    configs.checkDuplicatedTabOnOpen = false;
+  return result.buttonIndex == 0;
+}
+
+export async function trySwitchToExistingTab(tab) {
+  const existingTab = findExistingTab(tab);
+  if (!existingTab)
+    return false;
+  log('trySwitchToExistingTab: found ', dumpTab(tab), dumpTab(existingTab));
+  if (!(await confirmToSwitchToExistingTab(tab, existingTab)) ||
+      !TabsStore.ensureLivingTab(tab) ||
+      !TabsStore.ensureLivingTab(existingTab))
+    return false;
+  await browser.tabs.update(existingTab.id, { active: true })
+    .catch(ApiTabs.createErrorHandler(ApiTabs.handleMissingTabError));
+  TabsInternalOperation.removeTab(tab);
+  return true;
+}
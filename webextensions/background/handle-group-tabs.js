@@ -396,6 +396,28 @@ async function tryGroupNewTabs() {
     }
     if (newRootTabs.length > 1 &&
         configs.autoGroupNewTabs) {
+      const response = TSTAPI.hasListenerForMessageType(TSTAPI.kNOTIFY_TRY_GROUP_NEW_TABS) && await TSTAPI.tryOperation({
+        type: TSTAPI.kNOTIFY_TRY_GROUP_NEW_TABS,
+        tabs: newRootTabs.map(TSTAPI.serializeTab)
+      });
+      if (response === true) {
+        log(' => canceled by an addon');
+        return;
+      }
+      const parent = response && Tab.get(response.parent);
+      if (parent &&
+          parent.windowId == newRootTabs[0].windowId &&
+          !newRootTabs.includes(parent)) {
+        log(' => redirected by an addon, to ', parent.id);
+        for (const tab of newRootTabs) {
+          await Tree.attachTabTo(tab, parent, {
+            insertAfter:       parent.$TST.lastDescendant,
+            applyMaxTreeLevel: true,
+            broadcast:         true
+          });
+        }
+        return;
+      }
       const granted = await confirmToAutoGroupNewTabs(tabs);
       if (granted)
         await TabsGroup.groupTabs(newRootTabs, { broadcast: true });
@@ -555,6 +577,7 @@ async function tryGroupNewTabsFromPinnedOpener(rootTabs) {
       await Tree.attachTabTo(child, parent, {
         forceExpand: true, // this is required to avoid the group tab itself is active from active tab in collapsed tree
         insertAfter: configs.insertNewChildAt == Constants.kINSERT_FIRST ? parent : parent.$TST.lastDescendant,
+        applyMaxTreeLevel: true,
         broadcast:   true
       });
     }
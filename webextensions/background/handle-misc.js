@@ -18,6 +18,7 @@ import * as TabsUpdate from '/common/tabs-update.js';
 import * as TabsInternalOperation from '/common/tabs-internal-operation.js';
 import * as TreeBehavior from '/common/tree-behavior.js';
 import * as TSTAPI from '/common/tst-api.js';
+import * as UserOperationBlocker from '/common/user-operation-blocker.js';
 import * as SidebarConnection from '/common/sidebar-connection.js';
 import * as Permissions from '/common/permissions.js';
 
@@ -25,9 +26,15 @@ import Tab from '/common/Tab.js';
 
 import * as Background from './background.js';
 import * as TabsGroup from './tabs-group.js';
+import * as TabsOpen from './tabs-open.js';
 import * as Tree from './tree.js';
 import * as Commands from './commands.js';
 import * as HandleTabMultiselect from './handle-tab-multiselect.js';
+import * as TreeFile from './tree-file.js';
+import * as TreeSessions from './tree-sessions.js';
+import * as DuplicatedTabs from './duplicated-tabs.js';
+import * as TreeHistory from './tree-history.js';
+import * as TreeStructure from './tree-structure.js';
 
 function log(...args) {
   internalLogger('background/handle-misc', ...args);
@@ -117,6 +124,12 @@ async function onShortcutCommand(command) {
     case 'reloadDescendants':
       Commands.reloadDescendants(activeTab);
       return;
+    case 'unloadTree':
+      Commands.unloadTree(activeTab);
+      return;
+    case 'unloadOtherTrees':
+      Commands.unloadOtherTrees(activeTab);
+      return;
     case 'closeTree':
       Commands.closeTree(activeTab);
       return;
@@ -126,6 +139,9 @@ async function onShortcutCommand(command) {
     case 'closeOthers':
       Commands.closeOthers(activeTab);
       return;
+    case 'undoCloseTree':
+      TreeStructure.undoCloseTree();
+      return;
     case 'collapseTree':
       Commands.collapseTree(activeTab);
       return;
@@ -141,6 +157,21 @@ async function onShortcutCommand(command) {
     case 'bookmarkTree':
       Commands.bookmarkTree(activeTab);
       return;
+    case 'saveTreeAsSession':
+      TreeSessions.openDialog(activeTab.windowId, activeTab.id);
+      return;
+    case 'sortChildren':
+      Commands.sortChildren(activeTab);
+      return;
+    case 'sortTree':
+      Commands.sortChildren(activeTab, { recursive: true });
+      return;
+    case 'findDuplicatedTabs':
+      DuplicatedTabs.openDialog(activeTab.windowId);
+      return;
+    case 'flattenTree':
+      Commands.flattenTree(activeTab.$TST.rootTab || activeTab);
+      return;
 
     case 'newIndependentTab':
       Commands.openNewTabAs({
@@ -199,6 +230,13 @@ async function onShortcutCommand(command) {
       Commands.moveDown(activeTab, { followChildren: true });
       return;
 
+    case 'undoTreeOperation':
+      TreeHistory.undo(activeTab.windowId);
+      return;
+    case 'redoTreeOperation':
+      TreeHistory.redo(activeTab.windowId);
+      return;
+
     case 'focusPrevious':
     case 'focusPreviousSilently': {
       const nextActive = activeTab.$TST.nearestVisiblePrecedingTab ||
@@ -322,6 +360,78 @@ function onMessage(message, sender) {
         return { structure };
       })();
 
+    case Constants.kCOMMAND_EXPORT_TREE_FILE:
+      return Promise.resolve(TreeFile.exportTree(message.windowId, message.format));
+
+    case Constants.kCOMMAND_IMPORT_TREE_FILE:
+      return (async () => {
+        const tabs = await TreeFile.importTree(message.windowId, message.contents, {
+          filename: message.filename
+        });
+        return { count: tabs.length };
+      })();
+
+    case Constants.kCOMMAND_UNDO_CLOSE_TREE:
+      return (async () => {
+        const tabs = await TreeStructure.undoCloseTree();
+        return tabs.map(tab => tab.id);
+      })();
+
+    case Constants.kCOMMAND_PULL_TREE_SESSIONS:
+      return (async () => {
+        const rootTab = message.rootTabId && Tab.get(message.rootTabId);
+        return {
+          sessions:    await TreeSessions.list(),
+          defaultName: rootTab ? TreeSessions.getDefaultName(rootTab) : null
+        };
+      })();
+
+    case Constants.kCOMMAND_SAVE_TREE_SESSION:
+      return (async () => {
+        const rootTab = Tab.get(message.rootTabId);
+        if (!rootTab)
+          return null;
+        const session = await TreeSessions.save(rootTab, {
+          name:   message.name,
+          silent: message.silent
+        });
+        return { id: session.id, name: session.name };
+      })();
+
+    case Constants.kCOMMAND_RENAME_TREE_SESSION:
+      return TreeSessions.rename(message.id, message.name);
+
+    case Constants.kCOMMAND_REMOVE_TREE_SESSION:
+      return TreeSessions.remove(message.id);
+
+    case Constants.kCOMMAND_RESTORE_TREE_SESSION:
+      return (async () => {
+        const tabs = await TreeSessions.restore(message.id, {
+          windowId: message.windowId
+        });
+        return { count: tabs.length };
+      })();
+
+    case Constants.kCOMMAND_PULL_DUPLICATED_TABS:
+      return Promise.resolve(DuplicatedTabs.serializeGroups(DuplicatedTabs.findDuplicatedTabs({
+        windowId:             message.windowId,
+        rootTab:              Tab.get(message.rootTabId),
+        ignoreHash:           message.ignoreHash,
+        ignoreTrackingParams: message.ignoreTrackingParams
+      })));
+
+    case Constants.kCOMMAND_CLOSE_DUPLICATED_TABS:
+      return (async () => {
+        const count = await DuplicatedTabs.closeDuplicatedTabs({
+          windowId:             message.windowId,
+          rootTab:              Tab.get(message.rootTabId),
+          tabIds:               message.tabIds,
+          ignoreHash:           message.ignoreHash,
+          ignoreTrackingParams: message.ignoreTrackingParams
+        });
+        return { count };
+      })();
+
     case Constants.kNOTIFY_TAB_MOUSEDOWN:
       return (async () => {
         logMouseEvent('Constants.kNOTIFY_TAB_MOUSEDOWN');
@@ -394,30 +504,89 @@ function onMessage(message, sender) {
 
     default:
       const API_PREFIX_MATCHER = /^treestyletab:api:/;
-      if (API_PREFIX_MATCHER.test(message.type)) {
-        message.type = message.type.replace(API_PREFIX_MATCHER, '');
-        return onMessageExternal(message, sender);
-      }
+      if (API_PREFIX_MATCHER.test(message.type))
+        return onMessageExternal(Object.assign({}, message, {
+          type: message.type.replace(API_PREFIX_MATCHER, '')
+        }), sender);
       break;
   }
 }
 
+const kNEW_TAB_POSITIONS = {
+  'orphan':       Constants.kNEWTAB_OPEN_AS_ORPHAN,
+  'child':        Constants.kNEWTAB_OPEN_AS_CHILD,
+  'sibling':      Constants.kNEWTAB_OPEN_AS_SIBLING,
+  'next-sibling': Constants.kNEWTAB_OPEN_AS_NEXT_SIBLING
+};
+
 // This must be synchronous and return Promise on demando, to avoid
 // blocking to other listeners.
 function onMessageExternal(message, sender) {
   //log('onMessageExternal: ', message, sender);
+  const permissionError = TSTAPI.checkPermission(message, sender);
+  if (permissionError)
+    return permissionError;
+
   switch (message.type) {
     case TSTAPI.kGET_TREE:
       return (async () => {
         const tabs = await TSTAPI.getTargetTabs(message, sender);
         const results = await TSTAPI.doProgressively(
           tabs,
-          tab => TSTAPI.serializeTabWithEffectiveFavIconUrl(tab, message.interval),
+          tab => TSTAPI.serializeTabWithEffectiveFavIconUrl(tab, message.interval, {
+            flat: !!message.query
+          }),
           message.interval
         );
+        if (message.withTabData)
+          await TSTAPI.fillTabData(results, sender.id);
         return TSTAPI.formatResult(results, message);
       })();
 
+    case TSTAPI.kCREATE:
+    case TSTAPI.kOPEN_URIS:
+      return (async () => {
+        await Tab.waitUntilTracked([
+          message.parent,
+          message.insertBefore,
+          message.insertAfter
+        ]);
+        const parent       = Tab.get(message.parent);
+        const insertBefore = Tab.get(message.insertBefore);
+        const insertAfter  = Tab.get(message.insertAfter);
+        const referenceTabs = [parent, insertBefore, insertAfter].filter(tab => !!tab);
+        const windowId = message.windowId ||
+          (referenceTabs.length > 0 && referenceTabs[0].windowId) ||
+          (await browser.windows.getLastFocused({ populate: false }).catch(ApiTabs.createErrorHandler())).id;
+        if (referenceTabs.some(tab => tab.windowId != windowId))
+          return {
+            error:   TSTAPI.kERROR_WINDOW_MISMATCH,
+            message: `Reference tabs must be in the window ${windowId}.`
+          };
+        const uris = message.type == TSTAPI.kCREATE ?
+          [message.url || null] :
+          (Array.isArray(message.uris) ? message.uris : []);
+        if (uris.length == 0)
+          return [];
+        const tabs = await TabsOpen.openURIsInTabs(uris, {
+          windowId,
+          parent,
+          insertBefore,
+          insertAfter,
+          isOrphan:      !parent,
+          cookieStoreId: message.cookieStoreId,
+          inBackground:  message.active === false
+        });
+        if (parent &&
+            'collapsed' in message)
+          await Tree.collapseExpandSubtree(parent, {
+            collapsed: !!message.collapsed,
+            broadcast: true
+          });
+        const serializedTabs = tabs.filter(TabsStore.ensureLivingTab).map(TSTAPI.serializeTab);
+        return message.type == TSTAPI.kCREATE ? serializedTabs[0] : serializedTabs;
+      })();
+
     case TSTAPI.kCOLLAPSE_TREE:
       return (async () => {
         const tabs = await TSTAPI.getTargetTabs(message, sender);
@@ -440,6 +609,147 @@ function onMessageExternal(message, sender) {
         return true;
       })();
 
+    case TSTAPI.kCOLLAPSE_ALL:
+    case TSTAPI.kEXPAND_ALL:
+      return (async () => {
+        const windowId = message.windowId || (await browser.windows.getLastFocused({ populate: false }).catch(ApiTabs.createErrorHandler())).id;
+        await Tab.waitUntilTrackedAll(windowId);
+        const options = { historyContext: message.historyContext };
+        if (message.type == TSTAPI.kCOLLAPSE_ALL)
+          await Commands.collapseAll(windowId, options);
+        else
+          await Commands.expandAll(windowId, options);
+        return true;
+      })();
+
+    // Closing tabs are confirmed as same as the command from the context menu,
+    // except tabs granted by "grant-to-remove-tabs".
+    case TSTAPI.kCLOSE_TREE:
+    case TSTAPI.kCLOSE_DESCENDANTS:
+    case TSTAPI.kCLOSE_OTHERS:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        const command = message.type == TSTAPI.kCLOSE_TREE ? Commands.closeTree :
+          message.type == TSTAPI.kCLOSE_DESCENDANTS ? Commands.closeDescendants :
+            Commands.closeOthers;
+        const results = await TSTAPI.doProgressively(
+          tabs,
+          tab => command(tab),
+          message.interval
+        );
+        return TSTAPI.formatResult(results, message);
+      })();
+
+    case TSTAPI.kRELOAD_TREE:
+    case TSTAPI.kRELOAD_DESCENDANTS:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        await TSTAPI.doProgressively(
+          tabs,
+          tab => message.type == TSTAPI.kRELOAD_TREE ? Commands.reloadTree(tab) : Commands.reloadDescendants(tab),
+          message.interval
+        );
+        return true;
+      })();
+
+    case TSTAPI.kUNLOAD_TREE:
+    case TSTAPI.kUNLOAD_OTHER_TREES:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        const results = await TSTAPI.doProgressively(
+          tabs,
+          tab => message.type == TSTAPI.kUNLOAD_TREE ? Commands.unloadTree(tab) : Commands.unloadOtherTrees(tab),
+          message.interval
+        );
+        return TSTAPI.formatResult(results, message);
+      })();
+
+    case TSTAPI.kSORT_CHILDREN:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        const results = await TSTAPI.doProgressively(
+          tabs,
+          tab => Commands.sortChildren(tab, {
+            key:            message.key,
+            order:          message.order,
+            recursive:      !!message.recursive,
+            historyContext: message.historyContext
+          }),
+          message.interval
+        );
+        return TSTAPI.formatResult(results, message);
+      })();
+
+    case TSTAPI.kFLATTEN_TREE:
+      return (async () => {
+        const options = {
+          level:          message.level,
+          historyContext: message.historyContext
+        };
+        if (!message.tab && !message.tabs && !message.tabId) {
+          const windowId = message.windowId || (await browser.windows.getLastFocused({ populate: false }).catch(ApiTabs.createErrorHandler())).id;
+          return Commands.flattenAll(windowId, options);
+        }
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        const results = await TSTAPI.doProgressively(
+          tabs,
+          tab => Commands.flattenTree(tab, options),
+          message.interval
+        );
+        return TSTAPI.formatResult(results, message);
+      })();
+
+    case TSTAPI.kFIND_DUPLICATED_TABS:
+    case TSTAPI.kCLOSE_DUPLICATED_TABS:
+      return (async () => {
+        const rootTab = (message.tab || message.tabId) && (await TSTAPI.getTargetTabs(message, sender))[0];
+        const windowId = rootTab ? rootTab.windowId : (message.windowId || (await browser.windows.getLastFocused({ populate: false }).catch(ApiTabs.createErrorHandler())).id);
+        const params = {
+          windowId,
+          rootTab,
+          ignoreHash:           message.ignoreHash,
+          ignoreTrackingParams: message.ignoreTrackingParams
+        };
+        if (message.type == TSTAPI.kFIND_DUPLICATED_TABS)
+          return DuplicatedTabs.findDuplicatedTabs(params).map(group => ({
+            url:  group.url,
+            tabs: group.tabs.map(TSTAPI.serializeTabFlat)
+          }));
+        return DuplicatedTabs.closeDuplicatedTabs(Object.assign(params, {
+          tabIds: message.tabIds
+        }));
+      })();
+
+    case TSTAPI.kBOOKMARK_TREE:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        const results = await TSTAPI.doProgressively(
+          tabs,
+          tab => Commands.bookmarkTree(tab, {
+            parentId: message.parentId
+          }),
+          message.interval
+        );
+        return TSTAPI.formatResult(results.map(folder => folder && folder.id ? folder.id : null), message);
+      })();
+
+    case TSTAPI.kOPEN_NEW_TAB_AS:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        const tabsArray = await TSTAPI.doProgressively(tabs, tab => tab, message.interval);
+        const as = kNEW_TAB_POSITIONS[message.as];
+        if (tabsArray.length == 0 &&
+            (message.tab || message.tabId))
+          return false;
+        const tab = await Commands.openNewTabAs({
+          baseTab:       tabsArray[0],
+          as:            typeof as == 'number' ? as : Constants.kNEWTAB_OPEN_AS_ORPHAN,
+          cookieStoreId: message.cookieStoreId,
+          inBackground:  message.active === false
+        });
+        return tab ? TSTAPI.serializeTab(tab) : null;
+      })();
+
     case TSTAPI.kATTACH:
       return (async () => {
         await Tab.waitUntilTracked([
@@ -451,13 +761,21 @@ function onMessageExternal(message, sender) {
         const child  = Tab.get(message.child);
         const parent = Tab.get(message.parent);
         if (!child ||
-            !parent ||
-            child.windowId != parent.windowId)
-          return false;
+            !parent)
+          return {
+            error:   TSTAPI.kERROR_TAB_NOT_FOUND,
+            message: `Missing child or parent: ${message.child}, ${message.parent}`
+          };
+        if (child.windowId != parent.windowId)
+          return {
+            error:   TSTAPI.kERROR_WINDOW_MISMATCH,
+            message: 'The child and the parent must be in the same window.'
+          };
         await Tree.attachTabTo(child, parent, {
-          broadcast:    true,
-          insertBefore: Tab.get(message.insertBefore),
-          insertAfter:  Tab.get(message.insertAfter)
+          broadcast:         true,
+          insertBefore:      Tab.get(message.insertBefore),
+          insertAfter:       Tab.get(message.insertAfter),
+          applyMaxTreeLevel: true
         });
         return true;
       })();
@@ -467,7 +785,10 @@ function onMessageExternal(message, sender) {
         await Tab.waitUntilTracked(message.tab);
         const tab = Tab.get(message.tab);
         if (!tab)
-          return false;
+          return {
+            error:   TSTAPI.kERROR_TAB_NOT_FOUND,
+            message: `Missing tab: ${message.tab}`
+          };
         await Tree.detachTab(tab, {
           broadcast: true
         });
@@ -613,6 +934,29 @@ function onMessageExternal(message, sender) {
         return TabsGroup.groupTabs(tabsArray, { broadcast: true });
       })();
 
+    case TSTAPI.kMOVE_TREE_TO_WINDOW:
+      return (async () => {
+        await Tab.waitUntilTracked([
+          message.attachTo,
+          message.insertBefore,
+          message.insertAfter
+        ]);
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        let tabsArray = await TSTAPI.doProgressively(tabs, tab => tab, message.interval);
+        if (message.withDescendants !== false)
+          tabsArray = tabsArray.reduce((tabs, tab) => tabs.concat([tab], tab.$TST.descendants), []);
+        const sourceWindowId = tabsArray.length > 0 && tabsArray[0].windowId;
+        tabsArray = Array.from(new Set(tabsArray))
+          .filter(tab => tab.windowId == sourceWindowId)
+          .sort((a, b) => a.index - b.index);
+        const movedTabs = await Commands.moveTabsToWindow(tabsArray, message.windowId, {
+          attachTo:     Tab.get(message.attachTo),
+          insertBefore: Tab.get(message.insertBefore),
+          insertAfter:  Tab.get(message.insertAfter)
+        });
+        return movedTabs.map(TSTAPI.serializeTabFlat);
+      })();
+
     case TSTAPI.kOPEN_IN_NEW_WINDOW:
       return (async () => {
         const tabs = await TSTAPI.getTargetTabs(message, sender);
@@ -692,6 +1036,54 @@ function onMessageExternal(message, sender) {
         return true;
       })();
 
+    // Data are stored separately for each addon, and they are kept
+    // across restarts as session values of tabs.
+    case TSTAPI.kSET_TAB_DATA:
+      return (async () => {
+        if (!message.data ||
+            typeof message.data != 'object')
+          return false;
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        await TSTAPI.doProgressively(
+          tabs,
+          tab => tab.$TST.setAddonData(sender.id, message.data),
+          message.interval
+        );
+        return true;
+      })();
+
+    case TSTAPI.kGET_TAB_DATA:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        const results = await TSTAPI.doProgressively(
+          tabs,
+          async tab => {
+            const data = await tab.$TST.getAddonData(sender.id);
+            if (!Array.isArray(message.keys))
+              return data;
+            const filtered = {};
+            for (const key of message.keys) {
+              if (key in data)
+                filtered[key] = data[key];
+            }
+            return filtered;
+          },
+          message.interval
+        );
+        return TSTAPI.formatResult(results, message);
+      })();
+
+    case TSTAPI.kDELETE_TAB_DATA:
+      return (async () => {
+        const tabs = await TSTAPI.getTargetTabs(message, sender);
+        await TSTAPI.doProgressively(
+          tabs,
+          tab => tab.$TST.deleteAddonData(sender.id, Array.isArray(message.keys) ? message.keys : null),
+          message.interval
+        );
+        return true;
+      })();
+
     case TSTAPI.kGRANT_TO_REMOVE_TABS:
       return (async () => {
         const tabs = await TSTAPI.getTargetTabs(message, sender);
@@ -701,6 +1093,21 @@ function onMessageExternal(message, sender) {
         return true;
       })();
 
+    case TSTAPI.kUNDO_TREE_OPERATION:
+      return (async () => {
+        const windowId = message.windowId || (await browser.windows.getLastFocused({ populate: false }).catch(ApiTabs.createErrorHandler())).id;
+        return TreeHistory.undo(windowId);
+      })();
+
+    case TSTAPI.kREDO_TREE_OPERATION:
+      return (async () => {
+        const windowId = message.windowId || (await browser.windows.getLastFocused({ populate: false }).catch(ApiTabs.createErrorHandler())).id;
+        return TreeHistory.redo(windowId);
+      })();
+
+    case TSTAPI.kBATCH:
+      return runBatch(message, sender);
+
     case TSTAPI.kSTART_CUSTOM_DRAG:
       return (async () => {
         SidebarConnection.sendMessage({
@@ -712,6 +1119,139 @@ function onMessageExternal(message, sender) {
   }
 }
 
+// Operations which change only the tree in a window, restorable by a snapshot.
+const kBATCH_OPERATION_TYPES = new Set([
+  TSTAPI.kATTACH,
+  TSTAPI.kDETACH,
+  TSTAPI.kINDENT,
+  TSTAPI.kDEMOTE,
+  TSTAPI.kOUTDENT,
+  TSTAPI.kPROMOTE,
+  TSTAPI.kMOVE_UP,
+  TSTAPI.kMOVE_TO_START,
+  TSTAPI.kMOVE_DOWN,
+  TSTAPI.kMOVE_TO_END,
+  TSTAPI.kMOVE_BEFORE,
+  TSTAPI.kMOVE_AFTER,
+  TSTAPI.kCOLLAPSE_TREE,
+  TSTAPI.kEXPAND_TREE,
+  TSTAPI.kCOLLAPSE_ALL,
+  TSTAPI.kEXPAND_ALL,
+  TSTAPI.kSORT_CHILDREN,
+  TSTAPI.kFLATTEN_TREE,
+  TSTAPI.kSET_TREE_STRUCTURE
+]);
+
+// A result "false" just means "nothing was done" and it is not a failure.
+function isFailedResult(result) {
+  if (Array.isArray(result))
+    return result.some(isFailedResult);
+  return !!(result && typeof result == 'object' && result.error);
+}
+
+// Tabs referred by an operation, to check that the operation changes only
+// the window of the batch.
+async function getBatchOperationTabs(operation, sender) {
+  switch (operation.type) {
+    case TSTAPI.kATTACH:
+      await Tab.waitUntilTracked([
+        operation.child,
+        operation.parent,
+        operation.insertBefore,
+        operation.insertAfter
+      ]);
+      return [
+        operation.child,
+        operation.parent,
+        operation.insertBefore,
+        operation.insertAfter
+      ].map(id => Tab.get(id));
+
+    case TSTAPI.kCOLLAPSE_ALL:
+    case TSTAPI.kEXPAND_ALL:
+      return [];
+
+    default: {
+      const tabs = Array.from(await TSTAPI.getTargetTabs(operation, sender));
+      if (operation.referenceTabId || operation.referenceTab)
+        tabs.push(Tab.get(operation.referenceTabId || operation.referenceTab));
+      return tabs;
+    }
+  }
+}
+
+// Runs operations in the order, as a single undoable operation with a
+// single update of the sidebar. If any operation throws an error or returns
+// an error result, the tree is rolled back to the state before the batch.
+// Operations must not change other windows, because the rollback and the
+// history cover only the window of the batch.
+async function runBatch(message, sender) {
+  const operations = Array.isArray(message.operations) ? message.operations : [];
+  const unsupportedIndex = operations.findIndex(operation => !operation || !kBATCH_OPERATION_TYPES.has(operation.type));
+  if (unsupportedIndex > -1)
+    return {
+      error:   TSTAPI.kERROR_UNSUPPORTED_OPERATION,
+      index:   unsupportedIndex,
+      message: `The operation "${operations[unsupportedIndex] && operations[unsupportedIndex].type}" is not available in a batch.`
+    };
+
+  const windowId = message.windowId || (await browser.windows.getLastFocused({ populate: false }).catch(ApiTabs.createErrorHandler())).id;
+  await Tab.waitUntilTrackedAll(windowId);
+  log('runBatch: ', windowId, operations);
+
+  for (let i = 0, maxi = operations.length; i < maxi; i++) {
+    const operation = operations[i];
+    const operationWindowId = operation.windowId || operation.window;
+    const tabs = await getBatchOperationTabs(operation, sender);
+    if ((operationWindowId && operationWindowId != windowId) ||
+        tabs.some(tab => tab && tab.windowId != windowId))
+      return {
+        error:   TSTAPI.kERROR_WINDOW_MISMATCH,
+        index:   i,
+        message: `The operation "${operation.type}" must change only the window ${windowId}.`
+      };
+  }
+
+  UserOperationBlocker.blockIn(windowId, { throbber: true });
+  SidebarConnection.holdMessages(windowId);
+  try {
+    return await TreeHistory.record(windowId, async context => {
+      const lastSnapshot = TreeHistory.takeSnapshot(windowId);
+      const results = [];
+      for (let i = 0, maxi = operations.length; i < maxi; i++) {
+        const operation = operations[i];
+        let result;
+        let failure;
+        try {
+          // Operations recorded by themselves are merged to the batch.
+          result = await onMessageExternal(Object.assign({}, operation, {
+            historyContext: context
+          }), sender);
+        }
+        catch(error) {
+          failure = error;
+        }
+        if (failure || isFailedResult(result)) {
+          log(`runBatch: operation ${i} failed, rolling back`, failure || result);
+          await TreeHistory.restoreSnapshot(windowId, lastSnapshot);
+          return {
+            error:   TSTAPI.kERROR_BATCH_FAILED,
+            index:   i,
+            result,
+            message: failure ? String(failure) : `The operation "${operation.type}" failed.`
+          };
+        }
+        results.push(result);
+      }
+      return results;
+    });
+  }
+  finally {
+    SidebarConnection.releaseMessages(windowId);
+    UserOperationBlocker.unblockIn(windowId, { throbber: true });
+  }
+}
+
 
 SidebarConnection.onMessage.addListener(async (windowId, message) => {
   switch (message.type) {
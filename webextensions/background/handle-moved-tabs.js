@@ -102,9 +102,10 @@ async function tryFixupTreeForInsertedTab(tab, moveInfo = {}) {
 
     case 'attach': {
       await Tree.attachTabTo(tab, Tab.get(action.parent), {
-        insertBefore: Tab.get(action.insertBefore),
-        insertAfter:  Tab.get(action.insertAfter),
-        broadcast:    true
+        insertBefore:      Tab.get(action.insertBefore),
+        insertAfter:       Tab.get(action.insertAfter),
+        applyMaxTreeLevel: true,
+        broadcast:         true
       });
       Tree.followDescendantsToMovedRoot(tab);
     }; break;
@@ -15,18 +15,26 @@ import * as Constants from '/common/constants.js';
 import * as TabsStore from '/common/tabs-store.js';
 import * as TabsInternalOperation from '/common/tabs-internal-operation.js';
 import * as TreeBehavior from '/common/tree-behavior.js';
+import * as TSTAPI from '/common/tst-api.js';
 
 import Tab from '/common/Tab.js';
 
 import * as TabsOpen from './tabs-open.js';
 import * as TabsMove from './tabs-move.js';
+import * as TabsGroup from './tabs-group.js';
 import * as Tree from './tree.js';
+import * as DuplicatedTabs from './duplicated-tabs.js';
 
 function log(...args) {
   internalLogger('background/handle-new-tabs', ...args);
 }
 
 
+// Rules are applied only to the first page loaded in a new tab, and they
+// must not move a tab the user already started to use.
+const kAUTO_GROUPING_RULES_EXPIRATION = 5000;
+
+
 // this should return false if the tab is / may be moved while processing
 Tab.onCreating.addListener((tab, info = {}) => {
   if (info.duplicatedInternally)
@@ -34,6 +42,17 @@ Tab.onCreating.addListener((tab, info = {}) => {
 
   log('Tabs.onCreating ', dumpTab(tab), info);
 
+  // The URL is not fixed yet at this timing, so rules are applied later.
+  if (!info.restored &&
+      !info.duplicated &&
+      !info.positionedBySelf &&
+      configs.autoGroupingRules.some(rule => rule.enabled))
+    tab.$TST.applyAutoGroupingRulesUntil = Date.now() + kAUTO_GROUPING_RULES_EXPIRATION;
+  if (!info.restored &&
+      !info.duplicated &&
+      configs.checkDuplicatedTabOnOpen)
+    tab.$TST.needToCheckDuplication = true;
+
   const possibleOpenerTab = info.activeTab || Tab.getActiveTab(tab.windowId);
   const opener = tab.$TST.openerTab;
   if (opener) {
@@ -86,7 +105,7 @@ Tab.onCreating.addListener((tab, info = {}) => {
     }
   }
   else if (!info.maybeOrphan && configs.autoAttach) {
-    return Tree.behaveAutoAttachedTab(tab, {
+    return tryBehaveAutoAttachedTab(tab, {
       baseTab:   opener,
       behavior:  configs.autoAttachOnOpenedWithOwner,
       dontMove:  info.positionedBySelf,
@@ -96,10 +115,56 @@ Tab.onCreating.addListener((tab, info = {}) => {
   return true;
 });
 
+// Addons can cancel or redirect the placement of the new tab.
+// We don't wait for responses if nobody listens, to place the tab
+// without delay.
+function tryBehaveAutoAttachedTab(tab, options = {}) {
+  if (!TSTAPI.hasListenerForMessageType(TSTAPI.kNOTIFY_TRY_ATTACH))
+    return Tree.behaveAutoAttachedTab(tab, options);
+  return tryBehaveAutoAttachedTabWithAddons(tab, options);
+}
+
+async function tryBehaveAutoAttachedTabWithAddons(tab, options = {}) {
+  const response = await TSTAPI.tryOperation({
+    type:     TSTAPI.kNOTIFY_TRY_ATTACH,
+    tab:      TSTAPI.serializeTab(tab),
+    baseTab:  options.baseTab && TSTAPI.serializeTab(options.baseTab),
+    behavior: options.behavior
+  });
+  if (!response)
+    return Tree.behaveAutoAttachedTab(tab, options);
+  if (response === true ||
+      !TabsStore.ensureLivingTab(tab)) {
+    log('tryBehaveAutoAttachedTabWithAddons: canceled by an addon ', dumpTab(tab));
+    return false;
+  }
+
+  log('tryBehaveAutoAttachedTabWithAddons: redirected by an addon ', dumpTab(tab), response);
+  const parent       = Tab.get(response.parent);
+  const insertBefore = Tab.get(response.insertBefore);
+  const insertAfter  = Tab.get(response.insertAfter);
+  if ([parent, insertBefore, insertAfter].some(refTab => refTab && refTab.windowId != tab.windowId))
+    return Tree.behaveAutoAttachedTab(tab, options);
+  if (parent) {
+    await Tree.attachTabTo(tab, parent, {
+      insertBefore,
+      insertAfter,
+      applyMaxTreeLevel: true,
+      broadcast: true
+    });
+    return true;
+  }
+  if (insertBefore)
+    return TabsMove.moveTabBefore(tab, insertBefore, { broadcast: true });
+  if (insertAfter)
+    return TabsMove.moveTabAfter(tab, insertAfter, { broadcast: true });
+  return false;
+}
+
 async function handleNewTabFromActiveTab(tab, params = {}) {
   const activeTab = params.activeTab;
   log('handleNewTabFromActiveTab: activeTab = ', dumpTab(activeTab), params);
-  const moved = await Tree.behaveAutoAttachedTab(tab, {
+  const moved = await tryBehaveAutoAttachedTab(tab, {
     baseTab:   activeTab,
     behavior:  params.autoAttachBehavior,
     broadcast: true
@@ -146,6 +211,163 @@ Tab.onCreated.addListener((tab, info = {}) => {
   }
 });
 
+
+/* auto grouping rules */
+
+function getHost(url) {
+  const matched = (url || '').match(/^\w+:\/\/([^\/]+)(?:$|\/.*$)/);
+  return matched && matched[1];
+}
+
+function testPattern(pattern, url) {
+  if (!pattern)
+    return true;
+  try {
+    return new RegExp(pattern, 'i').test(url || '');
+  }
+  catch(error) {
+    log('invalid pattern in auto grouping rule: ', pattern, error);
+    return false;
+  }
+}
+
+function findAutoGroupingRule(tab, opener) {
+  return configs.autoGroupingRules.find(rule => (
+    rule.enabled &&
+    testPattern(rule.urlPattern, tab.url) &&
+    (!rule.cookieStoreId ||
+     rule.cookieStoreId == tab.cookieStoreId) &&
+    (!rule.openerPattern ||
+     (opener && testPattern(rule.openerPattern, opener.url)))
+  ));
+}
+
+function findNearestSameSiteTab(tab) {
+  const host = getHost(tab.url);
+  if (!host)
+    return null;
+  let nearestTab = null;
+  let minDistance = Number.MAX_SAFE_INTEGER;
+  for (const otherTab of Tab.getNormalTabs(tab.windowId)) {
+    if (otherTab == tab ||
+        otherTab.$TST.isGroupTab ||
+        getHost(otherTab.url) != host)
+      continue;
+    // prefer preceding tabs for same distance
+    const distance = Math.abs(otherTab.index - tab.index) * 2 + (otherTab.index > tab.index ? 1 : 0);
+    if (distance < minDistance) {
+      nearestTab  = otherTab;
+      minDistance = distance;
+    }
+  }
+  return nearestTab;
+}
+
+function findNamedGroupTab(windowId, title) {
+  return Tab.getGroupTabs(windowId).find(groupTab => {
+    try {
+      return new URL(groupTab.url).searchParams.get('title') == title;
+    }
+    catch(_error) {
+      return false;
+    }
+  });
+}
+
+async function applyAutoGroupingRule(tab, rule) {
+  log('applyAutoGroupingRule: ', dumpTab(tab), rule);
+  switch (rule.action) {
+    case Constants.kAUTO_GROUPING_ACTION_GROUP: {
+      const title = rule.groupTitle || getHost(tab.url) || tab.url;
+      const groupTab = findNamedGroupTab(tab.windowId, title);
+      if (groupTab) {
+        await Tree.attachTabTo(tab, groupTab, {
+          applyMaxTreeLevel: true,
+          broadcast:         true
+        });
+      }
+      else {
+        Tree.detachTab(tab, {
+          broadcast: true
+        });
+        await TabsGroup.groupTabs([tab], {
+          title,
+          temporary: false,
+          broadcast: true
+        });
+      }
+    }; break;
+
+    case Constants.kAUTO_GROUPING_ACTION_SAME_SITE: {
+      const baseTab = findNearestSameSiteTab(tab);
+      if (!baseTab)
+        return;
+      await Tree.behaveAutoAttachedTab(tab, {
+        baseTab,
+        behavior:  Constants.kNEWTAB_OPEN_AS_CHILD,
+        broadcast: true
+      });
+    }; break;
+
+    case Constants.kAUTO_GROUPING_ACTION_FIRST:
+    case Constants.kAUTO_GROUPING_ACTION_LAST: {
+      Tree.detachTab(tab, {
+        broadcast: true
+      });
+      if (rule.action == Constants.kAUTO_GROUPING_ACTION_FIRST) {
+        const firstTab = Tab.getFirstNormalTab(tab.windowId);
+        if (firstTab && firstTab != tab)
+          await TabsMove.moveTabBefore(tab, firstTab, {
+            broadcast: true
+          });
+      }
+      else {
+        const lastTab = Tab.getLastTab(tab.windowId);
+        if (lastTab && lastTab != tab)
+          await TabsMove.moveTabAfter(tab, lastTab, {
+            broadcast: true
+          });
+      }
+    }; break;
+
+    default:
+      break;
+  }
+}
+
+Tab.onUpdated.addListener((tab, changeInfo) => {
+  const expiration = tab.$TST.applyAutoGroupingRulesUntil;
+  if (!expiration)
+    return;
+  if (Date.now() > expiration) {
+    delete tab.$TST.applyAutoGroupingRulesUntil;
+    return;
+  }
+  const url = changeInfo.url || tab.url;
+  if ((!changeInfo.url && changeInfo.status != 'complete') ||
+      url == 'about:blank') // the placeholder of the page to be loaded
+    return;
+  delete tab.$TST.applyAutoGroupingRulesUntil;
+  if (DuplicatedTabs.isIgnoredUrl(url)) // new tab pages
+    return;
+  const opener = tab.$TST.openerTab || Tab.get(tab.$TST.possibleOpenerTab);
+  const rule = findAutoGroupingRule(tab, opener);
+  if (!rule)
+    return;
+  // Rules have priority over the delayed behavior for new tabs below.
+  delete tab.$TST.isNewTab;
+  delete tab.$TST.possibleOpenerTab;
+  applyAutoGroupingRule(tab, rule);
+});
+
+Tab.onUpdated.addListener((tab, changeInfo) => {
+  if (DuplicatedTabs.isIgnoredUrl(changeInfo.url) ||
+      !tab.$TST.needToCheckDuplication)
+    return;
+  delete tab.$TST.needToCheckDuplication;
+  DuplicatedTabs.trySwitchToExistingTab(tab);
+});
+
 Tab.onUpdated.addListener((tab, changeInfo) => {
   if ('openerTabId' in changeInfo &&
       configs.syncParentTabAndOpenerTab) {
@@ -156,9 +378,10 @@ Tab.onUpdated.addListener((tab, changeInfo) => {
           parent == tab.$TST.parent)
         return;
       Tree.attachTabTo(tab, parent, {
-        insertAt:    Constants.kINSERT_NEAREST,
-        forceExpand: tab.active,
-        broadcast:   true
+        insertAt:          Constants.kINSERT_NEAREST,
+        forceExpand:       tab.active,
+        applyMaxTreeLevel: true,
+        broadcast:         true
       });
     });
   }
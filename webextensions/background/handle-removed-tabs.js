@@ -17,6 +17,7 @@ import * as ApiTabs from '/common/api-tabs.js';
 import * as TabsStore from '/common/tabs-store.js';
 import * as TabsInternalOperation from '/common/tabs-internal-operation.js';
 import * as TreeBehavior from '/common/tree-behavior.js';
+import * as TSTAPI from '/common/tst-api.js';
 import * as SidebarConnection from '/common/sidebar-connection.js';
 
 import Tab from '/common/Tab.js';
@@ -25,12 +26,22 @@ import * as Background from './background.js';
 import * as TabsGroup from './tabs-group.js';
 import * as TabsOpen from './tabs-open.js';
 import * as Tree from './tree.js';
+import * as TreeStructure from './tree-structure.js';
 
 function log(...args) {
   internalLogger('background/handle-removed-tabs', ...args);
 }
 
 
+const kCLOSE_PARENT_BEHAVIORS = new Set([
+  Constants.kCLOSE_PARENT_BEHAVIOR_PROMOTE_FIRST_CHILD,
+  Constants.kCLOSE_PARENT_BEHAVIOR_PROMOTE_ALL_CHILDREN,
+  Constants.kCLOSE_PARENT_BEHAVIOR_DETACH_ALL_CHILDREN,
+  Constants.kCLOSE_PARENT_BEHAVIOR_SIMPLY_DETACH_ALL_CHILDREN,
+  Constants.kCLOSE_PARENT_BEHAVIOR_CLOSE_ALL_CHILDREN,
+  Constants.kCLOSE_PARENT_BEHAVIOR_REPLACE_WITH_GROUP_TAB
+]);
+
 Tab.onRemoving.addListener(async (tab, removeInfo = {}) => {
   log('Tabs.onRemoving ', dumpTab(tab), removeInfo);
   if (removeInfo.isWindowClosing)
@@ -50,6 +61,25 @@ Tab.onRemoving.addListener(async (tab, removeInfo = {}) => {
     return;
   log('Tabs.onRemoving: granted to close ', dumpTab(tab));
 
+  // We don't wait for responses if nobody listens, to fix up the tree
+  // without delay.
+  if (tab.$TST.hasChild &&
+      TSTAPI.hasListenerForMessageType(TSTAPI.kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED)) {
+    const response = await TSTAPI.tryOperation({
+      type:     TSTAPI.kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED,
+      tab:      TSTAPI.serializeTab(tab),
+      behavior: closeParentBehavior
+    });
+    // Addons canceled the fixup should rebuild the tree by themselves,
+    // so we just detach children from the closed parent.
+    if (response === true)
+      closeParentBehavior = Constants.kCLOSE_PARENT_BEHAVIOR_SIMPLY_DETACH_ALL_CHILDREN;
+    else if (response &&
+             kCLOSE_PARENT_BEHAVIORS.has(response.behavior))
+      closeParentBehavior = response.behavior;
+    log('Tabs.onRemoving: close parent behavior given by addons: ', response);
+  }
+
   if (closeParentBehavior == Constants.kCLOSE_PARENT_BEHAVIOR_CLOSE_ALL_CHILDREN)
     await closeChildTabs(tab);
 
@@ -179,7 +209,7 @@ async function closeChildTabs(parent) {
   //if (!fireTabSubtreeClosingEvent(parent, tabs))
   //  return;
 
-  //markAsClosedSet([parent].concat(tabs));
+  await TreeStructure.markAsClosedSet([parent].concat(tabs));
   // close bottom to top!
   await Promise.all(tabs.reverse().map(tab => {
     return TabsInternalOperation.removeTab(tab);
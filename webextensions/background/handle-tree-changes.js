@@ -16,6 +16,7 @@ import * as ApiTabs from '/common/api-tabs.js';
 import * as TabsStore from '/common/tabs-store.js';
 import * as TreeBehavior from '/common/tree-behavior.js';
 import * as SidebarConnection from '/common/sidebar-connection.js';
+import * as TSTAPI from '/common/tst-api.js';
 
 import Tab from '/common/Tab.js';
 
@@ -265,3 +266,104 @@ Tree.onSubtreeCollapsedStateChanged.addListener((tab, _info) => {
     TreeStructure.reserveToSaveTreeStructure(tab.windowId);
   BackgroundCache.markWindowCacheDirtyFromTab(tab, Constants.kWINDOW_STATE_CACHED_SIDEBAR_COLLAPSED_DIRTY);
 });
+
+
+// notifications for external addons
+
+function hasListenerFor(type) {
+  return mInitialized && TSTAPI.getListenersForMessageType(type).length > 0;
+}
+
+function serializeTabIfLiving(tab) {
+  return TabsStore.ensureLivingTab(tab) ? TSTAPI.serializeTab(tab) : null;
+}
+
+Tree.onAttached.addListener((tab, info = {}) => {
+  if (hasListenerFor(TSTAPI.kNOTIFY_TREE_ATTACHED) &&
+      TabsStore.ensureLivingTab(tab))
+    TSTAPI.sendMessage({
+      type:     TSTAPI.kNOTIFY_TREE_ATTACHED,
+      tab:      TSTAPI.serializeTab(tab),
+      parent:   serializeTabIfLiving(info.parent),
+      window:   tab.windowId,
+      windowId: tab.windowId,
+      newlyAttached:  !!info.newlyAttached,
+      insertBeforeId: info.insertBefore && info.insertBefore.id || null,
+      insertAfterId:  info.insertAfter && info.insertAfter.id || null
+    }).catch(ApiTabs.createErrorSuppressor());
+  reserveToNotifyTreeStructureChanged(tab.windowId);
+});
+
+Tree.onDetached.addListener((tab, detachInfo = {}) => {
+  if (hasListenerFor(TSTAPI.kNOTIFY_TREE_DETACHED) &&
+      TabsStore.ensureLivingTab(tab)) {
+    const oldParent = detachInfo.oldParentTab;
+    TSTAPI.sendMessage({
+      type:      TSTAPI.kNOTIFY_TREE_DETACHED,
+      tab:       TSTAPI.serializeTab(tab),
+      oldParent: serializeTabIfLiving(oldParent),
+      oldParentId: oldParent && oldParent.id || null,
+      window:    tab.windowId,
+      windowId:  tab.windowId
+    }).catch(ApiTabs.createErrorSuppressor());
+  }
+  reserveToNotifyTreeStructureChanged(tab.windowId);
+});
+
+Tree.onSubtreeCollapsedStateChanged.addListener((tab, info = {}) => {
+  if (hasListenerFor(TSTAPI.kNOTIFY_TREE_COLLAPSED_STATE_CHANGED) &&
+      TabsStore.ensureLivingTab(tab))
+    TSTAPI.sendMessage({
+      type:      TSTAPI.kNOTIFY_TREE_COLLAPSED_STATE_CHANGED,
+      tab:       TSTAPI.serializeTab(tab),
+      collapsed: !!info.collapsed,
+      window:    tab.windowId,
+      windowId:  tab.windowId
+    }).catch(ApiTabs.createErrorSuppressor());
+  reserveToNotifyTreeStructureChanged(tab.windowId);
+});
+
+Tab.onMoved.addListener((tab, moveInfo = {}) => {
+  if (hasListenerFor(TSTAPI.kNOTIFY_TAB_MOVED_IN_TREE) &&
+      TabsStore.ensureLivingTab(tab)) {
+    const parent = tab.$TST.parent;
+    TSTAPI.sendMessage({
+      type:      TSTAPI.kNOTIFY_TAB_MOVED_IN_TREE,
+      tab:       TSTAPI.serializeTab(tab),
+      parent:    parent && TSTAPI.serializeTab(parent),
+      fromIndex: moveInfo.fromIndex,
+      toIndex:   moveInfo.toIndex,
+      previousTabId:    tab.$TST.previousTab && tab.$TST.previousTab.id || null,
+      nextTabId:        tab.$TST.nextTab && tab.$TST.nextTab.id || null,
+      oldPreviousTabId: moveInfo.oldPreviousTab && moveInfo.oldPreviousTab.id || null,
+      oldNextTabId:     moveInfo.oldNextTab && moveInfo.oldNextTab.id || null,
+      byInternalOperation: !!moveInfo.byInternalOperation,
+      window:    tab.windowId,
+      windowId:  tab.windowId
+    }).catch(ApiTabs.createErrorSuppressor());
+  }
+  reserveToNotifyTreeStructureChanged(tab.windowId);
+});
+
+// Attaching, detaching and moving of tabs happen in a batch on most
+// operations, so we notify the final state only once for them.
+function reserveToNotifyTreeStructureChanged(windowId) {
+  if (!hasListenerFor(TSTAPI.kNOTIFY_TREE_STRUCTURE_CHANGED))
+    return;
+  const timers = reserveToNotifyTreeStructureChanged.timers;
+  if (timers.has(windowId))
+    clearTimeout(timers.get(windowId));
+  timers.set(windowId, setTimeout(() => {
+    timers.delete(windowId);
+    if (!TabsStore.windows.get(windowId))
+      return;
+    log('notify tree-structure-changed for window ', windowId);
+    TSTAPI.sendMessage({
+      type:     TSTAPI.kNOTIFY_TREE_STRUCTURE_CHANGED,
+      window:   windowId,
+      windowId,
+      tabs:     Tab.getAllTabs(windowId).map(TSTAPI.serializeTabRelations)
+    }).catch(ApiTabs.createErrorSuppressor());
+  }, 150));
+}
+reserveToNotifyTreeStructureChanged.timers = new Map();
@@ -24,6 +24,7 @@ import './handle-moved-tabs.js';
 import './handle-tree-changes.js';
 import './handle-group-tabs.js';
 import './handle-misc.js';
+import './auto-unload.js';
 import './context-menu.js';
 
 import './tab-context-menu.js';
@@ -0,0 +1,140 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger,
+  configs
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as ApiTabs from '/common/api-tabs.js';
+import * as TabsStore from '/common/tabs-store.js';
+
+import Tab from '/common/Tab.js';
+
+import * as Tree from './tree.js';
+
+function log(...args) {
+  internalLogger('background/native-tab-visibility', ...args);
+}
+
+// Collapsed descendants are hidden from the native tab strip, so Ctrl-Tab
+// and the tab strip only see the visible tree. Tabs hidden by TST itself
+// are still handled as visible tabs internally.
+
+export function isHiddenForCollapsed(tab) {
+  return !!(tab && tab.$TST.hiddenForCollapsed);
+}
+
+// Returns true if the change should be ignored.
+export function onNativeVisibilityChanged(tab, hidden) {
+  if (!isHiddenForCollapsed(tab))
+    return false;
+  if (!hidden) {
+    // The tab is shown by Firefox or others, for example, when it is activated.
+    log('onNativeVisibilityChanged: shown externally ', tab.id);
+    tab.$TST.hiddenForCollapsed = false;
+    reserveToUpdate(tab.windowId);
+  }
+  return true;
+}
+
+// Tabs hidden in the previous session must be shown before they are tracked,
+// otherwise they are treated as tabs hidden by other addons.
+export async function restore() {
+  const tabs = await browser.tabs.query({ hidden: true }).catch(ApiTabs.createErrorSuppressor());
+  if (!tabs || tabs.length == 0)
+    return;
+  const markers = await Promise.all(tabs.map(tab => browser.sessions.getTabValue(tab.id, Constants.kPERSISTENT_HIDDEN_FOR_COLLAPSED).catch(ApiTabs.createErrorSuppressor())));
+  const tabIds = tabs.filter((_tab, index) => !!markers[index]).map(tab => tab.id);
+  if (tabIds.length == 0)
+    return;
+  log('restore: ', tabIds);
+  await browser.tabs.show(tabIds).catch(ApiTabs.createErrorSuppressor());
+  await Promise.all(tabIds.map(id => browser.sessions.removeTabValue(id, Constants.kPERSISTENT_HIDDEN_FOR_COLLAPSED).catch(ApiTabs.createErrorSuppressor())));
+}
+
+const mUpdateTimers = new Map();
+
+export function reserveToUpdate(windowId) {
+  if (mUpdateTimers.has(windowId))
+    clearTimeout(mUpdateTimers.get(windowId));
+  mUpdateTimers.set(windowId, setTimeout(() => {
+    mUpdateTimers.delete(windowId);
+    update(windowId);
+  }, 100));
+}
+
+export function updateAll() {
+  for (const windowId of TabsStore.windows.keys()) {
+    update(windowId);
+  }
+}
+
+async function update(windowId) {
+  const enabled = configs.hideCollapsedTabsNatively;
+  const hiddenTabs = [];
+  const shownTabs  = [];
+  for (const tab of Tab.getAllTabs(windowId, { iterator: true })) {
+    const shouldHide = enabled && tab.$TST.collapsed && !tab.active && !tab.pinned && !tab.hidden;
+    if (shouldHide == isHiddenForCollapsed(tab))
+      continue;
+    // This must be updated before calling APIs, to ignore notifications caused by them.
+    tab.$TST.hiddenForCollapsed = shouldHide;
+    if (shouldHide)
+      hiddenTabs.push(tab);
+    else
+      shownTabs.push(tab);
+  }
+
+  if (hiddenTabs.length > 0) {
+    log('update: hide ', hiddenTabs.map(tab => tab.id));
+    try {
+      await browser.tabs.hide(hiddenTabs.map(tab => tab.id)).catch(ApiTabs.createErrorHandler());
+      for (const tab of hiddenTabs) {
+        browser.sessions.setTabValue(tab.id, Constants.kPERSISTENT_HIDDEN_FOR_COLLAPSED, true)
+          .catch(ApiTabs.createErrorSuppressor());
+      }
+    }
+    catch(error) {
+      // The "tabHide" permission is not granted.
+      log('failed to hide tabs: ', error);
+      for (const tab of hiddenTabs) {
+        tab.$TST.hiddenForCollapsed = false;
+      }
+    }
+  }
+
+  if (shownTabs.length > 0) {
+    log('update: show ', shownTabs.map(tab => tab.id));
+    await browser.tabs.show(shownTabs.map(tab => tab.id)).catch(ApiTabs.createErrorSuppressor());
+    for (const tab of shownTabs) {
+      browser.sessions.removeTabValue(tab.id, Constants.kPERSISTENT_HIDDEN_FOR_COLLAPSED)
+        .catch(ApiTabs.createErrorSuppressor());
+    }
+  }
+}
+
+Tree.onSubtreeCollapsedStateChanged.addListener((tab, _info) => {
+  reserveToUpdate(tab.windowId);
+});
+
+Tree.onAttached.addListener((tab, _info) => {
+  reserveToUpdate(tab.windowId);
+});
+
+Tree.onDetached.addListener((tab, _info) => {
+  reserveToUpdate(tab.windowId);
+});
+
+Tab.onActivated.addListener((tab, _info) => {
+  reserveToUpdate(tab.windowId);
+});
+
+configs.$addObserver(key => {
+  if (key == 'hideCollapsedTabsNatively')
+    updateAll();
+});
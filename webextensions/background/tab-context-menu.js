@@ -40,6 +40,12 @@ const mItemsById = {
   'context_topLevel_reloadDescendants': {
     title:              browser.i18n.getMessage('context_reloadDescendants_label')
   },
+  'context_topLevel_unloadTree': {
+    title:              browser.i18n.getMessage('context_unloadTree_label')
+  },
+  'context_topLevel_unloadOtherTrees': {
+    title:              browser.i18n.getMessage('context_unloadOtherTrees_label')
+  },
   'context_toggleMuteTab-mute': {
     title:              browser.i18n.getMessage('tabContextMenu_mute_label'),
     titleMultiselected: browser.i18n.getMessage('tabContextMenu_mute_label_multiselected')
@@ -73,6 +79,27 @@ const mItemsById = {
   'context_topLevel_bookmarkTree': {
     title: browser.i18n.getMessage('context_bookmarkTree_label')
   },
+  'context_topLevel_saveTreeToFile': {
+    title: browser.i18n.getMessage('context_saveTreeToFile_label')
+  },
+  'context_topLevel_loadTreeFromFile': {
+    title: browser.i18n.getMessage('context_loadTreeFromFile_label')
+  },
+  'context_topLevel_saveTreeAsSession': {
+    title: browser.i18n.getMessage('context_saveTreeAsSession_label')
+  },
+  'context_topLevel_sortChildren': {
+    title: browser.i18n.getMessage('context_sortChildren_label')
+  },
+  'context_topLevel_sortTree': {
+    title: browser.i18n.getMessage('context_sortTree_label')
+  },
+  'context_topLevel_findDuplicatedTabs': {
+    title: browser.i18n.getMessage('context_findDuplicatedTabs_label')
+  },
+  'context_topLevel_flattenTree': {
+    title: browser.i18n.getMessage('context_flattenTree_label')
+  },
   'context_reopenInContainer': {
     title: browser.i18n.getMessage('tabContextMenu_reopenInContainer_label')
   },
@@ -134,6 +161,9 @@ const mItemsById = {
   'context_topLevel_closeOthers': {
     title: browser.i18n.getMessage('context_closeOthers_label')
   },
+  'context_topLevel_undoCloseTree': {
+    title: browser.i18n.getMessage('context_undoCloseTree_label')
+  },
   'context_undoCloseTab': {
     title: browser.i18n.getMessage('tabContextMenu_undoClose_label')
   },
@@ -417,6 +447,12 @@ async function onShown(info, contextTab) {
     visible: emulate && !multiselected && contextTab && configs.context_topLevel_reloadDescendants,
     enabled: contextTab && contextTab.$TST.hasChild
   }) && modifiedItemsCount++;
+  updateItem('context_topLevel_unloadTree', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_unloadTree
+  }) && modifiedItemsCount++;
+  updateItem('context_topLevel_unloadOtherTrees', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_unloadOtherTrees
+  }) && modifiedItemsCount++;
   updateItem('context_toggleMuteTab-mute', {
     visible: emulate && contextTab && (!contextTab.mutedInfo || !contextTab.mutedInfo.muted),
     multiselected
@@ -450,6 +486,30 @@ async function onShown(info, contextTab) {
   updateItem('context_topLevel_bookmarkTree', {
     visible: emulate && !multiselected && contextTab && configs.context_topLevel_bookmarkTree
   }) && modifiedItemsCount++;
+  updateItem('context_topLevel_saveTreeToFile', {
+    visible: emulate && contextTab && configs.context_topLevel_saveTreeToFile
+  }) && modifiedItemsCount++;
+  updateItem('context_topLevel_loadTreeFromFile', {
+    visible: emulate && contextTab && configs.context_topLevel_loadTreeFromFile
+  }) && modifiedItemsCount++;
+  updateItem('context_topLevel_saveTreeAsSession', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_saveTreeAsSession
+  }) && modifiedItemsCount++;
+  updateItem('context_topLevel_sortChildren', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_sortChildren,
+    enabled: contextTab && contextTab.$TST.hasChild
+  }) && modifiedItemsCount++;
+  updateItem('context_topLevel_sortTree', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_sortTree,
+    enabled: contextTab && contextTab.$TST.hasChild
+  }) && modifiedItemsCount++;
+  updateItem('context_topLevel_findDuplicatedTabs', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_findDuplicatedTabs
+  }) && modifiedItemsCount++;
+  updateItem('context_topLevel_flattenTree', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_flattenTree,
+    enabled: contextTab && contextTab.$TST.hasChild && configs.maxTreeLevel > -1
+  }) && modifiedItemsCount++;
 
   let showContextualIdentities = false;
   for (const item of mContextualIdentityItems.values()) {
@@ -532,6 +592,9 @@ async function onShown(info, contextTab) {
   updateItem('context_topLevel_closeOthers', {
     visible: emulate && !multiselected && contextTab && configs.context_topLevel_closeOthers
   }) && modifiedItemsCount++;
+  updateItem('context_topLevel_undoCloseTree', {
+    visible: emulate && !multiselected && contextTab && configs.context_topLevel_undoCloseTree
+  }) && modifiedItemsCount++;
 
   updateItem('context_undoCloseTab', {
     visible: emulate && contextTab,
@@ -842,6 +905,10 @@ export function onExternalMessage(message, sender) {
   if (!message)
     return;
   log('API called:', message, { id: sender.id, url: sender.url });
+  const permissionError = TSTAPI.checkPermission(message, sender);
+  if (permissionError)
+    return permissionError;
+
   switch (message.type) {
     case TSTAPI.kCONTEXT_MENU_CREATE: {
       const items  = getItemsFor(sender.id);
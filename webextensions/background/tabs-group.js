@@ -37,8 +37,8 @@ export async function groupTabs(tabs, options = {}) {
   log('groupTabs: ', tabs.map(dumpTab));
 
   const uri = makeGroupTabURI({
-    title:     browser.i18n.getMessage('groupTab_label', rootTabs[0].title),
-    temporary: true
+    title:     options.title || browser.i18n.getMessage('groupTab_label', rootTabs[0].title),
+    temporary: 'temporary' in options ? options.temporary : true
   });
   const groupTab = await TabsOpen.openURIInTab(uri, {
     windowId:     rootTabs[0].windowId,
@@ -57,6 +57,7 @@ export async function groupTabs(tabs, options = {}) {
     await Tree.attachTabTo(tab, groupTab, {
       forceExpand: true, // this is required to avoid the group tab itself is active from active tab in collapsed tree
       dontMove:  true,
+      applyMaxTreeLevel: true,
       broadcast: !!options.broadcast
     });
   }
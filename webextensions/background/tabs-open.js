@@ -145,7 +145,9 @@ export async function openURIsInTabs(uris, options = {}) {
         params.openerTabId = options.opener.id;
       if (startIndex > -1)
         params.index = startIndex + index;
-      if (options.cookieStoreId)
+      if (options.cookieStoreIds && options.cookieStoreIds[index])
+        params.cookieStoreId = options.cookieStoreIds[index];
+      else if (options.cookieStoreId)
         params.cookieStoreId = options.cookieStoreId;
         // Tabs opened with different container can take time to be tracked,
         // then TabsStore.waitUntilTabsAreCreated() may be resolved before it is
@@ -176,10 +178,11 @@ export async function openURIsInTabs(uris, options = {}) {
           options.parent &&
           !options.isOrphan)
         await Tree.attachTabTo(tab, options.parent, {
-          insertBefore: options.insertBefore,
-          insertAfter:  options.insertAfter,
-          forceExpand:  params.active,
-          broadcast:    true
+          insertBefore:      options.insertBefore,
+          insertAfter:       options.insertAfter,
+          forceExpand:       params.active,
+          applyMaxTreeLevel: true,
+          broadcast:         true
         });
       else if (options.insertBefore)
         await TabsMove.moveTabInternallyBefore(tab, options.insertBefore, {
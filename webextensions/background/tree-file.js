@@ -0,0 +1,316 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger,
+  notify
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as ApiTabs from '/common/api-tabs.js';
+import * as ContextualIdentities from '/common/contextual-identities.js';
+
+import Tab from '/common/Tab.js';
+
+import * as TabsOpen from './tabs-open.js';
+import * as Tree from './tree.js';
+
+function log(...args) {
+  internalLogger('background/tree-file', ...args);
+}
+
+const kFILE_EXTENSIONS = {
+  [Constants.kTREE_FILE_FORMAT_JSON]:     'json',
+  [Constants.kTREE_FILE_FORMAT_OPML]:     'opml',
+  [Constants.kTREE_FILE_FORMAT_MARKDOWN]: 'md'
+};
+const kMIME_TYPES = {
+  [Constants.kTREE_FILE_FORMAT_JSON]:     'application/json',
+  [Constants.kTREE_FILE_FORMAT_OPML]:     'text/x-opml',
+  [Constants.kTREE_FILE_FORMAT_MARKDOWN]: 'text/markdown'
+};
+const kNEW_TAB_URLS = ['about:newtab', 'about:home'];
+
+export async function openDialog(mode, windowId) {
+  return browser.windows.create({
+    type:   'popup',
+    url:    `/resources/tree-file.html?mode=${mode}&windowId=${windowId}`,
+    width:  480,
+    height: 240,
+    allowScriptsToClose: true
+  }).catch(ApiTabs.createErrorHandler());
+}
+
+
+/* export */
+
+export function exportTree(windowId, format = Constants.kTREE_FILE_FORMAT_JSON) {
+  const tabs = Tab.getTabs(windowId);
+  let contents;
+  switch (format) {
+    case Constants.kTREE_FILE_FORMAT_OPML:
+      contents = toOPML(tabs);
+      break;
+    case Constants.kTREE_FILE_FORMAT_MARKDOWN:
+      contents = toMarkdown(tabs);
+      break;
+    default:
+      format   = Constants.kTREE_FILE_FORMAT_JSON;
+      contents = toJSON(tabs);
+      break;
+  }
+  const now = new Date();
+  const date = `${now.getFullYear()}-${`0${now.getMonth() + 1}`.substr(-2)}-${`0${now.getDate()}`.substr(-2)}`;
+  return {
+    filename: `tree-${date}.${kFILE_EXTENSIONS[format]}`,
+    mimeType: kMIME_TYPES[format],
+    contents
+  };
+}
+
+function toJSON(tabs) {
+  const structure = Tree.getTreeStructureFromTabs(tabs);
+  return JSON.stringify({
+    type:    Constants.kTREE_FILE_TYPE,
+    version: 1,
+    tabs:    tabs.map((tab, index) => ({
+      title:         tab.title,
+      url:           tab.url,
+      cookieStoreId: tab.cookieStoreId,
+      parent:        structure[index].parent,
+      collapsed:     structure[index].collapsed
+    }))
+  }, null, 2);
+}
+
+// OPML and Markdown have no way to describe the order of tabs
+// separately, so we describe trees as nested lists.
+function getRootTabsAndChildren(tabs) {
+  const tabIds = new Set(tabs.map(tab => tab.id));
+  const rootTabs = tabs.filter(tab => !tab.$TST.ancestors.some(ancestor => tabIds.has(ancestor.id)));
+  const getChildren = tab => tab.$TST.children.filter(child => tabIds.has(child.id));
+  return { rootTabs, getChildren };
+}
+
+function toOPML(tabs) {
+  const { rootTabs, getChildren } = getRootTabsAndChildren(tabs);
+  const doc = document.implementation.createDocument('', 'opml', null);
+  const root = doc.documentElement;
+  root.setAttribute('version', '2.0');
+  const head = root.appendChild(doc.createElement('head'));
+  head.appendChild(doc.createElement('title')).textContent = browser.i18n.getMessage('extensionName');
+  head.appendChild(doc.createElement('dateCreated')).textContent = new Date().toUTCString();
+  const body = root.appendChild(doc.createElement('body'));
+  const appendOutlines = (tabs, parent) => {
+    for (const tab of tabs) {
+      const outline = parent.appendChild(doc.createElement('outline'));
+      outline.setAttribute('text', tab.title);
+      outline.setAttribute('type', 'link');
+      outline.setAttribute('url', tab.url);
+      appendOutlines(getChildren(tab), outline);
+    }
+  };
+  appendOutlines(rootTabs, body);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(doc)}\n`;
+}
+
+function toMarkdown(tabs) {
+  const { rootTabs, getChildren } = getRootTabsAndChildren(tabs);
+  const lines = [];
+  const appendLines = (tabs, level) => {
+    for (const tab of tabs) {
+      const title = tab.title.replace(/([\\\[\]])/g, '\\$1');
+      const url   = tab.url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, '%20');
+      lines.push(`${'  '.repeat(level)}- [${title}](${url})`);
+      appendLines(getChildren(tab), level + 1);
+    }
+  };
+  appendLines(rootTabs, 0);
+  return `${lines.join('\n')}\n`;
+}
+
+
+/* import */
+
+export function detectFormat(contents, filename = '') {
+  if (/\.json$/i.test(filename))
+    return Constants.kTREE_FILE_FORMAT_JSON;
+  if (/\.(?:opml|xml)$/i.test(filename))
+    return Constants.kTREE_FILE_FORMAT_OPML;
+  if (/\.(?:md|markdown|txt)$/i.test(filename))
+    return Constants.kTREE_FILE_FORMAT_MARKDOWN;
+  const trimmed = contents.trim();
+  if (trimmed.startsWith('{'))
+    return Constants.kTREE_FILE_FORMAT_JSON;
+  if (trimmed.startsWith('<'))
+    return Constants.kTREE_FILE_FORMAT_OPML;
+  return Constants.kTREE_FILE_FORMAT_MARKDOWN;
+}
+
+// All parsers return an array of items with "parent" as an absolute index.
+function fromJSON(contents) {
+  const data = JSON.parse(contents);
+  if (!data ||
+      data.type != Constants.kTREE_FILE_TYPE ||
+      !Array.isArray(data.tabs))
+    throw new Error('unknown JSON format');
+  let rootIndex = -1;
+  return data.tabs.map((tab, index) => {
+    const relativeParent = typeof tab.parent == 'number' ? tab.parent : -1;
+    if (relativeParent < 0)
+      rootIndex = index;
+    const parent = relativeParent < 0 ? -1 : rootIndex + relativeParent;
+    return {
+      title:         tab.title || '',
+      url:           tab.url || '',
+      cookieStoreId: tab.cookieStoreId || null,
+      collapsed:     !!tab.collapsed,
+      parent:        parent < index ? parent : -1
+    };
+  });
+}
+
+function fromOPML(contents) {
+  const doc = new DOMParser().parseFromString(contents, 'application/xml');
+  if (doc.querySelector('parsererror'))
+    throw new Error('invalid OPML');
+  const body = doc.querySelector('opml > body');
+  if (!body)
+    throw new Error('missing OPML body');
+  const items = [];
+  const collectItems = (outlines, parent) => {
+    for (const outline of outlines) {
+      const url = outline.getAttribute('url') || outline.getAttribute('htmlUrl') || outline.getAttribute('xmlUrl');
+      const children = Array.from(outline.children).filter(child => child.localName == 'outline');
+      if (!url) { // a simple container
+        collectItems(children, parent);
+        continue;
+      }
+      const index = items.length;
+      items.push({
+        title: outline.getAttribute('text') || outline.getAttribute('title') || url,
+        url,
+        parent
+      });
+      collectItems(children, index);
+    }
+  };
+  collectItems(Array.from(body.children).filter(child => child.localName == 'outline'), -1);
+  return items;
+}
+
+function fromMarkdown(contents) {
+  const items = [];
+  const ancestors = [];
+  for (const line of contents.split(/\r?\n/)) {
+    const matched = line.replace(/\t/g, '    ').match(/^(\s*)[-*+]\s+(.+)$/);
+    if (!matched)
+      continue;
+    const indent = matched[1].length;
+    const body   = matched[2].trim();
+    const link   = body.match(/^\[((?:\\.|[^\]\\])*)\]\(([^)\s]*)\)/);
+    let title, url;
+    if (link) {
+      title = link[1].replace(/\\(.)/g, '$1');
+      url   = link[2];
+    }
+    else if (/^[a-z][-a-z0-9+.]*:\S+$/i.test(body)) {
+      title = url = body;
+    }
+    else {
+      continue;
+    }
+    while (ancestors.length > 0 &&
+           ancestors[ancestors.length - 1].indent >= indent) {
+      ancestors.pop();
+    }
+    const index = items.length;
+    items.push({
+      title,
+      url,
+      parent: ancestors.length > 0 ? ancestors[ancestors.length - 1].index : -1
+    });
+    ancestors.push({ indent, index });
+  }
+  return items;
+}
+
+export function parseTree(contents, format) {
+  switch (format) {
+    case Constants.kTREE_FILE_FORMAT_JSON:
+      return fromJSON(contents);
+    case Constants.kTREE_FILE_FORMAT_OPML:
+      return fromOPML(contents);
+    case Constants.kTREE_FILE_FORMAT_MARKDOWN:
+      return fromMarkdown(contents);
+    default:
+      throw new Error(`unknown format: ${format}`);
+  }
+}
+
+// Drops items which cannot be opened, and reattaches their children
+// to the nearest living ancestor.
+function sanitizeItems(items) {
+  const newIndices = [];
+  const effectiveParents = [];
+  const results = [];
+  items.forEach((item, index) => {
+    const parent = item.parent > -1 ? effectiveParents[item.parent] : -1;
+    const url    = kNEW_TAB_URLS.includes(item.url) ? null : item.url;
+    if (url && Constants.kUNOPENABLE_URL_MATCHER.test(url)) {
+      log('skip unopenable item: ', item);
+      newIndices[index]       = -1;
+      effectiveParents[index] = parent;
+      return;
+    }
+    newIndices[index]       = results.length;
+    effectiveParents[index] = index;
+    results.push(Object.assign({}, item, {
+      url,
+      parent: parent > -1 ? newIndices[parent] : -1
+    }));
+  });
+  return results;
+}
+
+export async function importTree(windowId, contents, options = {}) {
+  let items;
+  try {
+    const format = options.format || detectFormat(contents, options.filename);
+    items = sanitizeItems(parseTree(contents, format));
+  }
+  catch(error) {
+    log('failed to parse tree file: ', error);
+    notify({
+      title:   browser.i18n.getMessage('treeFile_notification_importFailed_title'),
+      message: browser.i18n.getMessage('treeFile_notification_importFailed_message', [String(error)]),
+      icon:    Constants.kNOTIFICATION_DEFAULT_ICON
+    });
+    return [];
+  }
+  if (items.length == 0)
+    return [];
+
+  // The index of the parent is relative to the root tab of each tree.
+  let rootIndex = -1;
+  const structure = items.map((item, index) => {
+    if (item.parent < 0) {
+      rootIndex = index;
+      return { parent: -1, collapsed: !!item.collapsed };
+    }
+    return { parent: item.parent - rootIndex, collapsed: !!item.collapsed };
+  });
+  const tabs = await TabsOpen.openURIsInTabs(items.map(item => item.url), {
+    windowId,
+    isOrphan:       true,
+    inBackground:   true,
+    cookieStoreIds: items.map(item => item.cookieStoreId && ContextualIdentities.get(item.cookieStoreId) ? item.cookieStoreId : null)
+  });
+  await Tree.applyTreeStructureToTabs(tabs, structure, {
+    broadcast: true
+  });
+  return tabs;
+}
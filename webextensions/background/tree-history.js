@@ -0,0 +1,237 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger,
+  configs
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as TabsStore from '/common/tabs-store.js';
+import * as TabsInternalOperation from '/common/tabs-internal-operation.js';
+import * as ContextualIdentities from '/common/contextual-identities.js';
+
+import Tab from '/common/Tab.js';
+
+import * as TabsOpen from './tabs-open.js';
+import * as TabsMove from './tabs-move.js';
+import * as Tree from './tree.js';
+
+function log(...args) {
+  internalLogger('background/tree-history', ...args);
+}
+
+const mHistories       = new Map();
+const mRecordings      = new Map();
+const mApplyingWindows = new Set();
+
+function getHistory(windowId) {
+  let history = mHistories.get(windowId);
+  if (!history) {
+    history = { undo: [], redo: [] };
+    mHistories.set(windowId, history);
+  }
+  return history;
+}
+
+browser.windows.onRemoved.addListener(windowId => {
+  mHistories.delete(windowId);
+});
+
+
+function snapshot(windowId) {
+  const window = TabsStore.windows.get(windowId);
+  const closingTabs = window ? window.internalClosingTabs : new Set();
+  return Tab.getNormalTabs(windowId)
+    .filter(tab => !closingTabs.has(tab.id))
+    .map(tab => ({
+      id:            tab.id,
+      parentId:      tab.$TST.parentId,
+      collapsed:     tab.$TST.subtreeCollapsed,
+      url:           tab.url,
+      title:         tab.title,
+      cookieStoreId: tab.cookieStoreId
+    }));
+}
+
+function isSameSnapshot(a, b) {
+  if (a.length != b.length)
+    return false;
+  return a.every((item, index) => {
+    const other = b[index];
+    return (
+      item.id == other.id &&
+      item.parentId == other.parentId &&
+      item.collapsed == other.collapsed
+    );
+  });
+}
+
+// Records changes of the tree caused by the task as an undoable operation.
+// The task receives a context, and operations nested in the task are merged
+// to the outer one only when the context is given as "context". Other
+// operations in the same window wait until the running one is finished, to
+// keep changes by them out of its snapshots.
+// Tabs specified as "openedTabIds" are handled as opened by the task.
+export async function record(windowId, task, options = {}) {
+  if (!windowId ||
+      mApplyingWindows.has(windowId))
+    return task(null);
+
+  const running = mRecordings.get(windowId);
+  if (running &&
+      options.context &&
+      options.context == running.context)
+    return task(running.context);
+
+  while (mRecordings.has(windowId)) {
+    await mRecordings.get(windowId).promisedFinished;
+  }
+
+  const openedTabIds = new Set(options.openedTabIds || []);
+  const before = snapshot(windowId).filter(item => !openedTabIds.has(item.id));
+  const recording = { context: { windowId } };
+  recording.promisedFinished = new Promise(resolve => recording.finished = resolve);
+  mRecordings.set(windowId, recording);
+  try {
+    return await task(recording.context);
+  }
+  finally {
+    const after = snapshot(windowId);
+    if (!isSameSnapshot(before, after)) {
+      const history = getHistory(windowId);
+      history.undo.push({ before, after });
+      history.undo.splice(0, Math.max(0, history.undo.length - configs.undoTreeOperationHistorySize));
+      history.redo = [];
+      log('record: ', windowId, history.undo.length);
+    }
+    mRecordings.delete(windowId);
+    recording.finished();
+  }
+}
+
+// Snapshots are also used to roll back failed batch operations.
+export function takeSnapshot(windowId) {
+  return snapshot(windowId);
+}
+
+export async function restoreSnapshot(windowId, lastSnapshot) {
+  log('restoreSnapshot: ', windowId, lastSnapshot);
+  await applySnapshot(windowId, snapshot(windowId), lastSnapshot);
+}
+
+export function canUndo(windowId) {
+  const history = mHistories.get(windowId);
+  return !!history && history.undo.length > 0;
+}
+
+export function canRedo(windowId) {
+  const history = mHistories.get(windowId);
+  return !!history && history.redo.length > 0;
+}
+
+export async function undo(windowId) {
+  if (!canUndo(windowId) ||
+      mApplyingWindows.has(windowId))
+    return false;
+  const history = getHistory(windowId);
+  const entry = history.undo[history.undo.length - 1];
+  log('undo: ', windowId, entry);
+  await applySnapshot(windowId, entry.after, entry.before);
+  history.undo.splice(history.undo.indexOf(entry), 1);
+  history.redo.push(entry);
+  return true;
+}
+
+export async function redo(windowId) {
+  if (!canRedo(windowId) ||
+      mApplyingWindows.has(windowId))
+    return false;
+  const history = getHistory(windowId);
+  const entry = history.redo[history.redo.length - 1];
+  log('redo: ', windowId, entry);
+  await applySnapshot(windowId, entry.before, entry.after);
+  history.redo.splice(history.redo.indexOf(entry), 1);
+  history.undo.push(entry);
+  return true;
+}
+
+// Reopened tabs have new IDs, so we need to update all entries referring them.
+function replaceTabId(windowId, oldId, newId) {
+  const history = getHistory(windowId);
+  for (const entry of history.undo.concat(history.redo)) {
+    for (const item of entry.before.concat(entry.after)) {
+      if (item.id == oldId)
+        item.id = newId;
+      if (item.parentId == oldId)
+        item.parentId = newId;
+    }
+  }
+}
+
+function getLivingTabInWindow(id, windowId) {
+  const tab = TabsStore.ensureLivingTab(Tab.get(id));
+  return tab && tab.windowId == windowId ? tab : null;
+}
+
+async function applySnapshot(windowId, from, to) {
+  mApplyingWindows.add(windowId);
+  try {
+    const toIds = new Set(to.map(item => item.id));
+    const closingTabs = from
+      .filter(item => !toIds.has(item.id))
+      .map(item => getLivingTabInWindow(item.id, windowId))
+      .filter(tab => !!tab);
+
+    // Tabs moved to other windows are not reopened.
+    const missingItems = to.filter(item => !TabsStore.ensureLivingTab(Tab.get(item.id)) &&
+                                           (!item.url || !Constants.kUNOPENABLE_URL_MATCHER.test(item.url)));
+    if (missingItems.length > 0) {
+      const reopenedTabs = await TabsOpen.openURIsInTabs(missingItems.map(item => item.url), {
+        windowId,
+        isOrphan:       true,
+        inBackground:   true,
+        cookieStoreIds: missingItems.map(item => item.cookieStoreId && ContextualIdentities.get(item.cookieStoreId) ? item.cookieStoreId : null)
+      });
+      missingItems.forEach((item, index) => {
+        const tab = reopenedTabs[index];
+        if (tab)
+          replaceTabId(windowId, item.id, tab.id);
+      });
+    }
+
+    if (closingTabs.length > 0)
+      TabsInternalOperation.removeTabs(closingTabs);
+
+    const items = to.filter(item => !!getLivingTabInWindow(item.id, windowId));
+    const tabs  = items.map(item => Tab.get(item.id));
+    for (let i = 1, maxi = tabs.length; i < maxi; i++) {
+      await TabsMove.moveTabAfter(tabs[i], tabs[i - 1], {
+        broadcast: true
+      });
+    }
+
+    // The index of the parent is relative to the root tab of each tree.
+    const indexById = new Map(items.map((item, index) => [item.id, index]));
+    let rootIndex = -1;
+    const structure = items.map((item, index) => {
+      const parentIndex = indexById.has(item.parentId) ? indexById.get(item.parentId) : -1;
+      if (parentIndex < 0 ||
+          parentIndex < rootIndex ||
+          parentIndex >= index) {
+        rootIndex = index;
+        return { parent: -1, collapsed: item.collapsed };
+      }
+      return { parent: parentIndex - rootIndex, collapsed: item.collapsed };
+    });
+    await Tree.applyTreeStructureToTabs(tabs, structure, {
+      broadcast: true
+    });
+  }
+  finally {
+    mApplyingWindows.delete(windowId);
+  }
+}
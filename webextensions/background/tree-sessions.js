@@ -0,0 +1,166 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger,
+  notify
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as ApiTabs from '/common/api-tabs.js';
+import * as ContextualIdentities from '/common/contextual-identities.js';
+
+import * as TabsOpen from './tabs-open.js';
+import * as TabsGroup from './tabs-group.js';
+import * as Tree from './tree.js';
+
+import EventListenerManager from '/extlib/EventListenerManager.js';
+
+function log(...args) {
+  internalLogger('background/tree-sessions', ...args);
+}
+
+export const onChanged = new EventListenerManager();
+
+const kSTORAGE_KEY = 'treeSessions';
+
+async function getSessions() {
+  const stored = await browser.storage.local.get({ [kSTORAGE_KEY]: [] }).catch(ApiTabs.createErrorHandler());
+  return stored && stored[kSTORAGE_KEY] || [];
+}
+
+async function setSessions(sessions) {
+  await browser.storage.local.set({ [kSTORAGE_KEY]: sessions }).catch(ApiTabs.createErrorHandler());
+  onChanged.dispatch();
+}
+
+export async function openDialog(windowId, rootTabId = null) {
+  return browser.windows.create({
+    type:   'popup',
+    url:    `/resources/tree-sessions.html?windowId=${windowId}${rootTabId ? `&rootTabId=${rootTabId}` : ''}`,
+    width:  640,
+    height: 480,
+    allowScriptsToClose: true
+  }).catch(ApiTabs.createErrorHandler());
+}
+
+export function getDefaultName(rootTab) {
+  const now = new Date();
+  const date = `${now.getFullYear()}.${`0${now.getMonth() + 1}`.substr(-2)}.${`0${now.getDate()}`.substr(-2)}`;
+  return browser.i18n.getMessage('treeSession_defaultName', [rootTab.title, date]);
+}
+
+export async function save(rootTab, options = {}) {
+  const tabs = [rootTab].concat(rootTab.$TST.descendants);
+  const structure = Tree.getTreeStructureFromTabs(tabs);
+  const now = new Date();
+  const session = {
+    id:        `${now.getTime()}-${parseInt(Math.random() * 65000)}`,
+    name:      options.name && String(options.name).trim() || getDefaultName(rootTab),
+    createdAt: now.getTime(),
+    tabs:      tabs.map((tab, index) => {
+      const item = {
+        url:           tab.url,
+        title:         tab.title,
+        cookieStoreId: tab.cookieStoreId,
+        pinned:        tab.pinned,
+        parent:        structure[index].parent,
+        collapsed:     structure[index].collapsed
+      };
+      // The URL of the group tab page is different on each environment.
+      if (tab.$TST.isGroupTab)
+        item.groupTabTitle = tab.title;
+      return item;
+    })
+  };
+  log('save: ', session);
+  const sessions = await getSessions();
+  sessions.push(session);
+  await setSessions(sessions);
+
+  if (!options.silent)
+    notify({
+      title:   browser.i18n.getMessage('treeSession_notification_saved_title'),
+      message: browser.i18n.getMessage('treeSession_notification_saved_message', [
+        rootTab.title,
+        tabs.length,
+        session.name
+      ]),
+      icon:    Constants.kNOTIFICATION_DEFAULT_ICON
+    });
+  return session;
+}
+
+export async function list() {
+  const sessions = await getSessions();
+  return sessions.map(session => ({
+    id:        session.id,
+    name:      session.name,
+    createdAt: session.createdAt,
+    count:     session.tabs.length
+  }));
+}
+
+export async function rename(id, name) {
+  name = String(name || '').trim();
+  if (!name)
+    return false;
+  const sessions = await getSessions();
+  const session = sessions.find(session => session.id == id);
+  if (!session)
+    return false;
+  log('rename: ', id, name);
+  session.name = name;
+  await setSessions(sessions);
+  return true;
+}
+
+export async function remove(id) {
+  const sessions = await getSessions();
+  const remainingSessions = sessions.filter(session => session.id != id);
+  if (remainingSessions.length == sessions.length)
+    return false;
+  await setSessions(remainingSessions);
+  return true;
+}
+
+export async function restore(id, options = {}) {
+  const session = (await getSessions()).find(session => session.id == id);
+  if (!session)
+    return [];
+  log('restore: ', session);
+
+  let windowId = options.windowId;
+  if (!windowId) {
+    const window = await browser.windows.getLastFocused().catch(ApiTabs.createErrorHandler());
+    windowId = window.id;
+  }
+  const tabs = await TabsOpen.openURIsInTabs(
+    session.tabs.map(item => 'groupTabTitle' in item ? TabsGroup.makeGroupTabURI({ title: item.groupTabTitle }) : item.url),
+    {
+      windowId,
+      isOrphan:       true,
+      inBackground:   true,
+      cookieStoreIds: session.tabs.map(item => item.cookieStoreId && ContextualIdentities.get(item.cookieStoreId) ? item.cookieStoreId : null)
+    }
+  );
+  await Tree.applyTreeStructureToTabs(tabs, session.tabs.map(item => ({
+    parent:    item.parent,
+    collapsed: item.collapsed
+  })), {
+    broadcast: true
+  });
+  await Promise.all(tabs.map((tab, index) => {
+    if (!session.tabs[index].pinned)
+      return null;
+    return browser.tabs.update(tab.id, { pinned: true })
+      .catch(ApiTabs.createErrorHandler(ApiTabs.handleMissingTabError));
+  }));
+
+  if (options.removeAfterRestored)
+    await remove(id);
+  return tabs;
+}
@@ -20,7 +20,9 @@ import * as UserOperationBlocker from '/common/user-operation-blocker.js';
 
 import Tab from '/common/Tab.js';
 
+import * as TabsMove from './tabs-move.js';
 import * as Tree from './tree.js';
+import * as TreeHistory from './tree-history.js';
 
 import EventListenerManager from '/extlib/EventListenerManager.js';
 
@@ -350,3 +352,127 @@ Tab.onRestored.addListener(tab => {
     }
   });
 });
+
+
+// closed trees
+
+// Tabs closed together are marked with a common ID, to restore them as a
+// tree with the "Undo Close Tree" command.
+export async function markAsClosedSet(tabs) {
+  if (!tabs || tabs.length < 2)
+    return;
+  const id = `${Date.now()}-${parseInt(Math.random() * 65000)}`;
+  const structure = Tree.getTreeStructureFromTabs(tabs);
+  log('markAsClosedSet: ', id, tabs.map(dumpTab));
+  await Promise.all(tabs.map((tab, index) => {
+    return browser.sessions.setTabValue(tab.id, Constants.kCLOSED_SET_ID, {
+      id,
+      index,
+      count:     tabs.length,
+      parent:    structure[index].parent,
+      collapsed: structure[index].collapsed
+    }).catch(ApiTabs.createErrorSuppressor(ApiTabs.handleMissingTabError));
+  }));
+}
+
+export async function undoCloseTree() {
+  const sessions = await browser.sessions.getRecentlyClosed({
+    maxResults: browser.sessions.MAX_SESSION_RESULTS
+  }).catch(ApiTabs.createErrorHandler());
+  const closedTabs = (sessions || []).filter(session => !!session.tab).map(session => session.tab);
+  if (closedTabs.length == 0)
+    return [];
+
+  // Tabs in a set are closed sequentially, so they must be placed
+  // at the top of the recently closed tabs.
+  const restored = [];
+  let count = 1;
+  for (const closedTab of closedTabs) {
+    if (restored.length >= count)
+      break;
+    const session = await browser.sessions.restore(closedTab.sessionId).catch(ApiTabs.createErrorHandler());
+    if (!session || !session.tab)
+      continue;
+    const info = await browser.sessions.getTabValue(session.tab.id, Constants.kCLOSED_SET_ID).catch(ApiTabs.createErrorHandler());
+    browser.sessions.removeTabValue(session.tab.id, Constants.kCLOSED_SET_ID).catch(ApiTabs.createErrorSuppressor());
+    if (restored.length == 0 && info)
+      count = info.count;
+    restored.push({ id: session.tab.id, info });
+  }
+  log('undoCloseTree: restored ', restored);
+
+  await Tab.waitUntilTracked(restored.map(item => item.id));
+  const tabs = restored.map(item => Tab.get(item.id)).filter(tab => !!TabsStore.ensureLivingTab(tab));
+  await Promise.all(tabs.map(tab => tab.$TST.opened));
+  const setId = restored[0] && restored[0].info && restored[0].info.id;
+  if (!setId || tabs.length < 2)
+    return tabs;
+
+  // The parent tab closed with the "close all children" behavior
+  // has no mark, because it is already closed when its children are marked.
+  const members = new Array(count);
+  const unmarkedItems = [];
+  for (const item of restored) {
+    const tab = Tab.get(item.id);
+    if (!TabsStore.ensureLivingTab(tab) ||
+        tab.windowId != tabs[0].windowId)
+      continue;
+    if (item.info && item.info.id == setId)
+      members[item.info.index] = { tab, info: item.info };
+    else if (!item.info)
+      unmarkedItems.push(tab);
+  }
+  for (let i = 0; i < count && unmarkedItems.length > 0; i++) {
+    if (!members[i])
+      members[i] = { tab: unmarkedItems.shift(), info: { parent: -1, collapsed: false } };
+  }
+
+  // Convert relative indices of parents to absolute indices in the original set,
+  // then re-calculate them for restored tabs.
+  let originalRootIndex = -1;
+  const originalParents = [];
+  for (let i = 0; i < count; i++) {
+    const info = members[i] && members[i].info;
+    if (!info || info.parent < 0) {
+      originalRootIndex = i;
+      originalParents.push(-1);
+    }
+    else {
+      originalParents.push(originalRootIndex + info.parent);
+    }
+  }
+  const indices = [];
+  const orderedMembers = [];
+  members.forEach((member, index) => {
+    if (!member)
+      return;
+    indices[index] = orderedMembers.length;
+    orderedMembers.push(member);
+  });
+  let rootIndex = -1;
+  const structure = orderedMembers.map((member, index) => {
+    const parent = indices[originalParents[members.indexOf(member)]];
+    if (parent === undefined || parent < rootIndex) {
+      rootIndex = index;
+      return { parent: -1, collapsed: member.info.collapsed };
+    }
+    return { parent: parent - rootIndex, collapsed: member.info.collapsed };
+  });
+
+  // Restored tabs are recorded as opened by the operation, so undoing it
+  // closes them again.
+  const orderedTabs = orderedMembers.map(member => member.tab);
+  await TreeHistory.record(tabs[0].windowId, async () => {
+    for (let i = 1, maxi = orderedTabs.length; i < maxi; i++) {
+      await TabsMove.moveTabAfter(orderedTabs[i], orderedTabs[i - 1], {
+        broadcast: true
+      });
+    }
+    await Tree.applyTreeStructureToTabs(orderedTabs, structure, {
+      broadcast: true
+    });
+  }, {
+    openedTabIds: tabs.map(tab => tab.id)
+  });
+  return tabs;
+}
@@ -53,6 +53,7 @@ import * as TabsStore from '/common/tabs-store.js';
 import * as TabsInternalOperation from '/common/tabs-internal-operation.js';
 import * as UserOperationBlocker from '/common/user-operation-blocker.js';
 import * as MetricsData from '/common/metrics-data.js';
+import * as TSTAPI from '/common/tst-api.js';
 
 import Tab from '/common/Tab.js';
 import Window from '/common/Window.js';
@@ -115,6 +116,34 @@ export async function attachTabTo(child, parent, options = {}) {
     return false;
   }
 
+  // The max tree level is applied only to new attachments, so restored
+  // trees (from sessions, tree history, etc.) keep their structure.
+  const attachment = options.applyMaxTreeLevel && getAttachmentWithinMaxTreeLevel(child, parent);
+  if (attachment) {
+    log('=> too deep, attach to an upper level ', {
+      parent:       attachment.parent && attachment.parent.id,
+      insertBefore: attachment.insertBefore && attachment.insertBefore.id,
+      insertAfter:  attachment.insertAfter && attachment.insertAfter.id
+    });
+    if (!options.dontMove) {
+      options.insertBefore = attachment.insertBefore;
+      options.insertAfter  = attachment.insertAfter;
+    }
+    if (!attachment.parent) {
+      detachTab(child, {
+        broadcast: options.broadcast
+      });
+      if (!options.insertAfter)
+        return false;
+      const oldIndex = child.index;
+      await moveTabSubtreeAfter(child, options.insertAfter, {
+        broadcast: options.broadcast
+      });
+      return oldIndex != child.index;
+    }
+    parent = attachment.parent;
+  }
+
   if (options.dontMove) {
     log('=> do not move');
     options.insertBefore = child.$TST.nextTab;
@@ -199,6 +228,31 @@ export async function attachTabTo(child, parent, options = {}) {
   return moved;
 }
 
+// When the max tree level is enforced, a child which is going to be placed
+// deeper than the level is attached as a sibling (or the next sibling) of
+// its deepest allowed ancestor. This returns null if the child can be
+// attached to the given parent as is.
+export function getAttachmentWithinMaxTreeLevel(child, parent, options = {}) {
+  const maxLevel = configs.enforceMaxTreeLevel ? configs.maxTreeLevel : -1;
+  if (maxLevel < 0 ||
+      parent.$TST.ancestors.length < maxLevel)
+    return null;
+
+  const lineage = parent.$TST.ancestors.slice(0).reverse().concat([parent]);
+  const deepestAllowedAncestor = lineage[maxLevel];
+  const attachment = {
+    parent:       maxLevel > 0 ? lineage[maxLevel - 1] : null,
+    insertBefore: null,
+    insertAfter:  null
+  };
+  if (configs.attachTooDeepTabAs == Constants.kNEWTAB_OPEN_AS_NEXT_SIBLING) {
+    const movedTabs   = options.ignoreTabs || [child].concat(child.$TST.descendants);
+    const descendants = deepestAllowedAncestor.$TST.descendants.filter(tab => !movedTabs.includes(tab));
+    attachment.insertAfter = descendants.length > 0 ? descendants[descendants.length - 1] : deepestAllowedAncestor;
+  }
+  return attachment;
+}
+
 export function getReferenceTabsForNewChild(child, parent, options = {}) {
   log('getReferenceTabsForNewChild ', child, parent, options);
   let insertAt = options.insertAt;
@@ -471,10 +525,11 @@ export async function behaveAutoAttachedTab(tab, options = {}) {
     case Constants.kNEWTAB_OPEN_AS_CHILD:
       log(' => kNEWTAB_OPEN_AS_CHILD');
       return attachTabTo(tab, baseTab, {
-        dontMove:    options.dontMove || configs.insertNewChildAt == Constants.kINSERT_NO_CONTROL,
-        forceExpand: true,
-        delayedMove: true,
-        broadcast:   options.broadcast
+        dontMove:          options.dontMove || configs.insertNewChildAt == Constants.kINSERT_NO_CONTROL,
+        forceExpand:       true,
+        delayedMove:       true,
+        applyMaxTreeLevel: true,
+        broadcast:         options.broadcast
       });
 
     case Constants.kNEWTAB_OPEN_AS_SIBLING: {
@@ -482,8 +537,9 @@ export async function behaveAutoAttachedTab(tab, options = {}) {
       const parent = baseTab.$TST.parent;
       if (parent) {
         await attachTabTo(tab, parent, {
-          delayedMove: true,
-          broadcast: options.broadcast
+          delayedMove:       true,
+          applyMaxTreeLevel: true,
+          broadcast:         options.broadcast
         });
         return true;
       }
@@ -505,10 +561,11 @@ export async function behaveAutoAttachedTab(tab, options = {}) {
       const parent = baseTab.$TST.parent;
       if (parent) {
         return attachTabTo(tab, parent, {
-          insertBefore: nextSibling,
-          insertAfter:  baseTab.$TST.lastDescendant || baseTab,
-          delayedMove:  true,
-          broadcast:    options.broadcast
+          insertBefore:      nextSibling,
+          insertAfter:       baseTab.$TST.lastDescendant || baseTab,
+          delayedMove:       true,
+          applyMaxTreeLevel: true,
+          broadcast:         options.broadcast
         });
       }
       else {
@@ -780,6 +837,23 @@ export function collapseExpandTreesIntelligentlyFor(tab, options = {}) {
   if (!tab)
     return;
 
+  // Don't wait for responses if nobody listens, to keep collapsing synchronous.
+  if (TSTAPI.hasListenerForMessageType(TSTAPI.kNOTIFY_TRY_COLLAPSE))
+    return TSTAPI.tryOperation({
+      type: TSTAPI.kNOTIFY_TRY_COLLAPSE,
+      tab:  TSTAPI.serializeTab(tab)
+    }).then(response => {
+      if (response === true ||
+          !TabsStore.ensureLivingTab(tab)) {
+        logCollapseExpand('collapseExpandTreesIntelligentlyFor: canceled by an addon ', tab);
+        return;
+      }
+      collapseExpandTreesIntelligentlyForInternal(tab, options);
+    });
+  collapseExpandTreesIntelligentlyForInternal(tab, options);
+}
+
+function collapseExpandTreesIntelligentlyForInternal(tab, options = {}) {
   logCollapseExpand('collapseExpandTreesIntelligentlyFor ', tab);
   const window = TabsStore.windows.get(tab.windowId);
   if (window.doingIntelligentlyCollapseExpandCount > 0) {
@@ -748,6 +748,56 @@ export default class Tab {
     return states || [];
   }
 
+  // Data attached by other addons via the API, namespaced by addon ids.
+  getAllAddonData() {
+    if (!this.promisedAddonData)
+      this.promisedAddonData = (this.tab ?
+        browser.sessions.getTabValue(this.tab.id, Constants.kPERSISTENT_ADDON_DATA).catch(ApiTabs.handleMissingTabError) :
+        Promise.resolve(null)).then(data => data || {});
+    return this.promisedAddonData;
+  }
+
+  async getAddonData(addonId) {
+    const data = await this.getAllAddonData();
+    return Object.assign({}, data[addonId]);
+  }
+
+  async setAllAddonData(data) {
+    this.promisedAddonData = Promise.resolve(JSON.parse(JSON.stringify(data || {})));
+    return this.saveAddonData();
+  }
+
+  async setAddonData(addonId, values) {
+    const data = await this.getAllAddonData();
+    data[addonId] = Object.assign({}, data[addonId], JSON.parse(JSON.stringify(values || {})));
+    return this.saveAddonData();
+  }
+
+  async deleteAddonData(addonId, keys = null) {
+    const data = await this.getAllAddonData();
+    if (!(addonId in data))
+      return;
+    if (keys) {
+      for (const key of keys) {
+        delete data[addonId][key];
+      }
+    }
+    if (!keys ||
+        Object.keys(data[addonId]).length == 0)
+      delete data[addonId];
+    return this.saveAddonData();
+  }
+
+  async saveAddonData() {
+    const data = await this.getAllAddonData();
+    if (!this.tab)
+      return;
+    if (Object.keys(data).length > 0)
+      await browser.sessions.setTabValue(this.tab.id, Constants.kPERSISTENT_ADDON_DATA, data).catch(ApiTabs.createErrorSuppressor());
+    else
+      await browser.sessions.removeTabValue(this.tab.id, Constants.kPERSISTENT_ADDON_DATA).catch(ApiTabs.createErrorSuppressor());
+  }
+
   inheritSoundStateFromChildren() {
     // this is called too many times on a session restoration, so this should be throttled for better performance
     if (this.delayedInheritSoundStateFromChildren)
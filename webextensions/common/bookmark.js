@@ -10,6 +10,7 @@ import {
   configs,
   notify
 } from './common.js';
+import * as Constants from './constants.js';
 import * as Permissions from './permissions.js';
 import * as ApiTabs from '/common/api-tabs.js';
 
@@ -162,18 +163,132 @@ export async function bookmarkTabs(tabs, options = {}) {
   }
 
   const folder = await browser.bookmarks.create(folderParams).catch(ApiTabs.createErrorHandler());
-  for (let i = 0, maxi = tabs.length; i < maxi; i++) {
-    const tab = tabs[i];
-    await browser.bookmarks.create({
-      parentId: folder.id,
-      index:    i,
-      title:    tab.title,
-      url:      tab.url
-    }).catch(ApiTabs.createErrorSuppressor());
+  const nested = 'nested' in options ? options.nested : configs.bookmarkTreeAsNestedFolders;
+  if (nested) {
+    await createNestedBookmarks(tabs, folder.id);
+  }
+  else {
+    for (let i = 0, maxi = tabs.length; i < maxi; i++) {
+      const tab = tabs[i];
+      await browser.bookmarks.create({
+        parentId: folder.id,
+        index:    i,
+        title:    tab.title,
+        url:      tab.url
+      }).catch(ApiTabs.createErrorSuppressor());
+    }
   }
   return folder;
 }
 
+// Each parent tab becomes a folder which contains a bookmark for the
+// parent itself as its first item, and items for its children after that.
+// Both the folder and the first bookmark are titled with the title of the
+// parent tab, and getItemsWithTreeStructure() detects parents by that.
+async function createNestedBookmarks(tabs, parentId) {
+  const tabIds = new Set(tabs.map(tab => tab.id));
+  const rootTabs = [];
+  const childrenOf = new Map();
+  for (const tab of tabs) {
+    const parent = tab.$TST && tab.$TST.ancestors.find(ancestor => tabIds.has(ancestor.id));
+    if (!parent) {
+      rootTabs.push(tab);
+      continue;
+    }
+    const children = childrenOf.get(parent.id) || [];
+    children.push(tab);
+    childrenOf.set(parent.id, children);
+  }
+
+  const createItems = async (tabs, parentId, startIndex = 0) => {
+    for (let i = 0, maxi = tabs.length; i < maxi; i++) {
+      const tab      = tabs[i];
+      const children = childrenOf.get(tab.id);
+      if (!children) {
+        await browser.bookmarks.create({
+          parentId,
+          index: startIndex + i,
+          title: tab.title,
+          url:   tab.url
+        }).catch(ApiTabs.createErrorSuppressor());
+        continue;
+      }
+      const folder = await browser.bookmarks.create({
+        parentId,
+        index: startIndex + i,
+        title: tab.title
+      }).catch(ApiTabs.createErrorSuppressor());
+      if (!folder)
+        continue;
+      await browser.bookmarks.create({
+        parentId: folder.id,
+        index:    0,
+        title:    tab.title,
+        url:      tab.url
+      }).catch(ApiTabs.createErrorSuppressor());
+      await createItems(children, folder.id, 1);
+    }
+  };
+  await createItems(rootTabs, parentId);
+}
+
+// Returns flat list of bookmarks with tree structure compatible to
+// Tree.getTreeStructureFromTabs(), from a folder created with the
+// "nested folders" mode. A folder is treated as a parent tab only when
+// its first item is a bookmark with the same title as the folder, like
+// folders created by createNestedBookmarks(). Other folders are treated
+// as simple containers, so their items become siblings.
+export async function getItemsWithTreeStructure(folderId) {
+  const rootItems = await browser.bookmarks.getSubTree(folderId).catch(ApiTabs.createErrorHandler());
+  if (!rootItems || rootItems.length == 0)
+    return { items: [], structure: [] };
+
+  const items = [];
+  const isOpenable = item => item.type == 'bookmark' && !Constants.kUNOPENABLE_URL_MATCHER.test(item.url);
+  const collectItems = (bookmarks, parentIndex) => {
+    for (const bookmark of bookmarks) {
+      if (isOpenable(bookmark)) {
+        items.push({
+          title:  bookmark.title,
+          url:    bookmark.url,
+          parent: parentIndex
+        });
+        continue;
+      }
+      if (bookmark.type != 'folder')
+        continue;
+      const children = (bookmark.children || []).filter(child => child.type != 'separator');
+      if (children.length > 0 &&
+          isOpenable(children[0]) &&
+          children[0].title == bookmark.title) {
+        const index = items.length;
+        items.push({
+          title:  children[0].title,
+          url:    children[0].url,
+          parent: parentIndex
+        });
+        collectItems(children.slice(1), index);
+      }
+      else {
+        collectItems(children, parentIndex);
+      }
+    }
+  };
+  const root = rootItems[0];
+  collectItems(root.type == 'folder' ? (root.children || []) : [root], -1);
+
+  // The index of the parent is relative to the root tab of each tree.
+  let rootIndex = -1;
+  const structure = items.map((item, index) => {
+    if (item.parent < 0) {
+      rootIndex = index;
+      return { parent: -1, collapsed: false };
+    }
+    return { parent: item.parent - rootIndex, collapsed: false };
+  });
+  return { items, structure };
+}
+
 let mChooserTree = null;
 
 export async function initFolderChoolser(anchor, params = {}) {
@@ -36,6 +36,8 @@ export const configs = new Configs({
   baseIndent: 12,
   minIndent: Constants.kDEFAULT_MIN_INDENT,
   maxTreeLevel: -1,
+  enforceMaxTreeLevel: false,
+  attachTooDeepTabAs: Constants.kNEWTAB_OPEN_AS_NEXT_SIBLING,
   indentAutoShrink: true,
   indentAutoShrinkOnlyForVisible: true,
   labelOverflowStyle: 'fade',
@@ -47,6 +49,8 @@ export const configs = new Configs({
   longPressOnNewTabButton: Constants.kCONTEXTUAL_IDENTITY_SELECTOR,
   zoomable: false,
   showCollapsedDescendantsByTooltip: true,
+  showTabFilter: false,
+  tabFilterUseRegExp: false,
 
 
   // context menu
@@ -55,27 +59,48 @@ export const configs = new Configs({
 
   context_reloadTree: true,
   context_reloadDescendants: false,
+  context_unloadTree: false,
+  context_unloadOtherTrees: false,
   context_closeTree: true,
   context_closeDescendants: false,
   context_closeOthers: false,
+  context_undoCloseTree: true,
   context_collapseTree: false,
   context_collapseAll: true,
   context_expandTree: false,
   context_expandAll: true,
   context_bookmarkTree: true,
   context_groupTabs: true,
+  context_saveTreeToFile: true,
+  context_loadTreeFromFile: true,
+  context_saveTreeAsSession: true,
+  context_sortChildren: false,
+  context_sortTree: false,
+  context_findDuplicatedTabs: true,
+  context_flattenTree: false,
+  context_moveTreeToWindow: true,
 
   context_topLevel_reloadTree: false,
   context_topLevel_reloadDescendants: false,
+  context_topLevel_unloadTree: false,
+  context_topLevel_unloadOtherTrees: false,
   context_topLevel_closeTree: false,
   context_topLevel_closeDescendants: false,
   context_topLevel_closeOthers: false,
+  context_topLevel_undoCloseTree: false,
   context_topLevel_collapseTree: false,
   context_topLevel_collapseAll: false,
   context_topLevel_expandTree: false,
   context_topLevel_expandAll: false,
   context_topLevel_bookmarkTree: false,
   context_topLevel_groupTabs: false,
+  context_topLevel_saveTreeToFile: false,
+  context_topLevel_loadTreeFromFile: false,
+  context_topLevel_saveTreeAsSession: false,
+  context_topLevel_sortChildren: false,
+  context_topLevel_sortTree: false,
+  context_topLevel_findDuplicatedTabs: false,
+  context_topLevel_flattenTree: false,
 
   context_closeTabOptions_closeTree: false, // obsolete, migrated to context_topLevel_closeTree
   context_closeTabOptions_closeDescendants: false, // obsolete, migrated to context_topLevel_closeDescendants
@@ -105,6 +130,12 @@ export const configs = new Configs({
 
   skipCollapsedTabsForTabSwitchingShortcuts: false,
 
+  hideCollapsedTabsNatively: false, // requires the "tabHide" permission
+
+  autoUnloadInactiveTrees: false,
+  autoUnloadInactiveTreesDelay: 30, // in minutes
+  autoUnloadCollapsedTrees: false,
+
   parentTabBehaviorForChanges: Constants.kPARENT_TAB_BEHAVIOR_ALWAYS,
 
   syncParentTabAndOpenerTab: true,
@@ -145,6 +176,11 @@ export const configs = new Configs({
   guessNewOrphanTabAsOpenedByNewTabCommandUrl: 'about:newtab',
   inheritContextualIdentityToNewChildTab: false,
   inheritContextualIdentityToSameSiteOrphan: true,
+  // Array of rules like:
+  // { enabled: true, urlPattern: '', cookieStoreId: '', openerPattern: '',
+  //   action: Constants.kAUTO_GROUPING_ACTION_*, groupTitle: '' }
+  autoGroupingRules: [],
+  checkDuplicatedTabOnOpen: false,
 
 
   // behavior around closed tab
@@ -177,6 +213,12 @@ export const configs = new Configs({
 
   // misc.
   bookmarkTreeFolderName: browser.i18n.getMessage('bookmarkFolder_label_default', ['%TITLE%', '%YEAR%', '%MONTH%', '%DATE%']),
+  bookmarkTreeAsNestedFolders: false,
+  sortTreeKey: Constants.kSORT_KEY_TITLE,
+  sortTreeOrder: Constants.kSORT_ORDER_ASCENDING,
+  duplicatedTabsIgnoreHash: true,
+  duplicatedTabsIgnoreTrackingParams: false,
+  undoTreeOperationHistorySize: 30,
   defaultBookmarkParentId: 'unfiled_____',
   defaultSearchEngine: 'https://www.google.com/search?q=%s',
   acceleratedTabOperations: true,
@@ -202,6 +244,10 @@ export const configs = new Configs({
     'multipletab@piro.sakura.ne.jp'
   ],
   cachedExternalAddons: [],
+  // { "addon-id": { name: "Addon Name", granted: ["read-tree", ...], denied: [...] } }
+  externalAddonPermissions: {},
+  // Responses from addons for "try-*" notifications later than this are ignored.
+  tryOperationTimeout: 500,
   notifiedFeaturesVersion: 0,
 
   useCachedTree: true,
@@ -240,11 +286,13 @@ export const configs = new Configs({
   loggingQueries: false,
   logFor: { // git grep configs.logFor | grep -v common.js | cut -d "'" -f 2 | sed -e "s/^/    '/" -e "s/$/': false,/"
     'background/api-tabs-listener': false,
+    'background/auto-unload': false,
     'background/background-cache': false,
     'background/background': false,
     'background/browser-action-menu': false,
     'background/commands': false,
     'background/context-menu': false,
+    'background/duplicated-tabs': false,
     'background/handle-group-tabs': false,
     'background/handle-misc': false,
     'background/handle-moved-tabs': false,
@@ -254,12 +302,16 @@ export const configs = new Configs({
     'background/handle-tab-multiselect': false,
     'background/handle-tree-changes': false,
     'background/migration': false,
+    'background/native-tab-visibility': false,
     'background/successor-tab': false,
     'background/tab-context-menu': false,
     'background/tabs-group': false,
     'background/tabs-move': false,
     'background/tabs-open': false,
     'background/tree': false,
+    'background/tree-file': false,
+    'background/tree-history': false,
+    'background/tree-sessions': false,
     'background/tree-structure': false,
     'common/Tab': false,
     'common/Window': false,
@@ -274,12 +326,19 @@ export const configs = new Configs({
     'common/tst-api': false,
     'common/unique-id': false,
     'common/user-operation-blocker': false,
+    'resources/api-permissions': false,
+    'resources/duplicated-tabs': false,
+    'resources/tree-file': false,
+    'resources/tree-sessions': false,
     'sidebar/background-connection': false,
     'sidebar/collapse-expand': false,
     'sidebar/color': false,
     'sidebar/drag-and-drop': false,
     'sidebar/event-utils': false,
+    'sidebar/extra-tab-contents': false,
     'sidebar/indent': false,
+    'sidebar/keyboard-event-listener': false,
+    'sidebar/lazy-tab-contents': false,
     'sidebar/mouse-event-listener': false,
     'sidebar/pinned-tabs': false,
     'sidebar/scroll': false,
@@ -288,7 +347,8 @@ export const configs = new Configs({
     'sidebar/sidebar': false,
     'sidebar/size': false,
     'sidebar/tab-context-menu': false,
-    'sidebar/tab-drag-handle': false
+    'sidebar/tab-drag-handle': false,
+    'sidebar/tab-filter': false
   },
   loggingConnectionMessages: false,
 
@@ -313,6 +373,7 @@ export const configs = new Configs({
     subMenuCloseDelay
     minimumIntervalToProcessDragoverEvent
     cachedExternalAddons
+    externalAddonPermissions
     notifiedFeaturesVersion
     requestingPermissions
     requestingPermissionsNatively
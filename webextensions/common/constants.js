@@ -28,6 +28,7 @@ export const kCOMMAND_REMOVE_TABS_INTERNALLY         = 'treestyletab:remove-tabs
 export const kCOMMAND_UPDATE_LOADING_STATE           = 'treestyletab:update-loading-state';
 export const kCOMMAND_CONFIRM_TO_CLOSE_TABS          = 'treestyletab:confirm-to-close-tabs';
 export const kCOMMAND_CONFIRM_TO_AUTO_GROUP_NEW_TABS = 'treestyletab:confirm-to-auto-group-new-tabs';
+export const kCOMMAND_CONFIRM_TO_SWITCH_TO_DUPLICATED_TAB = 'treestyletab:confirm-to-switch-to-duplicated-tab';
 export const kCOMMAND_NOTIFY_TAB_CREATING            = 'treestyletab:notify-tab-creating';
 export const kCOMMAND_NOTIFY_TAB_CREATED             = 'treestyletab:notify-tab-created';
 export const kCOMMAND_NOTIFY_TAB_UPDATED             = 'treestyletab:notify-tab-updated';
@@ -80,6 +81,35 @@ export const kCOMMAND_BROADCAST_TAB_STATE     = 'treestyletab:broadcast-tab-stat
 export const kCOMMAND_BOOKMARK_TAB_WITH_DIALOG  = 'treestyletab:bookmark-tab-with-dialog';
 export const kCOMMAND_BOOKMARK_TABS_WITH_DIALOG = 'treestyletab:bookmark-tabs-with-dialog';
 
+export const kCOMMAND_EXPORT_TREE_FILE = 'treestyletab:export-tree-file';
+export const kCOMMAND_IMPORT_TREE_FILE = 'treestyletab:import-tree-file';
+
+export const kCOMMAND_UNDO_CLOSE_TREE = 'treestyletab:undo-close-tree';
+
+export const kCOMMAND_PULL_TREE_SESSIONS   = 'treestyletab:pull-tree-sessions';
+export const kCOMMAND_SAVE_TREE_SESSION    = 'treestyletab:save-tree-session';
+export const kCOMMAND_RENAME_TREE_SESSION  = 'treestyletab:rename-tree-session';
+export const kCOMMAND_REMOVE_TREE_SESSION  = 'treestyletab:remove-tree-session';
+export const kCOMMAND_RESTORE_TREE_SESSION = 'treestyletab:restore-tree-session';
+
+export const kCOMMAND_PULL_DUPLICATED_TABS  = 'treestyletab:pull-duplicated-tabs';
+export const kCOMMAND_CLOSE_DUPLICATED_TABS = 'treestyletab:close-duplicated-tabs';
+
+export const kCOMMAND_DECIDE_API_PERMISSIONS = 'treestyletab:decide-api-permissions';
+
+export const kAPI_PERMISSION_READ_TREE    = 'read-tree';
+export const kAPI_PERMISSION_MODIFY_TREE  = 'modify-tree';
+export const kAPI_PERMISSION_REMOVE_TABS  = 'remove-tabs';
+export const kAPI_PERMISSION_CONTEXT_MENU = 'context-menu';
+export const kAPI_PERMISSION_STYLE        = 'style';
+export const kAPI_PERMISSIONS = [
+  kAPI_PERMISSION_READ_TREE,
+  kAPI_PERMISSION_MODIFY_TREE,
+  kAPI_PERMISSION_REMOVE_TABS,
+  kAPI_PERMISSION_CONTEXT_MENU,
+  kAPI_PERMISSION_STYLE
+];
+
 export const kNOTIFY_TAB_MOUSEDOWN  = 'treestyletab:tab-mousedown';
 export const kNOTIFY_TAB_MOUSEDOWN_CANCELED = 'treestyletab:tab-mousedown-canceled';
 export const kNOTIFY_TAB_MOUSEDOWN_EXPIRED  = 'treestyletab:tab-mousedown-expired';
@@ -104,9 +134,11 @@ export const kPERSISTENT_CHILDREN      = 'children';
 export const kPERSISTENT_INSERT_BEFORE = 'insert-before';
 export const kPERSISTENT_INSERT_AFTER  = 'isnert-after';
 export const kPERSISTENT_STATES        = 'special-tab-states';
+export const kPERSISTENT_ADDON_DATA    = 'addon-data';
 export const kPERSISTENT_SUBTREE_COLLAPSED = 'subtree-collapsed'; // obsolete
 export const kPERSISTENT_ORIGINAL_OPENER_TAB_ID            = 'data-original-opener-tab-id';
 export const kPERSISTENT_ALREADY_GROUPED_FOR_PINNED_OPENER = 'data-already-grouped-for-pinned-opener';
+export const kPERSISTENT_HIDDEN_FOR_COLLAPSED = 'data-hidden-for-collapsed';
 
 export const kFAVICON         = 'favicon';
 export const kFAVICON_IMAGE   = 'favicon-image';
@@ -119,6 +151,7 @@ export const kSOUND_BUTTON    = 'sound-button';
 export const kTWISTY          = 'twisty';
 export const kLABEL           = 'label';
 export const kCOUNTER         = 'counter';
+export const kUNLOADED_COUNTER = 'unloaded-counter';
 export const kCLOSEBOX        = 'closebox';
 export const kNEWTAB_BUTTON   = 'newtab-button';
 export const kEXTRA_ITEMS_CONTAINER        = 'extra-items-container';
@@ -161,6 +194,11 @@ export const kTAB_STATE_DRAGGING                  = 'dragging';
 export const kTAB_STATE_DUPLICATING               = 'duplicating';
 export const kTAB_STATE_RESTORED                  = 'restored';
 export const kTAB_STATE_THROBBER_UNSYNCHRONIZED   = 'throbber-unsynchronized';
+export const kTAB_STATE_FILTER_MATCHED            = 'filter-matched';
+export const kTAB_STATE_FILTER_CONTEXT            = 'filter-context';
+export const kTAB_STATE_FILTER_UNMATCHED          = 'filter-unmatched';
+export const kTAB_STATE_FILTER_FOCUSED            = 'filter-focused';
+export const kTAB_STATE_CONTENTS_RENDERED         = 'contents-rendered';
 export const kTAB_INTERNAL_STATES = [
   'tab',
   kTAB_STATE_LAST_ROW,
@@ -171,7 +209,11 @@ export const kTAB_INTERNAL_STATES = [
   kTAB_STATE_EXPANDING,
   kTAB_STATE_MOVING,
   kTAB_STATE_SHOWING,
-  kTAB_STATE_THROBBER_UNSYNCHRONIZED
+  kTAB_STATE_THROBBER_UNSYNCHRONIZED,
+  kTAB_STATE_FILTER_MATCHED,
+  kTAB_STATE_FILTER_CONTEXT,
+  kTAB_STATE_FILTER_UNMATCHED,
+  kTAB_STATE_FILTER_FOCUSED
 ];
 export const kTAB_TEMPORARY_STATES = [
   kTAB_STATE_BURSTING,
@@ -180,7 +222,11 @@ export const kTAB_TEMPORARY_STATES = [
   kTAB_STATE_EXPANDING,
   kTAB_STATE_MOVING,
   kTAB_STATE_REMOVING,
-  kTAB_STATE_SHOWING
+  kTAB_STATE_SHOWING,
+  kTAB_STATE_FILTER_MATCHED,
+  kTAB_STATE_FILTER_CONTEXT,
+  kTAB_STATE_FILTER_UNMATCHED,
+  kTAB_STATE_FILTER_FOCUSED
 ];
 
 export const kTABBAR_STATE_OVERFLOW               = 'overflow';
@@ -194,6 +240,8 @@ export const kTABBAR_STATE_NARROW_SCROLLBAR       = 'narrow-scrollbar';
 export const kTABBAR_STATE_NO_SCROLLBAR           = 'no-scrollbar';
 export const kTABBAR_STATE_OVERLAY_SCROLLBAR      = 'overlay-scrollbar';
 export const kTABBAR_STATE_MULTIPLE_HIGHLIGHTED   = 'mutiple-highlighted';
+export const kTABBAR_STATE_TAB_FILTER_AVAILABLE   = 'tab-filter-available';
+export const kTABBAR_STATE_FILTERING              = 'filtering';
 
 export const kWINDOW_STATE_TREE_STRUCTURE  = 'tree-structure';
 export const kWINDOW_STATE_SCROLL_POSITION = 'scroll-position';
@@ -276,6 +324,20 @@ export const kNEWTAB_OPEN_AS_CHILD        = 1;
 export const kNEWTAB_OPEN_AS_SIBLING      = 2;
 export const kNEWTAB_OPEN_AS_NEXT_SIBLING = 3;
 
+export const kAUTO_GROUPING_ACTION_GROUP     = 'group';
+export const kAUTO_GROUPING_ACTION_SAME_SITE = 'same-site';
+export const kAUTO_GROUPING_ACTION_FIRST     = 'first';
+export const kAUTO_GROUPING_ACTION_LAST      = 'last';
+
+export const kSORT_KEY_TITLE         = 'title';
+export const kSORT_KEY_URL           = 'url';
+export const kSORT_KEY_DOMAIN        = 'domain';
+export const kSORT_KEY_LAST_ACCESSED = 'lastAccessed';
+export const kSORT_KEY_CREATION      = 'creation';
+
+export const kSORT_ORDER_ASCENDING  = 'ascending';
+export const kSORT_ORDER_DESCENDING = 'descending';
+
 export const kSCROLL_TO_NEW_TAB_IGNORE      = 0;
 export const kSCROLL_TO_NEW_TAB_IF_POSSIBLE = 1;
 
@@ -301,3 +363,11 @@ export const kSHORTHAND_URIS = {
 };
 
 export const kNOTIFICATION_DEFAULT_ICON = '/resources/icon64.png';
+
+// URLs which cannot be opened by tabs.create()
+export const kUNOPENABLE_URL_MATCHER = /^(?:(?:place|javascript|data|file|chrome):|about:(?!blank(?:[?#]|$)))/i;
+
+export const kTREE_FILE_FORMAT_JSON     = 'json';
+export const kTREE_FILE_FORMAT_OPML     = 'opml';
+export const kTREE_FILE_FORMAT_MARKDOWN = 'markdown';
+export const kTREE_FILE_TYPE            = 'treestyletab-tree';
@@ -55,7 +55,7 @@ export function sendMessage(message) {
     const port = mOpenState.get(message.windowId);
     if (!port)
       return false;
-    sendMessageToPort(port, message);
+    sendMessageToPort(port, message, message.windowId);
     //port.postMessage(message);
     return true;
   }
@@ -63,39 +63,67 @@ export function sendMessage(message) {
   // broadcast
   counts.broadcast[message.type] = counts.broadcast[message.type] || 0;
   counts.broadcast[message.type]++;
-  for (const port of mOpenState.values()) {
-    sendMessageToPort(port, message);
+  for (const [windowId, port] of mOpenState.entries()) {
+    sendMessageToPort(port, message, windowId);
     //port.postMessage(message);
   }
   return true;
 }
 
 const mReservedTasks = new WeakMap();
+const mHeldWindows   = new Map();
+
+// Messages to the sidebar are kept while they are held, and sent at once
+// when they are released. This is useful to apply multiple changes to the
+// sidebar as a single update.
+export function holdMessages(windowId) {
+  mHeldWindows.set(windowId, (mHeldWindows.get(windowId) || 0) + 1);
+}
+
+export function releaseMessages(windowId) {
+  const count = (mHeldWindows.get(windowId) || 0) - 1;
+  if (count > 0) {
+    mHeldWindows.set(windowId, count);
+    return;
+  }
+  mHeldWindows.delete(windowId);
+  const port = mOpenState && mOpenState.get(windowId);
+  const task = port && mReservedTasks.get(port);
+  if (task &&
+      task.messages.length > 0 &&
+      !task.onFrame)
+    scheduleTask(port, task, windowId);
+}
 
 // Se should not send messages immediately, instead we should throttle
 // it and bulk-send multiple messages, for better user experience.
 // Sending too much messages in one event loop may block everything
 // and makes Firefox like frozen.
-function sendMessageToPort(port, message) {
+function sendMessageToPort(port, message, windowId) {
   const task = mReservedTasks.get(port) || { messages: [] };
   task.messages.push(message);
   mReservedTasks.set(port, task);
-  if (!task.onFrame) {
-    task.onFrame = () => {
-      delete task.onFrame;
-      const messages = task.messages;
-      task.messages = [];
-      port.postMessage(messages);
-      if (configs.debug)
-        log(`${messages.length} messages sent (${Array.from(new Set(messages.map(message => message.type))).join(', ')}):`, messages);
-    };
-    // We should not use window.requestAnimationFrame for throttling,
-    // because it is quite lagged on some environment. Firefox may
-    // decelerate the method for an invisible document (the background
-    // page).
-    //window.requestAnimationFrame(task.onFrame);
-    setTimeout(task.onFrame, 0);
-  }
+  if (!task.onFrame)
+    scheduleTask(port, task, windowId);
+}
+
+function scheduleTask(port, task, windowId) {
+  if (mHeldWindows.has(windowId))
+    return;
+  task.onFrame = () => {
+    delete task.onFrame;
+    const messages = task.messages;
+    task.messages = [];
+    port.postMessage(messages);
+    if (configs.debug)
+      log(`${messages.length} messages sent (${Array.from(new Set(messages.map(message => message.type))).join(', ')}):`, messages);
+  };
+  // We should not use window.requestAnimationFrame for throttling,
+  // because it is quite lagged on some environment. Firefox may
+  // decelerate the method for an invisible document (the background
+  // page).
+  //window.requestAnimationFrame(task.onFrame);
+  setTimeout(task.onFrame, 0);
 }
 
 export function init() {
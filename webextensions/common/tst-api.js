@@ -49,6 +49,7 @@ import * as Constants from './constants.js';
 import * as ApiTabs from '/common/api-tabs.js';
 import * as TabsStore from './tabs-store.js';
 import * as SidebarConnection from './sidebar-connection.js';
+import * as Permissions from './permissions.js';
 
 import Tab from './Tab.js';
 
@@ -60,6 +61,7 @@ export const kREGISTER_SELF         = 'register-self';
 export const kUNREGISTER_SELF       = 'unregister-self';
 export const kWAIT_FOR_SHUTDOWN     = 'wait-for-shutdown';
 export const kPING                  = 'ping';
+export const kGET_CAPABILITIES      = 'get-capabilities';
 export const kNOTIFY_READY          = 'ready';
 export const kNOTIFY_SHUTDOWN       = 'shutdown'; // defined but not notified for now.
 export const kNOTIFY_SIDEBAR_SHOW   = 'sidebar-show';
@@ -82,7 +84,13 @@ export const kNOTIFY_TAB_DRAGEND    = 'tab-dragend';
 export const kNOTIFY_NATIVE_TAB_DRAGSTART = 'native-tab-dragstart';
 export const kSTART_CUSTOM_DRAG     = 'start-custom-drag';
 export const kNOTIFY_TRY_MOVE_FOCUS_FROM_CLOSING_CURRENT_TAB = 'try-move-focus-from-closing-current-tab';
+export const kNOTIFY_TRY_ATTACH     = 'try-attach';
+export const kNOTIFY_TRY_COLLAPSE   = 'try-collapse';
+export const kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED = 'try-fixup-tree-on-close';
+export const kNOTIFY_TRY_GROUP_NEW_TABS = 'try-group-new-tabs';
 export const kGET_TREE              = 'get-tree';
+export const kCREATE                = 'create';
+export const kOPEN_URIS             = 'open-uris';
 export const kATTACH                = 'attach';
 export const kDETACH                = 'detach';
 export const kINDENT                = 'indent';
@@ -104,8 +112,30 @@ export const kGET_TREE_STRUCTURE    = 'get-tree-structure';
 export const kSET_TREE_STRUCTURE    = 'set-tree-structure';
 export const kCOLLAPSE_TREE         = 'collapse-tree';
 export const kEXPAND_TREE           = 'expand-tree';
+export const kCOLLAPSE_ALL          = 'collapse-all';
+export const kEXPAND_ALL            = 'expand-all';
+export const kCLOSE_TREE            = 'close-tree';
+export const kCLOSE_DESCENDANTS     = 'close-descendants';
+export const kCLOSE_OTHERS          = 'close-others';
+export const kRELOAD_TREE           = 'reload-tree';
+export const kRELOAD_DESCENDANTS    = 'reload-descendants';
+export const kUNLOAD_TREE           = 'unload-tree';
+export const kUNLOAD_OTHER_TREES    = 'unload-other-trees';
+export const kBOOKMARK_TREE         = 'bookmark-tree';
+export const kSORT_CHILDREN         = 'sort-children';
+export const kFLATTEN_TREE          = 'flatten-tree';
+export const kMOVE_TREE_TO_WINDOW   = 'move-tree-to-window';
+export const kFIND_DUPLICATED_TABS  = 'find-duplicated-tabs';
+export const kCLOSE_DUPLICATED_TABS = 'close-duplicated-tabs';
+export const kOPEN_NEW_TAB_AS       = 'open-new-tab-as';
 export const kADD_TAB_STATE         = 'add-tab-state';
 export const kREMOVE_TAB_STATE      = 'remove-tab-state';
+export const kSET_TAB_DATA          = 'set-tab-data';
+export const kGET_TAB_DATA          = 'get-tab-data';
+export const kDELETE_TAB_DATA       = 'delete-tab-data';
+export const kSET_EXTRA_TAB_CONTENTS   = 'set-extra-tab-contents';
+export const kCLEAR_EXTRA_TAB_CONTENTS = 'clear-extra-tab-contents';
+export const kNOTIFY_TAB_EXTRA_CONTENTS_CLICKED = 'tab-extra-contents-clicked';
 export const kSCROLL                = 'scroll';
 export const kSCROLL_LOCK           = 'scroll-lock';
 export const kSCROLL_UNLOCK         = 'scroll-unlock';
@@ -113,6 +143,14 @@ export const kNOTIFY_SCROLLED       = 'scrolled';
 export const kBLOCK_GROUPING        = 'block-grouping';
 export const kUNBLOCK_GROUPING      = 'unblock-grouping';
 export const kGRANT_TO_REMOVE_TABS  = 'grant-to-remove-tabs';
+export const kUNDO_TREE_OPERATION   = 'undo-tree-operation';
+export const kREDO_TREE_OPERATION   = 'redo-tree-operation';
+export const kBATCH                 = 'batch';
+export const kNOTIFY_TREE_ATTACHED  = 'tree-attached';
+export const kNOTIFY_TREE_DETACHED  = 'tree-detached';
+export const kNOTIFY_TREE_COLLAPSED_STATE_CHANGED = 'tree-collapsed-state-changed';
+export const kNOTIFY_TAB_MOVED_IN_TREE = 'tab-moved-in-tree';
+export const kNOTIFY_TREE_STRUCTURE_CHANGED = 'tree-structure-changed';
 
 export const kCONTEXT_MENU_UPDATED    = 'fake-contextMenu-updated';
 export const kCONTEXT_MENU_GET_ITEMS  = 'fake-contextMenu-get-items';
@@ -132,6 +170,183 @@ export const kCOMMAND_BROADCAST_API_UNREGISTERED = 'treestyletab:broadcast-unreg
 export const kCOMMAND_REQUEST_INITIALIZE         = 'treestyletab:request-initialize';
 export const kCOMMAND_REQUEST_CONTROL_STATE      = 'treestyletab:request-control-state';
 
+export const kERROR_PERMISSION_DENIED     = 'permission-denied';
+export const kERROR_UNSUPPORTED_OPERATION = 'unsupported-operation';
+export const kERROR_BATCH_FAILED          = 'batch-failed';
+export const kERROR_WINDOW_MISMATCH       = 'window-mismatch';
+export const kERROR_TAB_NOT_FOUND         = 'tab-not-found';
+
+// Increased when new API messages or notifications are added.
+export const kAPI_VERSION = 2;
+
+// Every type constant above must be listed in one of following lists.
+// Messages and notifications are reported to addons as capabilities.
+export const kMESSAGE_TYPES = new Set([
+  kREGISTER_SELF,
+  kUNREGISTER_SELF,
+  kWAIT_FOR_SHUTDOWN,
+  kPING,
+  kGET_CAPABILITIES,
+  kSTART_CUSTOM_DRAG,
+  kGET_TREE,
+  kCREATE,
+  kOPEN_URIS,
+  kATTACH,
+  kDETACH,
+  kINDENT,
+  kDEMOTE,
+  kOUTDENT,
+  kPROMOTE,
+  kMOVE_UP,
+  kMOVE_TO_START,
+  kMOVE_DOWN,
+  kMOVE_TO_END,
+  kMOVE_BEFORE,
+  kMOVE_AFTER,
+  kFOCUS,
+  kDUPLICATE,
+  kGROUP_TABS,
+  kOPEN_IN_NEW_WINDOW,
+  kREOPEN_IN_CONTAINER,
+  kGET_TREE_STRUCTURE,
+  kSET_TREE_STRUCTURE,
+  kCOLLAPSE_TREE,
+  kEXPAND_TREE,
+  kCOLLAPSE_ALL,
+  kEXPAND_ALL,
+  kCLOSE_TREE,
+  kCLOSE_DESCENDANTS,
+  kCLOSE_OTHERS,
+  kRELOAD_TREE,
+  kRELOAD_DESCENDANTS,
+  kUNLOAD_TREE,
+  kUNLOAD_OTHER_TREES,
+  kBOOKMARK_TREE,
+  kSORT_CHILDREN,
+  kFLATTEN_TREE,
+  kMOVE_TREE_TO_WINDOW,
+  kFIND_DUPLICATED_TABS,
+  kCLOSE_DUPLICATED_TABS,
+  kOPEN_NEW_TAB_AS,
+  kADD_TAB_STATE,
+  kREMOVE_TAB_STATE,
+  kSET_TAB_DATA,
+  kGET_TAB_DATA,
+  kDELETE_TAB_DATA,
+  kSET_EXTRA_TAB_CONTENTS,
+  kCLEAR_EXTRA_TAB_CONTENTS,
+  kSCROLL,
+  kSCROLL_LOCK,
+  kSCROLL_UNLOCK,
+  kBLOCK_GROUPING,
+  kUNBLOCK_GROUPING,
+  kGRANT_TO_REMOVE_TABS,
+  kUNDO_TREE_OPERATION,
+  kREDO_TREE_OPERATION,
+  kBATCH,
+  kCONTEXT_MENU_GET_ITEMS,
+  kCONTEXT_MENU_OPEN,
+  kCONTEXT_MENU_CREATE,
+  kCONTEXT_MENU_UPDATE,
+  kCONTEXT_MENU_REMOVE,
+  kCONTEXT_MENU_REMOVE_ALL
+]);
+
+export const kNOTIFICATION_TYPES = new Set([
+  kNOTIFY_READY,
+  kNOTIFY_SIDEBAR_SHOW,
+  kNOTIFY_SIDEBAR_HIDE,
+  kNOTIFY_TAB_CLICKED,
+  kNOTIFY_TAB_MOUSEDOWN,
+  kNOTIFY_TAB_MOUSEUP,
+  kNOTIFY_TABBAR_CLICKED,
+  kNOTIFY_TABBAR_MOUSEDOWN,
+  kNOTIFY_TABBAR_MOUSEUP,
+  kNOTIFY_TAB_MOUSEMOVE,
+  kNOTIFY_TAB_MOUSEOVER,
+  kNOTIFY_TAB_MOUSEOUT,
+  kNOTIFY_TAB_DRAGREADY,
+  kNOTIFY_TAB_DRAGCANCEL,
+  kNOTIFY_TAB_DRAGSTART,
+  kNOTIFY_TAB_DRAGENTER,
+  kNOTIFY_TAB_DRAGEXIT,
+  kNOTIFY_TAB_DRAGEND,
+  kNOTIFY_NATIVE_TAB_DRAGSTART,
+  kNOTIFY_TRY_MOVE_FOCUS_FROM_CLOSING_CURRENT_TAB,
+  kNOTIFY_TRY_ATTACH,
+  kNOTIFY_TRY_COLLAPSE,
+  kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED,
+  kNOTIFY_TRY_GROUP_NEW_TABS,
+  kNOTIFY_TAB_EXTRA_CONTENTS_CLICKED,
+  kNOTIFY_SCROLLED,
+  kNOTIFY_TREE_ATTACHED,
+  kNOTIFY_TREE_DETACHED,
+  kNOTIFY_TREE_COLLAPSED_STATE_CHANGED,
+  kNOTIFY_TAB_MOVED_IN_TREE,
+  kNOTIFY_TREE_STRUCTURE_CHANGED,
+  kCONTEXT_MENU_CLICK,
+  kCONTEXT_MENU_SHOWN,
+  kCONTEXT_MENU_HIDDEN,
+  kCONTEXT_ITEM_CHECKED_STATUS_CHANGED
+]);
+
+export const kINTERNAL_TYPES = new Set([
+  kNOTIFY_SHUTDOWN, // defined but not notified for now.
+  kCONTEXT_MENU_UPDATED,
+  kCOMMAND_BROADCAST_API_REGISTERED,
+  kCOMMAND_BROADCAST_API_UNREGISTERED,
+  kCOMMAND_REQUEST_INITIALIZE,
+  kCOMMAND_REQUEST_CONTROL_STATE
+]);
+
+export const kERROR_TYPES = new Set([
+  kERROR_PERMISSION_DENIED,
+  kERROR_UNSUPPORTED_OPERATION,
+  kERROR_BATCH_FAILED,
+  kERROR_WINDOW_MISMATCH,
+  kERROR_TAB_NOT_FOUND
+]);
+
+const kPERMISSION_FREE_TYPES = new Set([
+  kPING,
+  kGET_CAPABILITIES,
+  kREGISTER_SELF,
+  kUNREGISTER_SELF,
+  kWAIT_FOR_SHUTDOWN,
+  kNOTIFY_READY,
+  kNOTIFY_SHUTDOWN,
+  kNOTIFY_SIDEBAR_SHOW,
+  kNOTIFY_SIDEBAR_HIDE
+]);
+const kPERMISSION_FOR_TYPE = {
+  [kGET_TREE]:                 Constants.kAPI_PERMISSION_READ_TREE,
+  [kGET_TREE_STRUCTURE]:       Constants.kAPI_PERMISSION_READ_TREE,
+  [kGET_TAB_DATA]:             Constants.kAPI_PERMISSION_READ_TREE,
+  [kFIND_DUPLICATED_TABS]:     Constants.kAPI_PERMISSION_READ_TREE,
+  [kSET_EXTRA_TAB_CONTENTS]:   Constants.kAPI_PERMISSION_STYLE,
+  [kCLEAR_EXTRA_TAB_CONTENTS]: Constants.kAPI_PERMISSION_STYLE,
+  [kGRANT_TO_REMOVE_TABS]:     Constants.kAPI_PERMISSION_REMOVE_TABS,
+  [kNOTIFY_TRY_ATTACH]:        Constants.kAPI_PERMISSION_MODIFY_TREE,
+  [kNOTIFY_TRY_COLLAPSE]:      Constants.kAPI_PERMISSION_MODIFY_TREE,
+  [kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED]: Constants.kAPI_PERMISSION_MODIFY_TREE,
+  [kNOTIFY_TRY_GROUP_NEW_TABS]: Constants.kAPI_PERMISSION_MODIFY_TREE,
+  [kCLOSE_TREE]:               Constants.kAPI_PERMISSION_REMOVE_TABS,
+  [kCLOSE_DESCENDANTS]:        Constants.kAPI_PERMISSION_REMOVE_TABS,
+  [kCLOSE_OTHERS]:             Constants.kAPI_PERMISSION_REMOVE_TABS,
+  [kCLOSE_DUPLICATED_TABS]:    Constants.kAPI_PERMISSION_REMOVE_TABS,
+  [kCONTEXT_MENU_UPDATED]:     Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_GET_ITEMS]:   Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_OPEN]:        Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_CREATE]:      Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_UPDATE]:      Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_REMOVE]:      Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_REMOVE_ALL]:  Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_CLICK]:       Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_SHOWN]:       Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_MENU_HIDDEN]:      Constants.kAPI_PERMISSION_CONTEXT_MENU,
+  [kCONTEXT_ITEM_CHECKED_STATUS_CHANGED]: Constants.kAPI_PERMISSION_CONTEXT_MENU
+};
+
 const kCONTEXT_BACKEND  = 1;
 const kCONTEXT_FRONTEND = 2;
 
@@ -183,8 +398,203 @@ function getAddons() {
   return mAddons.entries();
 }
 
+
+/* permissions */
+
+// Other APIs can change the tree, so they require the permission to modify
+// the tree by default.
+export function getRequiredPermission(type) {
+  if (kPERMISSION_FREE_TYPES.has(type))
+    return null;
+  return kPERMISSION_FOR_TYPE[type] || Constants.kAPI_PERMISSION_MODIFY_TREE;
+}
+
+// Notifications contain information of tabs, so they require the permission
+// to read the tree by default.
+export function getRequiredPermissionForNotification(type) {
+  if (kPERMISSION_FREE_TYPES.has(type))
+    return null;
+  return kPERMISSION_FOR_TYPE[type] || Constants.kAPI_PERMISSION_READ_TREE;
+}
+
+export function isGranted(addonId, permission) {
+  if (!permission ||
+      addonId == browser.runtime.id)
+    return true;
+  const decision = configs.externalAddonPermissions[addonId];
+  return !!decision && decision.granted.includes(permission);
+}
+
+function isDecided(addonId, permission) {
+  const decision = configs.externalAddonPermissions[addonId];
+  return !!decision && (decision.granted.includes(permission) || decision.denied.includes(permission));
+}
+
+// This returns a promise for a structured error response if the sender
+// is not allowed to call the API, otherwise returns null. This must be
+// synchronous, because listeners of runtime.onMessageExternal must not
+// return a promise for unhandled messages.
+export function checkPermission(message, sender) {
+  const permission = getRequiredPermission(message.type);
+  if (!permission ||
+      isGranted(sender.id, permission))
+    return null;
+  if (mContext == kCONTEXT_BACKEND)
+    requestPermissions(sender.id, [permission]);
+  log(`checkPermission: ${sender.id} is not allowed to call ${message.type}`);
+  return Promise.resolve({
+    error:   kERROR_PERMISSION_DENIED,
+    type:    message.type,
+    permission,
+    message: `The API "${message.type}" requires the permission "${permission}", but it is not granted for ${sender.id}.`
+  });
+}
+
+function getRequestedPermissions(addon) {
+  const permissions = new Set(
+    (Array.isArray(addon.permissions) ? addon.permissions : [])
+      .filter(permission => Constants.kAPI_PERMISSIONS.includes(permission))
+  );
+  if (addon.style)
+    permissions.add(Constants.kAPI_PERMISSION_STYLE);
+  if (addon.listeningTypes.some(type => getRequiredPermissionForNotification(type) == Constants.kAPI_PERMISSION_READ_TREE))
+    permissions.add(Constants.kAPI_PERMISSION_READ_TREE);
+  return Array.from(permissions);
+}
+
+const mPermissionRequests   = new Map();
+// Permissions not decided by the user are not requested again until the
+// addon is registered again.
+const mDismissedPermissions = new Map();
+
+async function requestPermissions(addonId, permissions) {
+  const lastRequest = mPermissionRequests.get(addonId);
+  const dismissed   = mDismissedPermissions.get(addonId) || new Set();
+  const newPermissions = permissions.filter(permission => (
+    !isGranted(addonId, permission) &&
+    !isDecided(addonId, permission) &&
+    !dismissed.has(permission) &&
+    (!lastRequest || !lastRequest.permissions.includes(permission))
+  ));
+  if (newPermissions.length == 0)
+    return;
+
+  const request = {
+    windowId:    null,
+    permissions: (lastRequest ? lastRequest.permissions : []).concat(newPermissions)
+  };
+  mPermissionRequests.set(addonId, request);
+  // The old dialog is replaced with new one for all requested permissions.
+  if (lastRequest && lastRequest.windowId)
+    browser.windows.remove(lastRequest.windowId).catch(ApiTabs.createErrorSuppressor());
+
+  log('requestPermissions: ', addonId, request.permissions);
+  const addon  = getAddon(addonId);
+  const params = new URLSearchParams({
+    id:          addonId,
+    name:        addon && addon.name || addonId,
+    permissions: request.permissions.join(',')
+  });
+  const window = await browser.windows.create({
+    type:   'popup',
+    url:    `/resources/api-permissions.html?${params.toString()}`,
+    width:  480,
+    height: 320,
+    allowScriptsToClose: true
+  }).catch(ApiTabs.createErrorHandler());
+  if (mPermissionRequests.get(addonId) != request) {
+    browser.windows.remove(window.id).catch(ApiTabs.createErrorSuppressor());
+    return;
+  }
+  request.windowId = window.id;
+}
+
+function onPermissionRequestWindowRemoved(windowId) {
+  for (const [addonId, request] of mPermissionRequests.entries()) {
+    if (request.windowId != windowId)
+      continue;
+    log('permission request is dismissed: ', addonId, request.permissions);
+    mPermissionRequests.delete(addonId);
+    const dismissed = mDismissedPermissions.get(addonId) || new Set();
+    for (const permission of request.permissions) {
+      dismissed.add(permission);
+    }
+    mDismissedPermissions.set(addonId, dismissed);
+    break;
+  }
+}
+
+function decidePermissions(addonId, { name, granted, denied }) {
+  granted = (granted || []).filter(permission => Constants.kAPI_PERMISSIONS.includes(permission));
+  denied  = (denied || []).filter(permission => Constants.kAPI_PERMISSIONS.includes(permission));
+  log('decidePermissions: ', addonId, { granted, denied });
+  mPermissionRequests.delete(addonId);
+  const decisions = JSON.parse(JSON.stringify(configs.externalAddonPermissions));
+  const decision  = decisions[addonId] || { name: name || addonId, granted: [], denied: [] };
+  decision.granted = Array.from(new Set(decision.granted.filter(permission => !denied.includes(permission)).concat(granted)));
+  decision.denied  = Array.from(new Set(decision.denied.filter(permission => !granted.includes(permission)).concat(denied)));
+  decisions[addonId] = decision;
+  configs.externalAddonPermissions = decisions;
+}
+
 const mConnections = new Map();
 
+// Keywords accepted as tab ids by getTargetTabs(), and keys of its "query".
+const kTAB_KEYWORDS = [
+  '*',
+  'active',
+  'current',
+  'next',
+  'previous',
+  'prev',
+  'nextSibling',
+  'previousSibling',
+  'prevSibling',
+  'senderTab',
+  'highlighted',
+  'multiselected'
+];
+const kQUERY_KEYS = [
+  'rootsOnly',
+  'title',
+  'url',
+  'cookieStoreId',
+  'active',
+  'audible',
+  'discarded',
+  'hidden',
+  'highlighted',
+  'pinned',
+  'groupTabs',
+  'collapsed',
+  'subtreeCollapsed',
+  'states',
+  'descendantsOf',
+  'ancestorsOf',
+  'depth',
+  'offset',
+  'limit'
+];
+
+const kOPTIONAL_PERMISSIONS = [
+  ['tabHide',    Permissions.TAB_HIDE],
+  ['bookmarks',  Permissions.BOOKMARKS],
+  ['<all_urls>', Permissions.ALL_URLS]
+];
+
+export async function getCapabilities() {
+  const grantedPermissions = await Promise.all(kOPTIONAL_PERMISSIONS.map(([_name, permissions]) => Permissions.isGranted(permissions).catch(_error => false)));
+  return {
+    apiVersion:    kAPI_VERSION,
+    version:       browser.runtime.getManifest().version,
+    messages:      Array.from(kMESSAGE_TYPES),
+    notifications: Array.from(kNOTIFICATION_TYPES),
+    tabKeywords:   kTAB_KEYWORDS,
+    queryKeys:     kQUERY_KEYS,
+    permissions:   kOPTIONAL_PERMISSIONS.map(([name]) => name).filter((_name, index) => grantedPermissions[index])
+  };
+}
+
 export async function initAsBackend() {
   const manifest = browser.runtime.getManifest();
   registerAddon(manifest.applications.gecko.id, {
@@ -194,6 +604,7 @@ export async function initAsBackend() {
     listeningTypes: []
   });
   mContext = kCONTEXT_BACKEND;
+  browser.windows.onRemoved.addListener(onPermissionRequestWindowRemoved);
   browser.runtime.onConnectExternal.addListener(port => {
     const sender = port.sender;
     mConnections.set(sender.id, port);
@@ -208,6 +619,7 @@ export async function initAsBackend() {
   const respondedAddons = [];
   const notifiedAddons = {};
   const notifyAddons = configs.knownExternalAddons.concat(configs.cachedExternalAddons);
+  const capabilities = await getCapabilities();
   log('initAsBackend: notifyAddons = ', respondedAddons);
   await Promise.all(notifyAddons.map(async id => {
     if (id in notifiedAddons)
@@ -215,9 +627,9 @@ export async function initAsBackend() {
     notifiedAddons[id] = true;
     try {
       id = await new Promise((resolve, reject) => {
-        browser.runtime.sendMessage(id, {
+        browser.runtime.sendMessage(id, Object.assign({}, capabilities, {
           type: kNOTIFY_READY
-        }).then(() => resolve(id)).catch(ApiTabs.createErrorHandler(reject));
+        })).then(() => resolve(id)).catch(ApiTabs.createErrorHandler(reject));
         setTimeout(() => {
           reject(new Error(`TSTAPI.initAsBackend: addon ${id} does not respond.`));
         }, 3000);
@@ -233,7 +645,9 @@ export async function initAsBackend() {
   configs.cachedExternalAddons = respondedAddons;
 }
 
-browser.runtime.onMessage.addListener((message, _sender) => {
+const kINTERNAL_API_MESSAGE_MATCHER = /^treestyletab:api:/;
+
+browser.runtime.onMessage.addListener((message, sender) => {
   if (!message ||
       typeof message.type != 'string')
     return;
@@ -253,6 +667,17 @@ browser.runtime.onMessage.addListener((message, _sender) => {
             scrollLocked:   mScrollLockedBy,
             groupingLocked: mGroupingBlockedBy
           });
+
+        case Constants.kCOMMAND_DECIDE_API_PERMISSIONS:
+          decidePermissions(message.id, message);
+          return Promise.resolve(true);
+
+        default:
+          // Pages of TST itself call APIs with a prefix, via runtime.onMessage.
+          if (kINTERNAL_API_MESSAGE_MATCHER.test(message.type))
+            return onMessageExternal(Object.assign({}, message, {
+              type: message.type.replace(kINTERNAL_API_MESSAGE_MATCHER, '')
+            }), sender);
       }
       break;
 
@@ -260,7 +685,8 @@ browser.runtime.onMessage.addListener((message, _sender) => {
       switch (message.type) {
         case kCOMMAND_BROADCAST_API_REGISTERED:
           registerAddon(message.sender.id, message.message);
-          if (message.message.style)
+          if (message.message.style &&
+              isGranted(message.sender.id, Constants.kAPI_PERMISSION_STYLE))
             installStyleForAddon(message.sender.id, message.message.style);
           break;
 
@@ -287,6 +713,13 @@ function onMessageExternal(message, sender) {
       typeof message.type != 'string')
     return;
 
+  if (!mContext)
+    return;
+
+  const permissionError = checkPermission(message, sender);
+  if (permissionError)
+    return permissionError;
+
   switch (mContext) {
     case kCONTEXT_BACKEND:
       log('backend API message ', message, sender);
@@ -294,11 +727,16 @@ function onMessageExternal(message, sender) {
         case kPING:
           return Promise.resolve(true);
 
+        case kGET_CAPABILITIES:
+          return getCapabilities();
+
         case kREGISTER_SELF:
           return (async () => {
             message.internalId = sender.url.replace(/^moz-extension:\/\/([^\/]+)\/.*$/, '$1');
             message.id = sender.id;
             registerAddon(sender.id, message);
+            mDismissedPermissions.delete(sender.id);
+            requestPermissions(sender.id, getRequestedPermissions(getAddon(sender.id)));
             browser.runtime.sendMessage({
               type:    kCOMMAND_BROADCAST_API_REGISTERED,
               sender:  sender,
@@ -372,10 +810,11 @@ export async function initAsFrontend() {
     await wait(10);
   }
   importAddons(response.addons);
-  for (const [id, addon] of getAddons()) {
-    if (addon.style)
-      installStyleForAddon(id, addon.style);
-  }
+  updateStylesForAddons();
+  configs.$addObserver(key => {
+    if (key == 'externalAddonPermissions')
+      updateStylesForAddons();
+  });
   mContext = kCONTEXT_FRONTEND;
   mScrollLockedBy    = response.scrollLocked;
   mGroupingBlockedBy = response.groupingLocked;
@@ -413,6 +852,16 @@ function uninstallStyleForAddon(id) {
   mAddonStyles.delete(id);
 }
 
+function updateStylesForAddons() {
+  for (const [id, addon] of getAddons()) {
+    if (addon.style &&
+        isGranted(id, Constants.kAPI_PERMISSION_STYLE))
+      installStyleForAddon(id, addon.style);
+    else
+      uninstallStyleForAddon(id);
+  }
+}
+
 
 export function isScrollLocked() {
   return Object.keys(mScrollLockedBy).length > 0;
@@ -486,29 +935,101 @@ function serializeTabInternal(tab) {
   return serialized;
 }
 
-export async function serializeTabWithEffectiveFavIconUrl(tab, interval) {
-  const serializedRoot = await serializeTabAsync(tab, interval);
+// Lightweight representation of tree relations, for notifications
+// which can be sent very frequently.
+export function serializeTabRelations(tab) {
+  tab = Tab.get(tab.id);
+  return {
+    id:               tab.id,
+    parentId:         tab.$TST.parentId || null,
+    childIds:         tab.$TST.children.map(child => child.id),
+    ancestorTabIds:   tab.$TST.ancestors.map(ancestor => ancestor.id),
+    subtreeCollapsed: tab.$TST.subtreeCollapsed
+  };
+}
+
+// Tabs returned for a query are serialized without their subtree, because
+// descendants are also returned as separate entries if they match.
+export function serializeTabFlat(tab) {
+  tab = Tab.get(tab.id);
+  const serialized = serializeTabInternal(tab);
+  serialized.childIds = tab.$TST.children.map(child => child.id);
+  return serialized;
+}
+
+export async function serializeTabWithEffectiveFavIconUrl(tab, interval, options = {}) {
+  const serializedRoot = options.flat ?
+    serializeTabFlat(tab) :
+    await serializeTabAsync(tab, interval);
   const promises = [];
   const preparePromiseForEffectiveFavIcon = serializedOneTab => {
     promises.push(TabFavIconHelper.getLastEffectiveFavIconURL(serializedOneTab).then(url => {
       serializedOneTab.effectiveFavIconUrl = url;
     }));
-    serializedOneTab.children.map(preparePromiseForEffectiveFavIcon);
+    if (serializedOneTab.children)
+      serializedOneTab.children.map(preparePromiseForEffectiveFavIcon);
   };
   preparePromiseForEffectiveFavIcon(serializedRoot);
   await Promise.all(promises);
   return serializedRoot;
 }
 
+// Fills data attached by the addon, to serialized tabs and their children.
+export async function fillTabData(serializedTabs, addonId) {
+  const promises = [];
+  const prepareTabData = serializedTab => {
+    const tab = Tab.get(serializedTab.id);
+    if (tab)
+      promises.push(tab.$TST.getAddonData(addonId).then(data => {
+        serializedTab.data = data;
+      }));
+    if (serializedTab.children)
+      serializedTab.children.map(prepareTabData);
+  };
+  serializedTabs.map(prepareTabData);
+  await Promise.all(promises);
+  return serializedTabs;
+}
+
 export function getListenersForMessageType(type) {
   const uniqueTargets = {};
+  const permission = getRequiredPermissionForNotification(type);
   for (const [id, addon] of getAddons()) {
-    if (addon.listeningTypes.includes(type))
+    if (addon.listeningTypes.includes(type) &&
+        isGranted(id, permission))
       uniqueTargets[id] = true;
   }
   return Object.keys(uniqueTargets).map(id => getAddon(id));
 }
 
+export function hasListenerForMessageType(type) {
+  return getListenersForMessageType(type).length > 0;
+}
+
+// Asks listeners before TST does something by itself. Listeners can respond:
+//   * true, to cancel the operation.
+//   * an object, to do the operation with alternative parameters.
+//   * nothing, to allow the operation.
+// The first non-empty response is returned, and responses not returned
+// in time are ignored.
+export async function tryOperation(message) {
+  if (!hasListenerForMessageType(message.type))
+    return null;
+  const results = await Promise.race([
+    sendMessage(message),
+    wait(configs.tryOperationTimeout).then(() => [])
+  ]);
+  for (const result of (results || [])) {
+    if (!result ||
+        result.error ||
+        !result.result)
+      continue;
+    log(`tryOperation: ${message.type} is handled by ${result.id}: `, result.result);
+    return result.result;
+  }
+  return null;
+}
+
 export async function sendMessage(message, options = {}) {
   const uniqueTargets = new Set();
   const listenerAddons = getListenersForMessageType(message.type);
@@ -523,8 +1044,10 @@ export async function sendMessage(message, options = {}) {
   if (options.targets) {
     if (!Array.isArray(options.targets))
       options.targets = [options.targets];
+    const permission = getRequiredPermissionForNotification(message.type);
     for (const id of options.targets) {
-      uniqueTargets.add(id);
+      if (isGranted(id, permission))
+        uniqueTargets.add(id);
     }
   }
 
@@ -560,6 +1083,9 @@ function* spawnMessages(targetSet, message) {
 
 export async function getTargetTabs(message, sender) {
   await Tab.waitUntilTrackedAll(message.window || message.windowId);
+  if (message.query &&
+      typeof message.query == 'object')
+    return queryTabs(message.query, message.window || message.windowId, sender);
   if (Array.isArray(message.tabs))
     return getTabsFromWrongIds(message.tabs, sender);
   if (Array.isArray(message.tabIds))
@@ -587,6 +1113,110 @@ export async function getTargetTabs(message, sender) {
   return [];
 }
 
+// Tree-aware filters for tabs in a window, like:
+//   { type: 'get-tree', windowId: 1,
+//     query: { descendantsOf: 10, depth: { max: 2 }, url: '^https://', limit: 20 } }
+// All conditions must be satisfied. Matched tabs are returned in the order
+// of their index, and can be paged with "offset" and "limit".
+async function queryTabs(query, windowId, sender) {
+  if (!windowId) {
+    const window = await browser.windows.getLastFocused({
+      windowTypes: ['normal']
+    }).catch(ApiTabs.createErrorHandler());
+    windowId = window.id;
+    await Tab.waitUntilTrackedAll(windowId);
+  }
+
+  const tabsQuery = {
+    windowId,
+    living:   true,
+    ordered:  true,
+    iterator: true
+  };
+  if (query.rootsOnly)
+    tabsQuery.tabs = TabsStore.rootTabsInWindow.get(windowId);
+
+  for (const attribute of ['title', 'url']) {
+    if (typeof query[attribute] != 'string')
+      continue;
+    try {
+      tabsQuery[attribute] = new RegExp(query[attribute], 'i');
+    }
+    catch(_error) {
+      // invalid regular expression never matches to any tab
+      return [];
+    }
+  }
+  if (typeof query.cookieStoreId == 'string' ||
+      Array.isArray(query.cookieStoreId))
+    tabsQuery.cookieStoreId = query.cookieStoreId;
+  for (const attribute of ['active', 'audible', 'discarded', 'hidden', 'highlighted', 'pinned']) {
+    if (typeof query[attribute] == 'boolean')
+      tabsQuery[attribute] = query[attribute];
+  }
+
+  const states = [];
+  if (typeof query.groupTabs == 'boolean')
+    states.push(Constants.kTAB_STATE_GROUP_TAB, query.groupTabs);
+  if (typeof query.collapsed == 'boolean')
+    states.push(Constants.kTAB_STATE_COLLAPSED, query.collapsed);
+  if (typeof query.subtreeCollapsed == 'boolean')
+    states.push(Constants.kTAB_STATE_SUBTREE_COLLAPSED, query.subtreeCollapsed);
+  if (Array.isArray(query.states)) {
+    for (const state of query.states) {
+      if (String(state).startsWith('!'))
+        states.push(state.substring(1), false);
+      else
+        states.push(state, true);
+    }
+  }
+  if (states.length > 0)
+    tabsQuery.states = states;
+
+  const idMatchers = [];
+  for (const [key, getRelatedTabs] of [
+    ['descendantsOf', tab => tab.$TST.descendants],
+    ['ancestorsOf',   tab => tab.$TST.ancestors]
+  ]) {
+    if (!(key in query))
+      continue;
+    const ids = new Set();
+    const baseIds = Array.isArray(query[key]) ? query[key] : [query[key]];
+    for (const tab of await getTabsFromWrongIds(baseIds, sender)) {
+      if (tab.windowId != windowId)
+        continue;
+      for (const relatedTab of getRelatedTabs(tab)) {
+        ids.add(relatedTab.id);
+      }
+    }
+    idMatchers.push(id => ids.has(id));
+  }
+  if (typeof query.depth == 'number' ||
+      (query.depth && typeof query.depth == 'object')) {
+    const min = typeof query.depth == 'number' ? query.depth : (query.depth.min || 0);
+    const max = typeof query.depth == 'number' ? query.depth : query.depth.max;
+    idMatchers.push(id => {
+      const depth = Tab.get(id).$TST.ancestors.length;
+      return depth >= min && (typeof max != 'number' || depth <= max);
+    });
+  }
+  if (idMatchers.length > 0)
+    tabsQuery.id = id => idMatchers.every(matcher => matcher(id));
+
+  const offset = Math.max(0, parseInt(query.offset) || 0);
+  const limit  = typeof query.limit == 'number' ? Math.max(0, query.limit) : Infinity;
+  const tabs = [];
+  let count = 0;
+  for (const tab of TabsStore.queryAll(tabsQuery)) {
+    if (tabs.length >= limit)
+      break;
+    if (count++ < offset)
+      continue;
+    tabs.push(tab);
+  }
+  return tabs;
+}
+
 async function getTabsFromWrongIds(ids, sender) {
   log('getTabsFromWrongIds ', ids, sender);
   let activeWindow = [];
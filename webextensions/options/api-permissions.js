@@ -0,0 +1,95 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  configs
+} from '/common/common.js';
+
+import * as Constants from '/common/constants.js';
+
+let mTable;
+
+export function init() {
+  mTable = document.querySelector('#apiPermissionsTable');
+
+  const headerRow = mTable.querySelector('thead tr');
+  const lastHeader = headerRow.lastElementChild;
+  for (const permission of Constants.kAPI_PERMISSIONS) {
+    const header = document.createElement('th');
+    header.textContent = getPermissionLabel(permission);
+    headerRow.insertBefore(header, lastHeader);
+  }
+
+  build();
+  configs.$addObserver(key => {
+    if (key == 'externalAddonPermissions')
+      build();
+  });
+}
+
+function getPermissionLabel(permission) {
+  return browser.i18n.getMessage(`apiPermissions_permission_${permission.replace(/-/g, '_')}`);
+}
+
+function build() {
+  const rowsContainer = mTable.querySelector('tbody');
+  const decisions = configs.externalAddonPermissions;
+  const ids = Object.keys(decisions).sort();
+  document.querySelector('#apiPermissionsEmpty').hidden = ids.length > 0;
+  mTable.hidden = ids.length == 0;
+
+  const range = document.createRange();
+  range.selectNodeContents(rowsContainer);
+  range.deleteContents();
+  range.detach();
+
+  for (const id of ids) {
+    const decision = decisions[id];
+    const row = rowsContainer.appendChild(document.createElement('tr'));
+
+    const nameCell = row.appendChild(document.createElement('td'));
+    nameCell.textContent = decision.name || id;
+    nameCell.title = id;
+
+    for (const permission of Constants.kAPI_PERMISSIONS) {
+      const checkbox = row.appendChild(document.createElement('td')).appendChild(document.createElement('input'));
+      checkbox.type = 'checkbox';
+      checkbox.checked = decision.granted.includes(permission);
+      checkbox.title = getPermissionLabel(permission);
+      checkbox.addEventListener('change', () => {
+        setGranted(id, permission, checkbox.checked);
+      });
+    }
+
+    const revoke = row.appendChild(document.createElement('td')).appendChild(document.createElement('button'));
+    revoke.textContent = browser.i18n.getMessage('config_apiPermissions_revoke');
+    revoke.addEventListener('click', event => {
+      if (event.button != 0)
+        return;
+      revokeAll(id);
+    });
+  }
+}
+
+function setGranted(id, permission, granted) {
+  const decisions = JSON.parse(JSON.stringify(configs.externalAddonPermissions));
+  const decision = decisions[id];
+  decision.granted = decision.granted.filter(item => item != permission);
+  decision.denied  = decision.denied.filter(item => item != permission);
+  if (granted)
+    decision.granted.push(permission);
+  else
+    decision.denied.push(permission);
+  configs.externalAddonPermissions = decisions;
+}
+
+// Revoked addons will be asked again for their permissions.
+function revokeAll(id) {
+  const decisions = JSON.parse(JSON.stringify(configs.externalAddonPermissions));
+  delete decisions[id];
+  configs.externalAddonPermissions = decisions;
+}
@@ -0,0 +1,145 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  configs
+} from '/common/common.js';
+
+import * as Constants from '/common/constants.js';
+
+const kACTIONS = [
+  [Constants.kAUTO_GROUPING_ACTION_GROUP,     'config_autoGroupingRules_action_group'],
+  [Constants.kAUTO_GROUPING_ACTION_SAME_SITE, 'config_autoGroupingRules_action_sameSite'],
+  [Constants.kAUTO_GROUPING_ACTION_FIRST,     'config_autoGroupingRules_action_first'],
+  [Constants.kAUTO_GROUPING_ACTION_LAST,      'config_autoGroupingRules_action_last']
+];
+
+let mRowsContainer;
+let mContainers = [];
+
+export async function init() {
+  mRowsContainer = document.querySelector('#autoGroupingRulesTable tbody');
+
+  if (browser.contextualIdentities)
+    mContainers = await browser.contextualIdentities.query({}).catch(_error => []);
+
+  for (const rule of configs.autoGroupingRules) {
+    mRowsContainer.appendChild(createRow(rule));
+  }
+
+  const addButton = document.querySelector('#addAutoGroupingRule');
+  addButton.addEventListener('click', event => {
+    if (event.button != 0)
+      return;
+    addRule();
+  });
+  addButton.addEventListener('keydown', event => {
+    if (event.key != 'Enter')
+      return;
+    addRule();
+  });
+}
+
+function addRule() {
+  const row = createRow({
+    enabled:       true,
+    urlPattern:    '',
+    cookieStoreId: '',
+    openerPattern: '',
+    action:        Constants.kAUTO_GROUPING_ACTION_GROUP,
+    groupTitle:    ''
+  });
+  mRowsContainer.appendChild(row);
+  row.querySelector('.url-pattern').focus();
+  save();
+}
+
+function createOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+function createCell(row, element) {
+  row.appendChild(document.createElement('td')).appendChild(element);
+  return element;
+}
+
+function createTextField(className, value, placeholder) {
+  const field = document.createElement('input');
+  field.type = 'text';
+  field.className = className;
+  field.value = value || '';
+  if (placeholder)
+    field.placeholder = placeholder;
+  return field;
+}
+
+function createRow(rule) {
+  const row = document.createElement('tr');
+
+  const enabled = createCell(row, document.createElement('input'));
+  enabled.type = 'checkbox';
+  enabled.className = 'enabled';
+  enabled.checked = !!rule.enabled;
+
+  createCell(row, createTextField('url-pattern', rule.urlPattern));
+
+  const container = createCell(row, document.createElement('select'));
+  container.className = 'cookie-store-id';
+  container.appendChild(createOption('', browser.i18n.getMessage('config_autoGroupingRules_container_any')));
+  container.appendChild(createOption('firefox-default', browser.i18n.getMessage('config_autoGroupingRules_container_default')));
+  for (const identity of mContainers) {
+    container.appendChild(createOption(identity.cookieStoreId, identity.name));
+  }
+  container.value = rule.cookieStoreId || '';
+
+  createCell(row, createTextField('opener-pattern', rule.openerPattern));
+
+  const actionCell = row.appendChild(document.createElement('td'));
+  const action = actionCell.appendChild(document.createElement('select'));
+  action.className = 'action';
+  for (const [value, key] of kACTIONS) {
+    action.appendChild(createOption(value, browser.i18n.getMessage(key)));
+  }
+  action.value = rule.action || Constants.kAUTO_GROUPING_ACTION_GROUP;
+  const groupTitle = actionCell.appendChild(createTextField(
+    'group-title',
+    rule.groupTitle,
+    browser.i18n.getMessage('config_autoGroupingRules_groupTitle_placeholder')
+  ));
+  const updateGroupTitleVisibility = () => {
+    groupTitle.hidden = action.value != Constants.kAUTO_GROUPING_ACTION_GROUP;
+  };
+  updateGroupTitleVisibility();
+  action.addEventListener('change', updateGroupTitleVisibility);
+
+  const remove = createCell(row, document.createElement('button'));
+  remove.textContent = browser.i18n.getMessage('config_autoGroupingRules_remove');
+  remove.addEventListener('click', event => {
+    if (event.button != 0)
+      return;
+    row.parentNode.removeChild(row);
+    save();
+  });
+
+  row.addEventListener('input', save);
+  row.addEventListener('change', save);
+  return row;
+}
+
+function save() {
+  configs.autoGroupingRules = Array.from(mRowsContainer.querySelectorAll('tr'), row => ({
+    enabled:       row.querySelector('.enabled').checked,
+    urlPattern:    row.querySelector('.url-pattern').value,
+    cookieStoreId: row.querySelector('.cookie-store-id').value,
+    openerPattern: row.querySelector('.opener-pattern').value,
+    action:        row.querySelector('.action').value,
+    groupTitle:    row.querySelector('.group-title').value
+  }));
+}
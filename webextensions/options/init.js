@@ -20,6 +20,9 @@ import * as Permissions from '/common/permissions.js';
 import * as Bookmark from '/common/bookmark.js';
 import * as BrowserTheme from '/common/browser-theme.js';
 
+import * as ApiPermissions from './api-permissions.js';
+import * as AutoGroupingRules from './auto-grouping-rules.js';
+
 log.context = 'Options';
 const options = new Options(configs);
 
@@ -256,6 +259,8 @@ window.addEventListener('DOMContentLoaded', () => {
       Permissions.TAB_HIDE,
       document.querySelector('#tabHidePermissionGranted'),
       { onChanged: async (granted) => {
+        if (!granted)
+          configs.hideCollapsedTabsNatively = false;
         if (granted) {
           // try to hide/show the tab to ensure the permission is really granted
           const activeTabs = await browser.tabs.query({ active: true, currentWindow: true });
@@ -288,6 +293,16 @@ window.addEventListener('DOMContentLoaded', () => {
     );
 
 
+    document.querySelector('#hideCollapsedTabsNatively').addEventListener('change', event => {
+      const permissionCheckbox = document.querySelector('#tabHidePermissionGranted');
+      if (!event.target.checked ||
+          permissionCheckbox.checked)
+        return;
+      permissionCheckbox.checked = true;
+      permissionCheckbox.requestPermissions();
+    });
+
+
     for (const checkbox of document.querySelectorAll('p input[type="checkbox"][id^="logFor-"]')) {
       checkbox.addEventListener('change', onChangeSlaveChacekbox);
       checkbox.checked = configs.logFor[checkbox.id.replace(/^logFor-/, '')];
@@ -323,6 +338,9 @@ window.addEventListener('DOMContentLoaded', () => {
       });
     }
 
+    ApiPermissions.init();
+    AutoGroupingRules.init();
+
     options.buildUIForAllConfigs(document.querySelector('#group-allConfigs'));
     onConfigChanged('debug');
     onConfigChanged('successorTabControlLevel');
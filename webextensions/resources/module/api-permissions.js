@@ -0,0 +1,65 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import '../../extlib/l10n.js';
+
+import {
+  log as internalLogger
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+
+function log(...args) {
+  internalLogger('resources/api-permissions', ...args);
+}
+
+const params      = new URLSearchParams(location.search);
+const id          = params.get('id');
+const name        = params.get('name') || id;
+const permissions = (params.get('permissions') || '').split(',').filter(permission => !!permission);
+
+function showError(error) {
+  log('failed: ', error);
+  document.getElementById('error').textContent = browser.i18n.getMessage('apiPermissions_error', [
+    error && error.message || String(error)
+  ]);
+}
+
+async function decide(granted) {
+  await browser.runtime.sendMessage({
+    type:    Constants.kCOMMAND_DECIDE_API_PERMISSIONS,
+    id,
+    name,
+    granted: permissions.filter(permission => granted.includes(permission)),
+    denied:  permissions.filter(permission => !granted.includes(permission))
+  });
+  window.close();
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  document.title = browser.i18n.getMessage('apiPermissions_title');
+  document.getElementById('description').textContent = browser.i18n.getMessage('apiPermissions_description', [name, id]);
+
+  const list = document.getElementById('permissions');
+  for (const permission of permissions) {
+    const label    = list.appendChild(document.createElement('li')).appendChild(document.createElement('label'));
+    const checkbox = label.appendChild(document.createElement('input'));
+    checkbox.type    = 'checkbox';
+    checkbox.value   = permission;
+    checkbox.checked = true;
+    label.appendChild(document.createTextNode(browser.i18n.getMessage(`apiPermissions_permission_${permission.replace(/-/g, '_')}`)));
+  }
+
+  const form = document.getElementById('permissions-form');
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const granted = Array.from(list.querySelectorAll('input:checked'), checkbox => checkbox.value);
+    decide(granted).catch(showError);
+  });
+  document.getElementById('deny').addEventListener('click', () => {
+    decide([]).catch(showError);
+  });
+}, { once: true });
@@ -0,0 +1,121 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import '../../extlib/l10n.js';
+
+import {
+  log as internalLogger,
+  configs
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+
+function log(...args) {
+  internalLogger('resources/duplicated-tabs', ...args);
+}
+
+const params    = new URLSearchParams(location.search);
+const windowId  = parseInt(params.get('windowId'));
+const rootTabId = parseInt(params.get('rootTabId')) || null;
+
+function showError(error) {
+  log('failed: ', error);
+  document.getElementById('error').textContent = browser.i18n.getMessage('duplicatedTabs_error', [
+    error && error.message || String(error)
+  ]);
+}
+
+function getOptions() {
+  return {
+    windowId,
+    rootTabId:            document.getElementById('treeOnly').checked ? rootTabId : null,
+    ignoreHash:           document.getElementById('ignoreHash').checked,
+    ignoreTrackingParams: document.getElementById('ignoreTrackingParams').checked
+  };
+}
+
+function createTabItem(tab, kept) {
+  const item  = document.createElement('li');
+  const label = item.appendChild(document.createElement('label'));
+  if (kept) {
+    item.classList.add('kept');
+  }
+  else {
+    const checkbox = label.appendChild(document.createElement('input'));
+    checkbox.type    = 'checkbox';
+    checkbox.value   = tab.id;
+    checkbox.checked = true;
+  }
+  if (tab.favIconUrl) {
+    const favicon = label.appendChild(document.createElement('img'));
+    favicon.src = tab.favIconUrl;
+  }
+  label.appendChild(document.createTextNode(kept ? browser.i18n.getMessage('duplicatedTabs_kept', [tab.title]) : tab.title));
+  label.title = tab.url;
+  return item;
+}
+
+async function update() {
+  document.getElementById('error').textContent = '';
+  const groups = await browser.runtime.sendMessage(Object.assign({
+    type: Constants.kCOMMAND_PULL_DUPLICATED_TABS
+  }, getOptions()));
+
+  const container = document.getElementById('groups');
+  container.textContent = '';
+  for (const group of groups) {
+    const fieldset = container.appendChild(document.createElement('fieldset'));
+    fieldset.appendChild(document.createElement('legend')).textContent = group.url;
+    const list = fieldset.appendChild(document.createElement('ul'));
+    group.tabs.forEach((tab, index) => {
+      list.appendChild(createTabItem(tab, index == 0));
+    });
+  }
+  document.getElementById('empty').hidden = groups.length > 0;
+  document.getElementById('close').disabled = groups.length == 0;
+}
+
+async function closeDuplicatedTabs() {
+  const tabIds = Array.from(
+    document.querySelectorAll('#groups input[type="checkbox"]:checked'),
+    checkbox => parseInt(checkbox.value)
+  );
+  if (tabIds.length > 0)
+    await browser.runtime.sendMessage(Object.assign({
+      type: Constants.kCOMMAND_CLOSE_DUPLICATED_TABS,
+      tabIds
+    }, getOptions()));
+  window.close();
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+  document.title = browser.i18n.getMessage('duplicatedTabs_title');
+
+  await configs.$loaded;
+  document.getElementById('treeOnlyContainer').hidden = !rootTabId;
+  document.getElementById('ignoreHash').checked = configs.duplicatedTabsIgnoreHash;
+  document.getElementById('ignoreTrackingParams').checked = configs.duplicatedTabsIgnoreTrackingParams;
+
+  document.getElementById('treeOnly').addEventListener('change', () => {
+    update().catch(showError);
+  });
+  document.getElementById('ignoreHash').addEventListener('change', event => {
+    configs.duplicatedTabsIgnoreHash = event.target.checked;
+    update().catch(showError);
+  });
+  document.getElementById('ignoreTrackingParams').addEventListener('change', event => {
+    configs.duplicatedTabsIgnoreTrackingParams = event.target.checked;
+    update().catch(showError);
+  });
+  document.getElementById('duplicated-tabs-form').addEventListener('submit', event => {
+    event.preventDefault();
+    document.getElementById('error').textContent = '';
+    closeDuplicatedTabs().catch(showError);
+  });
+  document.getElementById('cancel').addEventListener('click', () => window.close());
+
+  update().catch(showError);
+}, { once: true });
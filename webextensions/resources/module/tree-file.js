@@ -0,0 +1,81 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import '../../extlib/l10n.js';
+
+import {
+  log as internalLogger
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+
+function log(...args) {
+  internalLogger('resources/tree-file', ...args);
+}
+
+const params   = new URLSearchParams(location.search);
+const mode     = params.get('mode');
+const windowId = parseInt(params.get('windowId'));
+
+function showError(error) {
+  log('failed: ', error);
+  document.getElementById('error').textContent = browser.i18n.getMessage('treeFile_error', [
+    error && error.message || String(error)
+  ]);
+}
+
+async function save(form) {
+  const format = form.querySelector('input[name="format"]:checked').value;
+  const file = await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_EXPORT_TREE_FILE,
+    windowId,
+    format
+  });
+  const url = URL.createObjectURL(new Blob([file.contents], { type: file.mimeType }));
+  const link = document.body.appendChild(document.createElement('a'));
+  link.href     = url;
+  link.download = file.filename;
+  link.click();
+  // wait until the download is started
+  setTimeout(() => {
+    URL.revokeObjectURL(url);
+    window.close();
+  }, 1000);
+}
+
+async function load(form) {
+  const file = form.querySelector('input[name="file"]').files[0];
+  if (!file)
+    return;
+  const contents = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => resolve(reader.result));
+    reader.addEventListener('error', () => reject(reader.error));
+    reader.readAsText(file);
+  });
+  await browser.runtime.sendMessage({
+    type:     Constants.kCOMMAND_IMPORT_TREE_FILE,
+    filename: file.name,
+    windowId,
+    contents
+  });
+  window.close();
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  document.body.classList.add(mode);
+  document.title = browser.i18n.getMessage(mode == 'save' ? 'treeFile_save_title' : 'treeFile_load_title');
+
+  const form = document.getElementById(mode);
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    document.getElementById('error').textContent = '';
+    (mode == 'save' ? save(form) : load(form)).catch(showError);
+  });
+  for (const button of document.querySelectorAll('button.cancel')) {
+    button.addEventListener('click', () => window.close());
+  }
+}, { once: true });
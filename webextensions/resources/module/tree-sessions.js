@@ -0,0 +1,128 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import '../../extlib/l10n.js';
+
+import {
+  log as internalLogger
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+
+function log(...args) {
+  internalLogger('resources/tree-sessions', ...args);
+}
+
+const params    = new URLSearchParams(location.search);
+const windowId  = parseInt(params.get('windowId'));
+const rootTabId = parseInt(params.get('rootTabId')) || null;
+const mode      = rootTabId ? 'save' : 'manage';
+
+function showError(error) {
+  log('failed: ', error);
+  document.getElementById('error').textContent = browser.i18n.getMessage('treeSession_error', [
+    error && error.message || String(error)
+  ]);
+}
+
+async function save() {
+  await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_SAVE_TREE_SESSION,
+    name: document.getElementById('name').value,
+    rootTabId
+  });
+  window.close();
+}
+
+function createSessionItem(session) {
+  const item = document.createElement('li');
+
+  const name = item.appendChild(document.createElement('input'));
+  name.type  = 'text';
+  name.value = session.name;
+  name.addEventListener('change', () => {
+    browser.runtime.sendMessage({
+      type: Constants.kCOMMAND_RENAME_TREE_SESSION,
+      id:   session.id,
+      name: name.value
+    }).then(renamed => {
+      if (!renamed)
+        name.value = session.name;
+      else
+        session.name = name.value.trim();
+    }).catch(error => {
+      name.value = session.name;
+      showError(error);
+    });
+  });
+
+  const count = item.appendChild(document.createElement('span'));
+  count.classList.add('count');
+  count.textContent = browser.i18n.getMessage('treeSession_count', [session.count]);
+
+  const restore = item.appendChild(document.createElement('button'));
+  restore.type = 'button';
+  restore.textContent = browser.i18n.getMessage('treeSession_restoreItem_label');
+  restore.addEventListener('click', () => {
+    browser.runtime.sendMessage({
+      type: Constants.kCOMMAND_RESTORE_TREE_SESSION,
+      id:   session.id,
+      windowId
+    }).then(() => window.close()).catch(showError);
+  });
+
+  const remove = item.appendChild(document.createElement('button'));
+  remove.type = 'button';
+  remove.textContent = browser.i18n.getMessage('treeSession_removeItem_label');
+  remove.addEventListener('click', () => {
+    browser.runtime.sendMessage({
+      type: Constants.kCOMMAND_REMOVE_TREE_SESSION,
+      id:   session.id
+    }).then(update).catch(showError);
+  });
+
+  return item;
+}
+
+async function update() {
+  const { sessions, defaultName } = await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_PULL_TREE_SESSIONS,
+    rootTabId
+  });
+
+  if (mode == 'save') {
+    const name = document.getElementById('name');
+    name.value = defaultName || '';
+    name.select();
+    return;
+  }
+
+  const container = document.getElementById('sessions');
+  container.textContent = '';
+  for (const session of sessions) {
+    container.appendChild(createSessionItem(session));
+  }
+  document.getElementById('empty').hidden = sessions.length > 0;
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  document.body.classList.add(mode);
+  document.title = browser.i18n.getMessage(mode == 'save' ? 'treeSession_save_title' : 'treeSession_dialog_title');
+
+  document.getElementById('save').addEventListener('submit', event => {
+    event.preventDefault();
+    document.getElementById('error').textContent = '';
+    save().catch(showError);
+  });
+  document.getElementById('manage').addEventListener('submit', event => {
+    event.preventDefault();
+  });
+  for (const button of document.querySelectorAll('button.cancel')) {
+    button.addEventListener('click', () => window.close());
+  }
+
+  update().catch(showError);
+}, { once: true });
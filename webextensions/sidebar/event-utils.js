@@ -78,6 +78,11 @@ export function isEventFiredOnAnchor(event) {
   return target && target.closest && !!target.closest(`[data-menu-ui]`);
 }
 
+export function isEventFiredOnTabFilterBox(event) {
+  const target = getElementTarget(event);
+  return target && target.closest && !!target.closest('#tab-filter-box');
+}
+
 export function isEventFiredOnClickable(event) {
   const target = getElementTarget(event);
   return target && target.closest && !!target.closest(`button, scrollbar, select`);
@@ -0,0 +1,167 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger
+} from '/common/common.js';
+import * as TabsStore from '/common/tabs-store.js';
+import * as TSTAPI from '/common/tst-api.js';
+
+import Tab from '/common/Tab.js';
+
+import * as EventUtils from './event-utils.js';
+import * as HTMLSanitizer from './html-sanitizer.js';
+import * as SidebarTabs from './sidebar-tabs.js';
+
+function log(...args) {
+  internalLogger('sidebar/extra-tab-contents', ...args);
+}
+
+// Contents given by addons are kept only while the sidebar is open.
+// Addons should set them again on the "sidebar-show" notification.
+
+const kCONTENTS = 'extra-tab-contents';
+const kPLACES   = ['front', 'behind'];
+
+// tab id => Map(addon id => { front, behind })
+const mContents = new Map();
+
+export function init() {
+  document.addEventListener('mousedown', onMouseEvent, { capture: true });
+  document.addEventListener('mouseup', onMouseEvent, { capture: true });
+  document.addEventListener('click', onMouseEvent, { capture: true });
+  browser.runtime.onMessageExternal.addListener(onMessageExternal);
+}
+
+function applyToTab(tab) {
+  if (!TabsStore.ensureLivingTab(tab) ||
+      !tab.$TST.element)
+    return;
+  const contents = mContents.get(tab.id);
+  for (const place of kPLACES) {
+    const container = SidebarTabs.getExtraItemsContainer(tab, place);
+    if (!container)
+      continue;
+    container.textContent = '';
+    if (!contents)
+      continue;
+    for (const [addonId, contentsForAddon] of contents) {
+      if (!contentsForAddon[place])
+        continue;
+      const wrapper = container.appendChild(document.createElement('span'));
+      wrapper.classList.add(kCONTENTS);
+      wrapper.dataset.addonId = addonId;
+      wrapper.appendChild(HTMLSanitizer.sanitize(contentsForAddon[place]));
+    }
+  }
+}
+
+function setContents(tab, addonId, contentsForAddon) {
+  let contents = mContents.get(tab.id);
+  if (!contents) {
+    contents = new Map();
+    mContents.set(tab.id, contents);
+  }
+  contents.set(addonId, Object.assign({}, contents.get(addonId), contentsForAddon));
+  applyToTab(tab);
+}
+
+function clearContents(tab, addonId) {
+  const contents = mContents.get(tab.id);
+  if (!contents)
+    return;
+  contents.delete(addonId);
+  if (contents.size == 0)
+    mContents.delete(tab.id);
+  applyToTab(tab);
+}
+
+// Tabs must be resolved synchronously, otherwise sidebars of other windows
+// may respond to the message before the sidebar containing the tab.
+function getTargetTabs(message) {
+  const windowId = TabsStore.getWindow();
+  if (message.tab == '*' ||
+      message.tabs == '*') {
+    if ((message.window || message.windowId || windowId) != windowId)
+      return [];
+    return Tab.getAllTabs(windowId);
+  }
+  const ids = Array.isArray(message.tabs) ? message.tabs : [message.tab || message.tabId];
+  return ids
+    .map(id => Tab.get(id))
+    .filter(tab => tab && tab.windowId == windowId);
+}
+
+function onMessageExternal(message, sender) {
+  switch (message.type) {
+    case TSTAPI.kSET_EXTRA_TAB_CONTENTS:
+    case TSTAPI.kCLEAR_EXTRA_TAB_CONTENTS: {
+      const permissionError = TSTAPI.checkPermission(message, sender);
+      if (permissionError)
+        return permissionError;
+      const tabs = getTargetTabs(message);
+      if (tabs.length == 0)
+        return;
+      log(`${message.type}: `, tabs.map(tab => tab.id), sender.id);
+      for (const tab of tabs) {
+        if (message.type == TSTAPI.kCLEAR_EXTRA_TAB_CONTENTS) {
+          clearContents(tab, sender.id);
+          continue;
+        }
+        const contentsForAddon = {};
+        for (const place of kPLACES) {
+          if (place in message)
+            contentsForAddon[place] = message[place] || '';
+        }
+        setContents(tab, sender.id, contentsForAddon);
+      }
+      return Promise.resolve(true);
+    }
+  }
+}
+
+function onMouseEvent(event) {
+  const target = EventUtils.getElementTarget(event);
+  const wrapper = target && target.closest(`.${kCONTENTS}`);
+  if (!wrapper)
+    return;
+  // Clicks on contents given by addons should not activate or close the tab.
+  event.stopPropagation();
+  event.preventDefault();
+  if (event.type != 'click')
+    return;
+
+  const tab = EventUtils.getTabFromEvent(event);
+  if (!tab)
+    return;
+  const addonId = wrapper.dataset.addonId;
+  log('clicked: ', tab.id, addonId);
+  TSTAPI.sendMessage({
+    type:     TSTAPI.kNOTIFY_TAB_EXTRA_CONTENTS_CLICKED,
+    tab:      TSTAPI.serializeTab(tab),
+    window:   tab.windowId,
+    windowId: tab.windowId,
+    place:    wrapper.parentNode.classList.contains('front') ? 'front' : 'behind',
+    originalTarget: {
+      tagName:   target.localName,
+      className: target.className,
+      dataset:   Object.assign({}, target.dataset)
+    },
+    button:   event.button,
+    ctrlKey:  event.ctrlKey,
+    shiftKey: event.shiftKey,
+    altKey:   event.altKey,
+    metaKey:  event.metaKey
+  }, {
+    targets: [addonId]
+  }).catch(_error => {});
+}
+onMouseEvent = EventUtils.wrapWithErrorHandler(onMouseEvent);
+
+Tab.onDestroyed.addListener(tab => {
+  mContents.delete(tab.id);
+});
@@ -0,0 +1,56 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+const kALLOWED_ELEMENTS = new Set([
+  'b', 'br', 'button', 'div', 'em', 'hr', 'i', 'img', 'label', 'meter',
+  'progress', 'small', 'span', 'strong', 'sub', 'sup'
+]);
+const kALLOWED_ATTRIBUTES = new Set([
+  'alt', 'class', 'height', 'high', 'low', 'max', 'min', 'optimum',
+  'part', 'role', 'src', 'title', 'value', 'width'
+]);
+// Remote resources are not allowed, because they can be used to track users.
+const kALLOWED_URL_MATCHER = /^(data:image\/|moz-extension:)/i;
+
+function sanitizeNode(node) {
+  if (node.nodeType == Node.TEXT_NODE)
+    return document.createTextNode(node.nodeValue);
+  if (node.nodeType != Node.ELEMENT_NODE ||
+      !kALLOWED_ELEMENTS.has(node.localName))
+    return null;
+
+  const element = document.createElement(node.localName);
+  for (const attribute of node.attributes) {
+    const name = attribute.name.toLowerCase();
+    if (!kALLOWED_ATTRIBUTES.has(name) &&
+        !/^(aria|data)-/.test(name))
+      continue;
+    if (name == 'src' &&
+        !kALLOWED_URL_MATCHER.test(attribute.value.trim()))
+      continue;
+    element.setAttribute(name, attribute.value);
+  }
+  for (const child of node.childNodes) {
+    const sanitizedChild = sanitizeNode(child);
+    if (sanitizedChild)
+      element.appendChild(sanitizedChild);
+  }
+  return element;
+}
+
+// Given markups are parsed in an inert document, and only safe elements
+// and attributes are imported, so scripts and event handlers never run.
+export function sanitize(source) {
+  const fragment = document.createDocumentFragment();
+  const parsed = (new DOMParser()).parseFromString(String(source), 'text/html');
+  for (const node of parsed.body.childNodes) {
+    const sanitizedNode = sanitizeNode(node);
+    if (sanitizedNode)
+      fragment.appendChild(sanitizedNode);
+  }
+  return fragment;
+}
@@ -18,6 +18,7 @@ import Tab from '/common/Tab.js';
 import * as Sidebar from './sidebar.js';
 import * as BackgroundConnection from './background-connection.js';
 import './mouse-event-listener.js';
+import './keyboard-event-listener.js';
 import './collapse-expand.js';
 
 import './tab-context-menu.js';
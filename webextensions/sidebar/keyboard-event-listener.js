@@ -0,0 +1,232 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger,
+  configs
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as ApiTabs from '/common/api-tabs.js';
+import * as TabsStore from '/common/tabs-store.js';
+import * as TreeBehavior from '/common/tree-behavior.js';
+
+import Tab from '/common/Tab.js';
+
+import * as BackgroundConnection from './background-connection.js';
+import * as Sidebar from './sidebar.js';
+import * as SidebarTabs from './sidebar-tabs.js';
+import * as EventUtils from './event-utils.js';
+import * as Scroll from './scroll.js';
+import * as TabFilter from './tab-filter.js';
+
+function log(...args) {
+  internalLogger('sidebar/keyboard-event-listener', ...args);
+}
+
+let mTargetWindow;
+// The tab which has "tabindex=0", aka "roving tabindex".
+let mFocusableTab = null;
+
+Sidebar.onInit.addListener(() => {
+  mTargetWindow = TabsStore.getWindow();
+});
+
+Sidebar.onBuilt.addListener(async () => {
+  SidebarTabs.wholeContainer.addEventListener('keydown', onKeyDown);
+  SidebarTabs.wholeContainer.addEventListener('focusin', onFocusIn);
+});
+
+Sidebar.onReady.addListener(() => {
+  setFocusableTab(Tab.getActiveTab(mTargetWindow));
+  reserveToUpdateAriaAttributes();
+});
+
+
+function isNavigable(tab) {
+  if (!TabsStore.ensureLivingTab(tab) ||
+      tab.hidden)
+    return false;
+  if (TabFilter.isActive())
+    return tab.pinned || !tab.$TST.states.has(Constants.kTAB_STATE_FILTER_UNMATCHED);
+  return !tab.$TST.collapsed;
+}
+
+function getNavigableTabs() {
+  return Tab.getTabs(mTargetWindow).filter(isNavigable);
+}
+
+function setFocusableTab(tab) {
+  if (!tab ||
+      !tab.$TST.element)
+    return;
+  if (mFocusableTab &&
+      mFocusableTab != tab &&
+      mFocusableTab.$TST.element)
+    mFocusableTab.$TST.element.setAttribute('tabindex', -1);
+  mFocusableTab = tab;
+  tab.$TST.element.setAttribute('tabindex', 0);
+}
+
+function focusTab(tab) {
+  if (!isNavigable(tab))
+    return;
+  log('focusTab: ', tab.id);
+  setFocusableTab(tab);
+  tab.$TST.element.focus();
+  Scroll.scrollToTab(tab);
+}
+
+function onFocusIn(event) {
+  const tab = EventUtils.getTabFromEvent(event);
+  if (tab)
+    setFocusableTab(tab);
+}
+onFocusIn = EventUtils.wrapWithErrorHandler(onFocusIn);
+
+function onKeyDown(event) {
+  const tab = EventUtils.getTabFromEvent(event);
+  if (!tab ||
+      event.target != tab.$TST.element ||
+      event.altKey ||
+      event.ctrlKey ||
+      event.metaKey)
+    return;
+
+  log('onKeyDown: ', event.key, tab.id);
+  switch (event.key) {
+    case 'ArrowDown':
+    case 'ArrowUp': {
+      const tabs  = getNavigableTabs();
+      const index = tabs.indexOf(tab);
+      focusTab(tabs[event.key == 'ArrowDown' ? index + 1 : index - 1]);
+    }; break;
+
+    case 'Home':
+      focusTab(getNavigableTabs()[0]);
+      break;
+
+    case 'End': {
+      const tabs = getNavigableTabs();
+      focusTab(tabs[tabs.length - 1]);
+    }; break;
+
+    case 'ArrowRight':
+      if (!tab.$TST.hasChild)
+        return;
+      if (tab.$TST.subtreeCollapsed)
+        setSubtreeCollapsed(tab, false);
+      else
+        focusTab(tab.$TST.firstChild);
+      break;
+
+    case 'ArrowLeft':
+      if (tab.$TST.hasChild &&
+          !tab.$TST.subtreeCollapsed)
+        setSubtreeCollapsed(tab, true);
+      else
+        focusTab(tab.$TST.parent);
+      break;
+
+    case ' ':
+      if (tab.active)
+        return;
+      browser.tabs.update(tab.id, {
+        highlighted: !tab.highlighted,
+        active:      false
+      }).catch(ApiTabs.createErrorHandler(ApiTabs.handleMissingTabError));
+      break;
+
+    case 'Enter':
+      BackgroundConnection.sendMessage({
+        type:  Constants.kCOMMAND_SELECT_TAB,
+        tabId: tab.id
+      });
+      break;
+
+    case 'Delete':
+      closeTab(tab);
+      break;
+
+    default:
+      return;
+  }
+  event.stopPropagation();
+  event.preventDefault();
+}
+onKeyDown = EventUtils.wrapWithErrorHandler(onKeyDown);
+
+function setSubtreeCollapsed(tab, collapsed) {
+  BackgroundConnection.sendMessage({
+    type:            Constants.kCOMMAND_SET_SUBTREE_COLLAPSED_STATE,
+    tabId:           tab.id,
+    collapsed,
+    manualOperation: true,
+    stack:           configs.debug && new Error().stack
+  });
+}
+
+async function closeTab(tab) {
+  const tabsToBeClosed = TreeBehavior.getClosingTabsFromParent(tab, {
+    byInternalOperation: true
+  });
+  const confirmed = await Sidebar.confirmToCloseTabs(tabsToBeClosed.map(tab => tab.$TST.sanitized));
+  if (!confirmed)
+    return;
+  // Keep the keyboard focus in the tab bar after the tab is closed.
+  const closingTabs = new Set(tabsToBeClosed);
+  const tabs  = getNavigableTabs();
+  const index = tabs.indexOf(tab);
+  const nextFocusTab = tabs.slice(index + 1).find(tab => !closingTabs.has(tab)) ||
+                       tabs.slice(0, index).reverse().find(tab => !closingTabs.has(tab));
+  BackgroundConnection.sendMessage({
+    type:   Constants.kCOMMAND_REMOVE_TABS_INTERNALLY,
+    tabIds: [tab.id]
+  });
+  if (nextFocusTab)
+    focusTab(nextFocusTab);
+}
+
+
+function reserveToUpdateAriaAttributes() {
+  if (reserveToUpdateAriaAttributes.waiting)
+    clearTimeout(reserveToUpdateAriaAttributes.waiting);
+  reserveToUpdateAriaAttributes.waiting = setTimeout(() => {
+    delete reserveToUpdateAriaAttributes.waiting;
+    for (const tab of Tab.getAllTabs(mTargetWindow, { iterator: true })) {
+      SidebarTabs.updateAriaAttributes(tab);
+    }
+  }, 100);
+}
+
+BackgroundConnection.onMessage.addListener(async message => {
+  switch (message.type) {
+    case Constants.kCOMMAND_NOTIFY_TAB_ACTIVATED: {
+      await Tab.waitUntilTracked(message.tabId, { element: true });
+      const tab = Tab.get(message.tabId);
+      // Don't move the roving focus while the user is navigating with keyboard.
+      if (tab &&
+          !SidebarTabs.wholeContainer.contains(document.activeElement))
+        setFocusableTab(tab);
+      reserveToUpdateAriaAttributes();
+    }; break;
+
+    case Constants.kCOMMAND_NOTIFY_TAB_REMOVED:
+      if (mFocusableTab &&
+          mFocusableTab.id == message.tabId)
+        mFocusableTab = null;
+      break;
+
+    case Constants.kCOMMAND_NOTIFY_TAB_LEVEL_CHANGED:
+    case Constants.kCOMMAND_NOTIFY_SUBTREE_COLLAPSED_STATE_CHANGED:
+    case Constants.kCOMMAND_NOTIFY_CHILDREN_CHANGED:
+    case Constants.kCOMMAND_NOTIFY_HIGHLIGHTED_TABS_CHANGED:
+    case Constants.kCOMMAND_NOTIFY_TAB_ATTACHED_COMPLETELY:
+    case Constants.kCOMMAND_NOTIFY_TAB_DETACHED_FROM_WINDOW:
+      reserveToUpdateAriaAttributes();
+      break;
+  }
+});
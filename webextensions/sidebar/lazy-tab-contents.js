@@ -0,0 +1,133 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as TabsStore from '/common/tabs-store.js';
+
+import Tab from '/common/Tab.js';
+
+import * as BackgroundConnection from './background-connection.js';
+import * as SidebarTabs from './sidebar-tabs.js';
+import * as CollapseExpand from './collapse-expand.js';
+
+import EventListenerManager from '/extlib/EventListenerManager.js';
+
+function log(...args) {
+  internalLogger('sidebar/lazy-tab-contents', ...args);
+}
+
+// Contents of tabs (label, favicon, buttons and so on) are rendered
+// lazily, only for tabs near the viewport. Elements of all tabs and
+// containers for extra contents given by addons are always there, so
+// the scroll position, collapse animations and detection of drop
+// positions work as usual.
+
+export const onRendered = new EventListenerManager();
+
+const mIntersectingTabIds = new Set();
+let mObserver;
+
+export function init() {
+  mObserver = new IntersectionObserver(onIntersectionChanged, {
+    root:       document.querySelector('#tabbar'),
+    // Tabs in the previous and next pages are also rendered,
+    // to avoid blank rows while scrolling.
+    rootMargin: '100% 0px'
+  });
+  for (const tab of Tab.getAllTabs(TabsStore.getWindow(), { iterator: true })) {
+    observe(tab);
+  }
+}
+
+function observe(tab) {
+  if (!mObserver ||
+      !tab.$TST.element)
+    return;
+  mObserver.observe(tab.$TST.element);
+}
+
+function shouldRender(tab) {
+  if (!mObserver ||
+      tab.pinned) // pinned tabs are always visible
+    return true;
+  if (!mIntersectingTabIds.has(tab.id))
+    return false;
+  // Collapsed tabs are overlapped on their parent, so we should ignore them.
+  // They are visible while a filter is active, and we should keep them rendered
+  // until the collapsing animation finishes.
+  return (
+    !tab.$TST.collapsed ||
+    tab.$TST.states.has(Constants.kTAB_STATE_COLLAPSING) ||
+    document.documentElement.classList.contains(Constants.kTABBAR_STATE_FILTERING)
+  );
+}
+
+export function update(tab) {
+  if (!TabsStore.ensureLivingTab(tab) ||
+      !tab.$TST.element)
+    return;
+  if (shouldRender(tab)) {
+    if (SidebarTabs.isContentsRendered(tab))
+      return;
+    SidebarTabs.renderContents(tab);
+    onRendered.dispatch(tab);
+  }
+  else {
+    SidebarTabs.clearContents(tab);
+  }
+}
+
+// Tabs out of the viewport are never rendered, so we don't need to
+// update them.
+export function updateIntersectingTabs() {
+  for (const id of mIntersectingTabIds) {
+    update(Tab.get(id));
+  }
+}
+
+function onIntersectionChanged(entries) {
+  log('onIntersectionChanged: ', entries.length);
+  for (const entry of entries) {
+    const tab = entry.target.apiTab;
+    if (!tab)
+      continue;
+    if (entry.isIntersecting)
+      mIntersectingTabIds.add(tab.id);
+    else
+      mIntersectingTabIds.delete(tab.id);
+    update(tab);
+  }
+}
+
+Tab.onElementBound.addListener(tab => {
+  if (tab.windowId == TabsStore.getWindow())
+    observe(tab);
+});
+
+Tab.onDestroyed.addListener(tab => {
+  mIntersectingTabIds.delete(tab.id);
+  if (mObserver &&
+      tab.$TST.element)
+    mObserver.unobserve(tab.$TST.element);
+});
+
+CollapseExpand.onUpdated.addListener(tab => {
+  update(tab);
+});
+
+BackgroundConnection.onMessage.addListener(async message => {
+  switch (message.type) {
+    case Constants.kCOMMAND_NOTIFY_TAB_PINNED:
+    case Constants.kCOMMAND_NOTIFY_TAB_UNPINNED: {
+      await Tab.waitUntilTracked(message.tabId, { element: true });
+      update(Tab.get(message.tabId));
+    }; break;
+  }
+});
@@ -221,6 +221,9 @@ function onMouseDown(event) {
   DragAndDrop.clearDropPosition();
   DragAndDrop.clearDraggingState();
 
+  if (EventUtils.isEventFiredOnTabFilterBox(event))
+    return;
+
   if (EventUtils.isEventFiredOnAnchor(event) &&
       !EventUtils.isAccelAction(event) &&
       event.button != 2) {
@@ -338,7 +341,8 @@ async function onMouseUp(event) {
   DragAndDrop.endMultiDrag(livingTab, event);
 
   if (EventUtils.isEventFiredOnMenuOrPanel(event) ||
-      EventUtils.isEventFiredOnAnchor(event))
+      EventUtils.isEventFiredOnAnchor(event) ||
+      EventUtils.isEventFiredOnTabFilterBox(event))
     return;
 
   const lastMousedown = EventUtils.getLastMousedown(event.button);
@@ -104,7 +104,7 @@ export function reposition(options = {}) {
     style.bottom = 'auto';
     style.left   = `${width * col}px`;
     style.right  = faviconized ? 'auto' : 0 ;
-    style.top    = `${height * row}px`;
+    style.top    = `calc(var(--tab-filter-box-size) + ${height * row}px)`;
 
     if (options.justNow)
       tab.$TST.addState(Constants.kTAB_STATE_ANIMATION_READY);
@@ -568,7 +568,11 @@ async function onBackgroundMessage(message) {
   }
 }
 
-function onMessageExternal(message, _aSender) {
+function onMessageExternal(message, sender) {
+  const permissionError = TSTAPI.checkPermission(message, sender);
+  if (permissionError)
+    return permissionError;
+
   switch (message.type) {
     case TSTAPI.kSCROLL:
       return (async () => {
@@ -66,11 +66,11 @@ export function getTabFromDOMNode(node, options = {}) {
 }
 
 function getLabel(tab) {
-  return tab && tab.$TST.element && tab.$TST.element.querySelector(`.${Constants.kLABEL}`);
+  return tab && tab.$TST.element && tab.$TST.element.querySelector(`:scope > .${Constants.kLABEL}`);
 }
 
 function getLabelContent(tab) {
-  return tab && tab.$TST.element && tab.$TST.element.querySelector(`.${Constants.kLABEL}-content`);
+  return tab && tab.$TST.element && tab.$TST.element.querySelector(`:scope > .${Constants.kLABEL} > .${Constants.kLABEL}-content`);
 }
 
 function getTwisty(tab) {
@@ -89,6 +89,14 @@ function getDescendantsCounter(tab) {
   return tab && tab.$TST.element && tab.$TST.element.querySelector(`.${Constants.kCOUNTER}`);
 }
 
+function getUnloadedDescendantsCounter(tab) {
+  return tab && tab.$TST.element && tab.$TST.element.querySelector(`.${Constants.kUNLOADED_COUNTER}`);
+}
+
+export function getExtraItemsContainer(tab, place) {
+  return tab && tab.$TST.element && tab.$TST.element.querySelector(`:scope > .${Constants.kEXTRA_ITEMS_CONTAINER}.${place}`);
+}
+
 export function getClosebox(tab) {
   return tab && tab.$TST.element && tab.$TST.element.querySelector(`.${Constants.kCLOSEBOX}`);
 }
@@ -112,7 +120,9 @@ function updateTwistyTooltip(tab) {
     tooltip = browser.i18n.getMessage('tab_twisty_collapsed_tooltip');
   else
     tooltip = browser.i18n.getMessage('tab_twisty_expanded_tooltip');
-  getTwisty(tab).setAttribute('title', tooltip);
+  const twisty = getTwisty(tab);
+  if (twisty)
+    twisty.setAttribute('title', tooltip);
 }
 
 export async function reserveToUpdateCloseboxTooltip(tab) {
@@ -135,7 +145,9 @@ function updateCloseboxTooltip(tab) {
     tooltip = browser.i18n.getMessage('tab_closebox_tree_tooltip');
   else
     tooltip = browser.i18n.getMessage('tab_closebox_tab_tooltip');
-  getClosebox(tab).setAttribute('title', tooltip);
+  const closebox = getClosebox(tab);
+  if (closebox)
+    closebox.setAttribute('title', tooltip);
 }
 
 function updateDescendantsCount(tab) {
@@ -147,6 +159,12 @@ function updateDescendantsCount(tab) {
   if (configs.counterRole == Constants.kCOUNTER_ROLE_ALL_TABS)
     count += 1;
   counter.textContent = count;
+
+  const unloadedCounter = getUnloadedDescendantsCounter(tab);
+  if (!unloadedCounter)
+    return;
+  const unloadedCount = descendants.filter(descendant => descendant.$TST.states.has(Constants.kTAB_STATE_DISCARDED)).length;
+  unloadedCounter.textContent = unloadedCount > 0 ? browser.i18n.getMessage('tab_unloadedCounter_label', [unloadedCount]) : '';
 }
 
 function updateDescendantsHighlighted(tab) {
@@ -235,7 +253,7 @@ windowId = ${tab.windowId}
   }
 
   const label = getLabel(tab);
-  if (tab.pinned || label.classList.contains('overflow')) {
+  if (tab.pinned || (label && label.classList.contains('overflow'))) {
     tab.$TST.setAttribute('title', tab.$TST.tooltip);
   }
   else {
@@ -308,7 +326,9 @@ function updateSoundButtonTooltip(tab) {
   else if (tab.$TST.maybeSoundPlaying)
     tooltip = browser.i18n.getMessage(`tab_soundButton_playing_tooltip${suffix}`);
 
-  getSoundButton(tab).setAttribute('title', tooltip);
+  const soundButton = getSoundButton(tab);
+  if (soundButton)
+    soundButton.setAttribute('title', tooltip);
 }
 
 
@@ -489,11 +509,12 @@ Window.onInitialized.addListener(windowId => {
   container.dataset.windowId = windowId;
   container.setAttribute('id', `window-${windowId}`);
   container.classList.add('tabs');
+  container.setAttribute('role', 'presentation');
   container.$TST = TabsStore.windows.get(windowId);
   container.$TST.bindElement(container);
 });
 
-Tab.onInitialized.addListener((tab, _info) => {
+Tab.onInitialized.addListener((tab, info) => {
   if (tab.$TST.element) // restored from cache
     return;
 
@@ -513,70 +534,144 @@ Tab.onInitialized.addListener((tab, _info) => {
   tab.$TST.setAttribute('id', id);
   tab.$TST.setAttribute(Constants.kAPI_TAB_ID, tab.id || -1);
   tab.$TST.setAttribute(Constants.kAPI_WINDOW_ID, tab.windowId || -1);
+  tabElement.setAttribute('role', 'treeitem');
+  tabElement.setAttribute('tabindex', -1);
+
+  tabElement.setAttribute('draggable', true);
 
-  const label = document.createElement('span');
-  label.classList.add(Constants.kLABEL);
-  const labelContent = label.appendChild(document.createElement('span'));
-  labelContent.classList.add(`${Constants.kLABEL}-content`);
-  tabElement.appendChild(label);
-
-  const twisty = document.createElement('span');
-  twisty.classList.add(Constants.kTWISTY);
-  twisty.setAttribute('title', browser.i18n.getMessage('tab_twisty_collapsed_tooltip'));
-  tabElement.insertBefore(twisty, label);
-
-  const favicon = document.createElement('span');
-  favicon.classList.add(Constants.kFAVICON);
-  const faviconImage = favicon.appendChild(document.createElement('img'));
-  faviconImage.classList.add(Constants.kFAVICON_IMAGE);
-  const defaultIcon = favicon.appendChild(document.createElement('span'));
-  defaultIcon.classList.add(Constants.kFAVICON_BUILTIN);
-  defaultIcon.classList.add(Constants.kFAVICON_DEFAULT); // just for backward compatibility, and this should be removed from future versions
-  const throbber = favicon.appendChild(document.createElement('span'));
-  throbber.classList.add(Constants.kTHROBBER);
-  tabElement.insertBefore(favicon, label);
-
-  const counter = document.createElement('span');
-  counter.classList.add(Constants.kCOUNTER);
-  tabElement.appendChild(counter);
-
-  const soundButton = document.createElement('button');
-  soundButton.classList.add(Constants.kSOUND_BUTTON);
-  tabElement.appendChild(soundButton);
-
-  const closebox = document.createElement('span');
-  closebox.classList.add(Constants.kCLOSEBOX);
-  closebox.setAttribute('title', browser.i18n.getMessage('tab_closebox_tab_tooltip'));
-  closebox.setAttribute('draggable', true); // this is required to cancel click by dragging
-  tabElement.appendChild(closebox);
-
-  const burster = document.createElement('span');
-  burster.classList.add(Constants.kBURSTER);
-  tabElement.appendChild(burster);
-
-  const activeMarker = document.createElement('span');
-  activeMarker.classList.add(Constants.kHIGHLIGHTER);
-  tabElement.appendChild(activeMarker);
-
-  const identityMarker = document.createElement('span');
-  identityMarker.classList.add(Constants.kCONTEXTUAL_IDENTITY_MARKER);
-  tabElement.appendChild(identityMarker);
+  // Containers for extra contents are kept even if other contents are
+  // cleared, because addons may put their contents into them.
+  const extraItemsContainerFront = document.createElement('span');
+  extraItemsContainerFront.classList.add(Constants.kEXTRA_ITEMS_CONTAINER);
+  extraItemsContainerFront.classList.add('front');
+  tabElement.appendChild(extraItemsContainerFront);
 
   const extraItemsContainerBehind = document.createElement('span');
   extraItemsContainerBehind.classList.add(Constants.kEXTRA_ITEMS_CONTAINER);
   extraItemsContainerBehind.classList.add('behind');
   tabElement.appendChild(extraItemsContainerBehind);
 
-  tabElement.setAttribute('draggable', true);
-
   applyStatesToElement(tab);
 
   const window  = TabsStore.windows.get(tab.windowId);
   const nextTab = tab.$TST.unsafeNextTab;
   log(`creating tab element for ${tab.id} before ${nextTab && nextTab.id}, tab, nextTab = `, tab, nextTab);
   window.element.insertBefore(tabElement, nextTab && nextTab.$TST.element);
+
+  // Contents of existing tabs are rendered only when they are scrolled
+  // into the viewport. See also lazy-tab-contents.js
+  if (!info.existing)
+    renderContents(tab);
 });
 
+export function isContentsRendered(tab) {
+  return !!getLabel(tab);
+}
+
+export function renderContents(tab) {
+  const tabElement = tab.$TST.element;
+  if (!tabElement)
+    return;
+
+  if (!isContentsRendered(tab)) {
+    const extraItemsContainerFront  = getExtraItemsContainer(tab, 'front');
+    const extraItemsContainerBehind = getExtraItemsContainer(tab, 'behind');
+
+    const twisty = document.createElement('span');
+    twisty.classList.add(Constants.kTWISTY);
+    twisty.setAttribute('title', browser.i18n.getMessage('tab_twisty_collapsed_tooltip'));
+    tabElement.insertBefore(twisty, extraItemsContainerFront);
+
+    const favicon = document.createElement('span');
+    favicon.classList.add(Constants.kFAVICON);
+    const faviconImage = favicon.appendChild(document.createElement('img'));
+    faviconImage.classList.add(Constants.kFAVICON_IMAGE);
+    const defaultIcon = favicon.appendChild(document.createElement('span'));
+    defaultIcon.classList.add(Constants.kFAVICON_BUILTIN);
+    defaultIcon.classList.add(Constants.kFAVICON_DEFAULT); // just for backward compatibility, and this should be removed from future versions
+    const throbber = favicon.appendChild(document.createElement('span'));
+    throbber.classList.add(Constants.kTHROBBER);
+    tabElement.insertBefore(favicon, extraItemsContainerFront);
+
+    const label = document.createElement('span');
+    label.classList.add(Constants.kLABEL);
+    const labelContent = label.appendChild(document.createElement('span'));
+    labelContent.classList.add(`${Constants.kLABEL}-content`);
+    tabElement.insertBefore(label, extraItemsContainerBehind);
+
+    const counter = document.createElement('span');
+    counter.classList.add(Constants.kCOUNTER);
+    tabElement.insertBefore(counter, extraItemsContainerBehind);
+
+    const unloadedCounter = document.createElement('span');
+    unloadedCounter.classList.add(Constants.kUNLOADED_COUNTER);
+    tabElement.insertBefore(unloadedCounter, extraItemsContainerBehind);
+
+    const soundButton = document.createElement('button');
+    soundButton.classList.add(Constants.kSOUND_BUTTON);
+    tabElement.insertBefore(soundButton, extraItemsContainerBehind);
+
+    const closebox = document.createElement('span');
+    closebox.classList.add(Constants.kCLOSEBOX);
+    closebox.setAttribute('title', browser.i18n.getMessage('tab_closebox_tab_tooltip'));
+    closebox.setAttribute('draggable', true); // this is required to cancel click by dragging
+    tabElement.insertBefore(closebox, extraItemsContainerBehind);
+
+    const burster = document.createElement('span');
+    burster.classList.add(Constants.kBURSTER);
+    tabElement.insertBefore(burster, extraItemsContainerBehind);
+
+    const activeMarker = document.createElement('span');
+    activeMarker.classList.add(Constants.kHIGHLIGHTER);
+    tabElement.insertBefore(activeMarker, extraItemsContainerBehind);
+
+    const identityMarker = document.createElement('span');
+    identityMarker.classList.add(Constants.kCONTEXTUAL_IDENTITY_MARKER);
+    tabElement.insertBefore(identityMarker, extraItemsContainerBehind);
+
+    reserveToUpdateTwistyTooltip(tab);
+    reserveToUpdateCloseboxTooltip(tab);
+    reserveToUpdateSoundButtonTooltip(tab);
+  }
+  tabElement.classList.add(Constants.kTAB_STATE_CONTENTS_RENDERED);
+
+  applyContentsToElement(tab);
+  updateDescendantsCount(tab);
+  if (configs.labelOverflowStyle == 'fade' &&
+      !tab.$TST.collapsed)
+    updateLabelOverflow(tab);
+}
+
+export function clearContents(tab) {
+  const tabElement = tab.$TST.element;
+  if (!tabElement ||
+      !isContentsRendered(tab))
+    return;
+  for (const child of Array.from(tabElement.children)) {
+    if (!child.classList.contains(Constants.kEXTRA_ITEMS_CONTAINER))
+      tabElement.removeChild(child);
+  }
+  tabElement.classList.remove(Constants.kTAB_STATE_CONTENTS_RENDERED);
+}
+
+function applyContentsToElement(tab) {
+  if (!isContentsRendered(tab))
+    return;
+
+  getLabelContent(tab).textContent = tab.title;
+  if (configs.labelOverflowStyle == 'fade' &&
+      !tab.$TST.labelIsDirty &&
+      tab.$TST.collapsed)
+    tab.$TST.labelIsDirty = true;
+
+  const openerOfGroupTab = tab.$TST.isGroupTab && Tab.getOpenerFromGroupTab(tab);
+  TabFavIconHelper.loadToImage({
+    image: getFavIcon(tab).firstChild,
+    tab,
+    url: openerOfGroupTab && openerOfGroupTab.favIconUrl || tab.favIconUrl
+  });
+}
+
 const NATIVE_STATES = new Set([
   'active',
   'attention',
@@ -589,26 +684,16 @@ const NATIVE_STATES = new Set([
 const IGNORE_CLASS_STATES = new Set([
   'tab',
   Constants.kTAB_STATE_ANIMATION_READY,
-  Constants.kTAB_STATE_SUBTREE_COLLAPSED
+  Constants.kTAB_STATE_SUBTREE_COLLAPSED,
+  Constants.kTAB_STATE_CONTENTS_RENDERED
 ]);
 
 export function applyStatesToElement(tab) {
   const tabElement = tab.$TST.element;
   const classList = tab.$TST.classList;
 
-  getLabelContent(tab).textContent = tab.title;
+  applyContentsToElement(tab);
   tab.$TST.tooltipIsDirty = true;
-  if (configs.labelOverflowStyle == 'fade' &&
-      !tab.$TST.labelIsDirty &&
-      tab.$TST.collapsed)
-    tab.$TST.labelIsDirty = true;
-
-  const openerOfGroupTab = tab.$TST.isGroupTab && Tab.getOpenerFromGroupTab(tab);
-  TabFavIconHelper.loadToImage({
-    image: getFavIcon(tab).firstChild,
-    tab,
-    url: openerOfGroupTab && openerOfGroupTab.favIconUrl || tab.favIconUrl
-  });
 
   for (const state of classList) {
     if (IGNORE_CLASS_STATES.has(state) ||
@@ -671,6 +756,32 @@ export function applyStatesToElement(tab) {
     if (classList.contains(Constants.kTAB_STATE_SUBTREE_COLLAPSED))
       classList.remove(Constants.kTAB_STATE_SUBTREE_COLLAPSED);
   }
+
+  updateAriaAttributes(tab);
+}
+
+// for screen readers
+export function updateAriaAttributes(tab) {
+  const tabElement = tab.$TST.element;
+  if (!tabElement)
+    return;
+
+  const level = String(parseInt(tab.$TST.getAttribute(Constants.kLEVEL) || 0) + 1);
+  if (tabElement.getAttribute('aria-level') != level)
+    tabElement.setAttribute('aria-level', level);
+
+  if (tab.$TST.hasChild) {
+    const expanded = String(!tab.$TST.subtreeCollapsed);
+    if (tabElement.getAttribute('aria-expanded') != expanded)
+      tabElement.setAttribute('aria-expanded', expanded);
+  }
+  else if (tabElement.hasAttribute('aria-expanded')) {
+    tabElement.removeAttribute('aria-expanded');
+  }
+
+  const selected = String(!!(tab.active || tab.highlighted));
+  if (tabElement.getAttribute('aria-selected') != selected)
+    tabElement.setAttribute('aria-selected', selected);
 }
 
 export function applyCollapseExpandStateToElement(tab) {
@@ -925,6 +1036,13 @@ BackgroundConnection.onMessage.addListener(async message => {
           parent.$TST.inheritSoundStateFromChildren();
       }
 
+      if ((message.addedStates && message.addedStates.includes(Constants.kTAB_STATE_DISCARDED)) ||
+          (message.removedStates && message.removedStates.includes(Constants.kTAB_STATE_DISCARDED))) {
+        for (const ancestor of tab.$TST.ancestors) {
+          updateDescendantsCount(ancestor);
+        }
+      }
+
       TabsStore.updateIndexesForTab(tab);
 
       reserveToUpdateSoundButtonTooltip(tab);
@@ -1079,7 +1197,9 @@ BackgroundConnection.onMessage.addListener(async message => {
       if (!tab)
         return;
       tab.$TST.label = message.label;
-      getLabelContent(tab).textContent = message.title;
+      const labelContent = getLabelContent(tab);
+      if (labelContent)
+        labelContent.textContent = message.title;
       tab.$TST.tooltipIsDirty = true;
       if (configs.labelOverflowStyle == 'fade' &&
           !tab.$TST.labelIsDirty &&
@@ -1093,6 +1213,8 @@ BackgroundConnection.onMessage.addListener(async message => {
       if (!tab)
         return;
       tab.favIconUrl = message.favIconUrl;
+      if (!isContentsRendered(tab))
+        return;
       TabFavIconHelper.loadToImage({
         image: getFavIcon(tab).firstChild,
         tab,
@@ -41,6 +41,9 @@ import * as Color from './color.js';
 import * as Indent from './indent.js';
 import * as Scroll from './scroll.js';
 import * as TabContextMenu from './tab-context-menu.js';
+import * as TabFilter from './tab-filter.js';
+import * as ExtraTabContents from './extra-tab-contents.js';
+import * as LazyTabContents from './lazy-tab-contents.js';
 
 import EventListenerManager from '/extlib/EventListenerManager.js';
 
@@ -193,6 +196,7 @@ export async function init() {
       onConfigChange('scrollbarMode');
       onConfigChange('showContextualIdentitiesSelector');
       onConfigChange('showNewTabActionSelector');
+      onConfigChange('showTabFilter');
 
       document.addEventListener('focus', onFocus);
       document.addEventListener('blur', onBlur);
@@ -220,6 +224,12 @@ export async function init() {
     }),
     MetricsData.addAsync('parallel initialization: TabContextMenu', async () => {
       TabContextMenu.init();
+    }),
+    MetricsData.addAsync('parallel initialization: TabFilter', async () => {
+      TabFilter.init();
+    }),
+    MetricsData.addAsync('parallel initialization: ExtraTabContents', async () => {
+      ExtraTabContents.init();
     })
   ]);
 
@@ -234,6 +244,7 @@ export async function init() {
       updateTabbarLayout({ justNow: true });
 
       SidebarTabs.init();
+      LazyTabContents.init();
 
       onConfigChange('animation');
       onReady.dispatch();
@@ -604,6 +615,26 @@ async function confirmToAutoGroupNewTabs(tabIds) {
   }
 }
 
+async function confirmToSwitchToDuplicatedTab(existingTabId) {
+  const existingTab = Tab.get(existingTabId);
+  if (!existingTab)
+    return false;
+
+  const confirm = new RichConfirm({
+    message: browser.i18n.getMessage('warnOnDuplicatedTab_message', [existingTab.title]),
+    buttons: [
+      browser.i18n.getMessage('warnOnDuplicatedTab_switch'),
+      browser.i18n.getMessage('warnOnDuplicatedTab_keep')
+    ],
+    checkMessage: browser.i18n.getMessage('warnOnDuplicatedTab_warnAgain'),
+    checked: true
+  });
+  const result = await confirm.show();
+  if (!result.checked)
+    configs.checkDuplicatedTabOnOpen = false;
+  return result.buttonIndex == 0;
+}
+
 
 export function reserveToUpdateTabbarLayout(options = {}) {
   //log('reserveToUpdateTabbarLayout');
@@ -864,6 +895,17 @@ function onConfigChange(changedKey) {
         rootClasses.remove(Constants.kTABBAR_STATE_NEWTAB_ACTION_SELECTABLE);
       break;
 
+    case 'showTabFilter':
+      if (configs[changedKey]) {
+        rootClasses.add(Constants.kTABBAR_STATE_TAB_FILTER_AVAILABLE);
+      }
+      else {
+        rootClasses.remove(Constants.kTABBAR_STATE_TAB_FILTER_AVAILABLE);
+        if (TabFilter.isActive())
+          TabFilter.clear();
+      }
+      break;
+
     case 'simulateSVGContextFill':
       if (configs[changedKey])
         rootClasses.add('simulate-svg-context-fill');
@@ -896,6 +938,10 @@ function onMessage(message, _sender, _respond) {
       log('kCOMMAND_CONFIRM_TO_AUTO_GROUP_NEW_TABS: ', { message, mTargetWindow });
       return confirmToAutoGroupNewTabs(message.tabIds);
 
+    case Constants.kCOMMAND_CONFIRM_TO_SWITCH_TO_DUPLICATED_TAB:
+      log('kCOMMAND_CONFIRM_TO_SWITCH_TO_DUPLICATED_TAB: ', { message, mTargetWindow });
+      return confirmToSwitchToDuplicatedTab(message.existingTabId);
+
     case Constants.kCOMMAND_RELOAD:
       location.reload();
       return;
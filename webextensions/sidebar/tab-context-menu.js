@@ -471,6 +471,10 @@ function importExtraItems(importedItems) {
 
 function onExternalMessage(message, sender) {
   log('API called:', message, { id: sender.id, url: sender.url });
+  const permissionError = TSTAPI.checkPermission(message, sender);
+  if (permissionError)
+    return permissionError;
+
   switch (message.type) {
     case TSTAPI.kCONTEXT_MENU_OPEN:
       return (async () => {
@@ -0,0 +1,268 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log as internalLogger,
+  configs
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as TabsStore from '/common/tabs-store.js';
+
+import Tab from '/common/Tab.js';
+
+import * as BackgroundConnection from './background-connection.js';
+import * as Scroll from './scroll.js';
+import * as LazyTabContents from './lazy-tab-contents.js';
+
+function log(...args) {
+  internalLogger('sidebar/tab-filter', ...args);
+}
+
+const kFILTER_STATES = [
+  Constants.kTAB_STATE_FILTER_MATCHED,
+  Constants.kTAB_STATE_FILTER_CONTEXT,
+  Constants.kTAB_STATE_FILTER_UNMATCHED,
+  Constants.kTAB_STATE_FILTER_FOCUSED
+];
+
+let mField;
+let mRegExpCheck;
+let mMatcher     = null;
+let mMatchedTabs = [];
+let mFocusedTab  = null;
+
+export function init() {
+  mField       = document.querySelector('#tab-filter-field');
+  mRegExpCheck = document.querySelector('#tab-filter-regexp');
+
+  mRegExpCheck.checked = configs.tabFilterUseRegExp;
+  mField.addEventListener('input', reserveToApply);
+  mField.addEventListener('keydown', onKeyDown);
+  mRegExpCheck.addEventListener('change', () => {
+    configs.tabFilterUseRegExp = mRegExpCheck.checked;
+    apply();
+  });
+}
+
+export function isActive() {
+  return !!mMatcher;
+}
+
+function createMatcher(query) {
+  if (!query)
+    return null;
+  const source = configs.tabFilterUseRegExp ?
+    query :
+    query.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+  try {
+    return new RegExp(source, 'gi');
+  }
+  catch(_error) {
+    // invalid regular expression
+    return undefined;
+  }
+}
+
+function getMatchedRanges(text) {
+  const ranges = [];
+  if (!text)
+    return ranges;
+  mMatcher.lastIndex = 0;
+  let matched;
+  while ((matched = mMatcher.exec(text))) {
+    if (matched[0].length == 0) {
+      mMatcher.lastIndex++;
+      continue;
+    }
+    ranges.push([matched.index, matched.index + matched[0].length]);
+  }
+  return ranges;
+}
+
+function getLabelContent(tab) {
+  return tab.$TST.element && tab.$TST.element.querySelector(`.${Constants.kLABEL}-content`);
+}
+
+function highlightLabel(labelContent, text, ranges) {
+  if (!labelContent)
+    return;
+  if (ranges.length == 0) {
+    if (labelContent.querySelector('mark'))
+      labelContent.textContent = text;
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+  for (const [start, end] of ranges) {
+    fragment.appendChild(document.createTextNode(text.substring(lastIndex, start)));
+    fragment.appendChild(document.createElement('mark')).textContent = text.substring(start, end);
+    lastIndex = end;
+  }
+  fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
+  labelContent.textContent = '';
+  labelContent.appendChild(fragment);
+}
+
+function setFilterState(tab, state) {
+  for (const filterState of kFILTER_STATES) {
+    if (filterState == Constants.kTAB_STATE_FILTER_FOCUSED)
+      continue;
+    if (filterState == state)
+      tab.$TST.addState(filterState);
+    else
+      tab.$TST.removeState(filterState);
+  }
+}
+
+export function apply() {
+  if (reserveToApply.waiting) {
+    clearTimeout(reserveToApply.waiting);
+    delete reserveToApply.waiting;
+  }
+  mMatcher = createMatcher(mField.value);
+  mField.classList.toggle('invalid', mMatcher === undefined);
+  if (!mMatcher) {
+    clear({ keepQuery: true });
+    return;
+  }
+  log('apply: ', mMatcher);
+
+  document.documentElement.classList.add(Constants.kTABBAR_STATE_FILTERING);
+  const tabs = Tab.getNormalTabs(TabsStore.getWindow());
+  const matchedTabs = new Set();
+  const contextTabs = new Set();
+  for (const tab of tabs) {
+    const labelContent = getLabelContent(tab);
+    const label  = labelContent ? labelContent.textContent : tab.title;
+    const ranges = getMatchedRanges(label);
+    if (ranges.length > 0 ||
+        getMatchedRanges(tab.url).length > 0) {
+      matchedTabs.add(tab);
+      for (const ancestor of tab.$TST.ancestors) {
+        contextTabs.add(ancestor);
+      }
+    }
+    highlightLabel(labelContent, label, ranges);
+  }
+  for (const tab of tabs) {
+    if (matchedTabs.has(tab))
+      setFilterState(tab, Constants.kTAB_STATE_FILTER_MATCHED);
+    else if (contextTabs.has(tab))
+      setFilterState(tab, Constants.kTAB_STATE_FILTER_CONTEXT);
+    else
+      setFilterState(tab, Constants.kTAB_STATE_FILTER_UNMATCHED);
+  }
+  mMatchedTabs = tabs.filter(tab => matchedTabs.has(tab));
+  LazyTabContents.updateIntersectingTabs();
+  if (!mMatchedTabs.includes(mFocusedTab))
+    setFocusedTab(mMatchedTabs[0]);
+}
+
+export function reserveToApply() {
+  if (reserveToApply.waiting)
+    clearTimeout(reserveToApply.waiting);
+  reserveToApply.waiting = setTimeout(() => {
+    delete reserveToApply.waiting;
+    apply();
+  }, 100);
+}
+
+export function clear(options = {}) {
+  if (!options.keepQuery) {
+    mField.value = '';
+    mField.classList.remove('invalid');
+    mMatcher = null;
+  }
+  document.documentElement.classList.remove(Constants.kTABBAR_STATE_FILTERING);
+  for (const tab of Tab.getAllTabs(TabsStore.getWindow(), { iterator: true })) {
+    for (const state of kFILTER_STATES) {
+      tab.$TST.removeState(state);
+    }
+    const labelContent = getLabelContent(tab);
+    if (labelContent &&
+        labelContent.querySelector('mark'))
+      labelContent.textContent = labelContent.textContent;
+  }
+  mMatchedTabs = [];
+  mFocusedTab  = null;
+  LazyTabContents.updateIntersectingTabs();
+}
+
+function setFocusedTab(tab) {
+  if (mFocusedTab &&
+      mFocusedTab.$TST)
+    mFocusedTab.$TST.removeState(Constants.kTAB_STATE_FILTER_FOCUSED);
+  mFocusedTab = tab || null;
+  if (!mFocusedTab)
+    return;
+  mFocusedTab.$TST.addState(Constants.kTAB_STATE_FILTER_FOCUSED);
+  Scroll.scrollToTab(mFocusedTab);
+}
+
+function onKeyDown(event) {
+  switch (event.key) {
+    case 'ArrowDown':
+    case 'ArrowUp': {
+      event.preventDefault();
+      if (mMatchedTabs.length == 0)
+        return;
+      const delta = event.key == 'ArrowDown' ? 1 : -1;
+      const index = mMatchedTabs.indexOf(mFocusedTab);
+      setFocusedTab(mMatchedTabs[(index + delta + mMatchedTabs.length) % mMatchedTabs.length]);
+    }; break;
+
+    case 'Enter':
+      event.preventDefault();
+      if (reserveToApply.waiting)
+        apply();
+      if (!TabsStore.ensureLivingTab(mFocusedTab))
+        return;
+      BackgroundConnection.sendMessage({
+        type:  Constants.kCOMMAND_SELECT_TAB,
+        tabId: mFocusedTab.id
+      });
+      break;
+
+    case 'Escape':
+      event.preventDefault();
+      if (mField.value)
+        clear();
+      else
+        mField.blur();
+      break;
+  }
+}
+
+LazyTabContents.onRendered.addListener(tab => {
+  if (!isActive())
+    return;
+  const labelContent = getLabelContent(tab);
+  const label = labelContent.textContent;
+  highlightLabel(labelContent, label, getMatchedRanges(label));
+});
+
+BackgroundConnection.onMessage.addListener(async message => {
+  if (!isActive())
+    return;
+  switch (message.type) {
+    case Constants.kCOMMAND_NOTIFY_TAB_CREATED:
+    case Constants.kCOMMAND_NOTIFY_TAB_REMOVED:
+    case Constants.kCOMMAND_NOTIFY_TAB_MOVED:
+    case Constants.kCOMMAND_NOTIFY_TAB_INTERNALLY_MOVED:
+    case Constants.kCOMMAND_NOTIFY_TAB_LABEL_UPDATED:
+    case Constants.kCOMMAND_NOTIFY_TAB_UPDATED:
+    case Constants.kCOMMAND_NOTIFY_TAB_ATTACHED_COMPLETELY:
+    case Constants.kCOMMAND_NOTIFY_TAB_DETACHED_FROM_WINDOW:
+    case Constants.kCOMMAND_NOTIFY_CHILDREN_CHANGED:
+    case Constants.kCOMMAND_NOTIFY_TAB_SHOWN:
+    case Constants.kCOMMAND_NOTIFY_TAB_HIDDEN:
+    case Constants.kCOMMAND_NOTIFY_TAB_PINNED:
+    case Constants.kCOMMAND_NOTIFY_TAB_UNPINNED:
+      reserveToApply();
+      break;
+  }
+});
@@ -13,11 +13,22 @@ import {
 import * as ApiTabsListener from '/background/api-tabs-listener.js';
 import { Diff } from '/common/diff.js';
 
+import * as TestApiPermissions from './test-api-permissions.js';
+import * as TestApiTryOperations from './test-api-try-operations.js';
+import * as TestBookmark from './test-bookmark.js';
+import * as TestExtraTabContents from './test-extra-tab-contents.js';
 import * as TestGroup from './test-group.js';
 import * as TestHidden from './test-hidden.js';
+import * as TestLazyTabContents from './test-lazy-tab-contents.js';
 import * as TestNewTab from './test-new-tab.js';
+import * as TestSidebarKeyboard from './test-sidebar-keyboard.js';
 import * as TestSuccessor from './test-successor.js';
+import * as TestTabFilter from './test-tab-filter.js';
 import * as TestTree from './test-tree.js';
+import * as TestTreeFile from './test-tree-file.js';
+import * as TestTreeHistory from './test-tree-history.js';
+import * as TestTreeSessions from './test-tree-sessions.js';
+import * as TestUndoCloseTree from './test-undo-close-tree.js';
 
 let mResults;
 let mLogs;
@@ -52,11 +63,22 @@ async function restoreConfigs(values) {
 
 async function runAll() {
   const testCases = [
+    TestApiPermissions,
+    TestApiTryOperations,
+    TestBookmark,
+    TestExtraTabContents,
     TestGroup,
     TestHidden,
+    TestLazyTabContents,
     TestNewTab,
+    TestSidebarKeyboard,
     TestSuccessor,
-    TestTree
+    TestTabFilter,
+    TestTree,
+    TestTreeFile,
+    TestTreeHistory,
+    TestTreeSessions,
+    TestUndoCloseTree
   ];
   let runOnlyRunnable = false;
   findRunnable:
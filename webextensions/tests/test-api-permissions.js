@@ -0,0 +1,112 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is /*, ok, ng*/ } from '/tests/assert.js';
+
+import * as Constants from '/common/constants.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as Utils from './utils.js';
+
+const kADDON_ID = 'test-addon@example.com';
+
+
+export async function testCheckPermission() {
+  await Utils.setConfigs({
+    externalAddonPermissions: {
+      [kADDON_ID]: {
+        name:    'Test Addon',
+        granted: [Constants.kAPI_PERMISSION_READ_TREE],
+        denied:  [Constants.kAPI_PERMISSION_MODIFY_TREE]
+      }
+    }
+  });
+
+  is(null,
+     TSTAPI.checkPermission({ type: TSTAPI.kGET_TREE }, { id: kADDON_ID }),
+     'granted API must be allowed');
+  is(null,
+     TSTAPI.checkPermission({ type: TSTAPI.kPING }, { id: kADDON_ID }),
+     'API without permission must be allowed');
+  is(null,
+     TSTAPI.checkPermission({ type: TSTAPI.kATTACH }, { id: browser.runtime.id }),
+     'API called by TST itself must be allowed');
+
+  const deniedResponse = await TSTAPI.checkPermission({ type: TSTAPI.kATTACH }, { id: kADDON_ID });
+  is({
+    error:      TSTAPI.kERROR_PERMISSION_DENIED,
+    permission: Constants.kAPI_PERMISSION_MODIFY_TREE
+  }, {
+    error:      deniedResponse.error,
+    permission: deniedResponse.permission
+  }, 'denied API must be rejected with a structured error');
+
+  const undecidedResponse = await TSTAPI.checkPermission({ type: TSTAPI.kGRANT_TO_REMOVE_TABS }, { id: kADDON_ID });
+  is({
+    error:      TSTAPI.kERROR_PERMISSION_DENIED,
+    permission: Constants.kAPI_PERMISSION_REMOVE_TABS
+  }, {
+    error:      undecidedResponse.error,
+    permission: undecidedResponse.permission
+  }, 'API not granted yet must be rejected with a structured error');
+}
+
+export async function testGetCapabilities() {
+  is(null,
+     TSTAPI.checkPermission({ type: TSTAPI.kGET_CAPABILITIES }, { id: kADDON_ID }),
+     'capabilities must be available without any permission');
+
+  const capabilities = await Utils.callAPI({
+    type: TSTAPI.kGET_CAPABILITIES
+  });
+  is({
+    apiVersion: TSTAPI.kAPI_VERSION,
+    getTree:    true,
+    tryAttach:  true
+  }, {
+    apiVersion: capabilities.apiVersion,
+    getTree:    capabilities.messages.includes(TSTAPI.kGET_TREE),
+    tryAttach:  capabilities.notifications.includes(TSTAPI.kNOTIFY_TRY_ATTACH)
+  }, 'supported messages and notifications must be returned');
+
+  is({
+    tryMoveFocus:    true,
+    shutdown:        false,
+    internal:        false,
+    error:           false,
+    notifyAsMessage: false
+  }, {
+    tryMoveFocus:    capabilities.notifications.includes(TSTAPI.kNOTIFY_TRY_MOVE_FOCUS_FROM_CLOSING_CURRENT_TAB),
+    shutdown:        capabilities.notifications.includes(TSTAPI.kNOTIFY_SHUTDOWN),
+    internal:        capabilities.messages.includes(TSTAPI.kCOMMAND_REQUEST_INITIALIZE),
+    error:           capabilities.messages.includes(TSTAPI.kERROR_PERMISSION_DENIED),
+    notifyAsMessage: capabilities.messages.includes(TSTAPI.kNOTIFY_TREE_ATTACHED)
+  }, 'only types available for addons must be listed');
+}
+
+export async function testAllTypesAreListed() {
+  const lists = [
+    TSTAPI.kMESSAGE_TYPES,
+    TSTAPI.kNOTIFICATION_TYPES,
+    TSTAPI.kINTERNAL_TYPES,
+    TSTAPI.kERROR_TYPES
+  ];
+  const unlisted = [];
+  const duplicated = [];
+  for (const [name, value] of Object.entries(TSTAPI)) {
+    if (!/^k[A-Z_]+$/.test(name) ||
+        typeof value != 'string')
+      continue;
+    const count = lists.filter(list => list.has(value)).length;
+    if (count == 0)
+      unlisted.push(name);
+    else if (count > 1)
+      duplicated.push(name);
+  }
+  is({ unlisted: [], duplicated: [] },
+     { unlisted, duplicated },
+     'every exported type must be listed in exactly one list');
+}
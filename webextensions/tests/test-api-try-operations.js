@@ -0,0 +1,342 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is, ok, ng } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import { wait } from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as Utils from './utils.js';
+
+let win;
+let mResponses;
+let mReceivedMessages;
+
+// This page works as an addon listening notifications. All notifications
+// are recorded even if they are not listened, to detect unexpected ones.
+function onMessage(message, _sender) {
+  if (!message ||
+      !TSTAPI.kNOTIFICATION_TYPES.has(message.type))
+    return;
+  mReceivedMessages.push(message);
+  if (!(message.type in mResponses))
+    return;
+  const response = mResponses[message.type];
+  return Promise.resolve(typeof response == 'function' ? response(message) : response);
+}
+
+// Registers this page as an addon, with the ID of TST itself.
+async function register(listeningTypes) {
+  await Utils.callAPI({
+    type:  TSTAPI.kREGISTER_SELF,
+    name:  browser.runtime.getManifest().name,
+    icons: browser.runtime.getManifest().icons,
+    listeningTypes
+  });
+}
+
+async function listen(responses) {
+  mResponses = responses;
+  await register(Object.keys(responses));
+}
+
+export async function setup() {
+  win = await browser.windows.create();
+  mResponses = {};
+  mReceivedMessages = [];
+  browser.runtime.onMessage.addListener(onMessage);
+  await Utils.setConfigs({
+    warnOnCloseTabs:        false,
+    warnOnAutoGroupNewTabs: false
+  });
+}
+
+export async function teardown() {
+  await register([]);
+  browser.runtime.onMessage.removeListener(onMessage);
+  mResponses = null;
+  mReceivedMessages = null;
+  await browser.windows.remove(win.id);
+  win = null;
+}
+
+function getReceivedTypes() {
+  return mReceivedMessages.map(message => message.type);
+}
+
+// Tabs opened with openerTabId keep it even if they are not attached to
+// the opener, so we see only their parents here.
+function getParentIds(tabs) {
+  return tabs.map(tab => tab.$TST.parentId || null);
+}
+
+
+export async function testTryAttachCanceled() {
+  await listen({ [TSTAPI.kNOTIFY_TRY_ATTACH]: true });
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' }
+  }, { windowId: win.id });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B } = tabs;
+    is([TSTAPI.kNOTIFY_TRY_ATTACH], getReceivedTypes(),
+       'the listener must be notified');
+    is([null, null], getParentIds([A, B]),
+       'the new tab must not be attached to the opener');
+  }
+}
+
+export async function testTryAttachRedirected() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 }
+  }, { windowId: win.id });
+  await listen({ [TSTAPI.kNOTIFY_TRY_ATTACH]: { parent: tabs.B.id } });
+  tabs = await Utils.refreshTabs(Object.assign(tabs, await Utils.createTabs({
+    C: { index: 3, openerTabId: tabs.A.id }
+  }, { windowId: win.id })));
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is(A.id, mReceivedMessages[0].baseTab.id,
+       'the opener must be notified as the base tab');
+    is([null, null, B.id], getParentIds([A, B, C]),
+       'the new tab must be attached to the tab given by the listener');
+  }
+}
+
+async function prepareTreesToCollapse() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3 },
+    D: { index: 4, openerTabId: 'C' }
+  }, { windowId: win.id });
+  tabs = await Utils.refreshTabs(tabs);
+  ng(tabs.A.$TST.subtreeCollapsed, 'the tree must be expanded initially');
+  return tabs;
+}
+
+export async function testTryCollapseCanceled() {
+  let tabs = await prepareTreesToCollapse();
+  await listen({ [TSTAPI.kNOTIFY_TRY_COLLAPSE]: true });
+  await browser.tabs.update(tabs.C.id, { active: true });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  ok(getReceivedTypes().includes(TSTAPI.kNOTIFY_TRY_COLLAPSE),
+     'the listener must be notified');
+  ng(tabs.A.$TST.subtreeCollapsed,
+     'other trees must not be collapsed');
+}
+
+export async function testTryCollapseAllowed() {
+  let tabs = await prepareTreesToCollapse();
+  await listen({ [TSTAPI.kNOTIFY_TRY_COLLAPSE]: null });
+  await browser.tabs.update(tabs.C.id, { active: true });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  ok(getReceivedTypes().includes(TSTAPI.kNOTIFY_TRY_COLLAPSE),
+     'the listener must be notified');
+  ok(tabs.A.$TST.subtreeCollapsed,
+     'other trees must be collapsed if the listener does not cancel it');
+}
+
+async function prepareTreeToClose() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'A' }
+  }, { windowId: win.id });
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is([null, A.id, A.id], getParentIds([A, B, C]),
+       'tabs must be initialized with specified structure');
+  }
+  return tabs;
+}
+
+export async function testTryFixupTreeOnTabClosedCanceled() {
+  let tabs = await prepareTreeToClose();
+  await listen({ [TSTAPI.kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED]: true });
+  await browser.tabs.remove(tabs.A.id);
+  await wait(1000);
+  delete tabs.A;
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { B, C } = tabs;
+    is(Constants.kCLOSE_PARENT_BEHAVIOR_PROMOTE_FIRST_CHILD, mReceivedMessages[0].behavior,
+       'the listener must be notified with the default behavior');
+    is([null, null], getParentIds([B, C]),
+       'children must be simply detached');
+  }
+}
+
+export async function testTryFixupTreeOnTabClosedRedirected() {
+  const tabs = await prepareTreeToClose();
+  await listen({ [TSTAPI.kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED]: { behavior: Constants.kCLOSE_PARENT_BEHAVIOR_CLOSE_ALL_CHILDREN } });
+  await browser.tabs.remove(tabs.A.id);
+  await wait(1000);
+  const remainingTabIds = (await browser.tabs.query({ windowId: win.id })).map(tab => tab.id);
+  is([false, false],
+     [tabs.B, tabs.C].map(tab => remainingTabIds.includes(tab.id)),
+     'children must be closed with the behavior given by the listener');
+}
+
+export async function testTryFixupTreeOnTabClosedWithInvalidBehavior() {
+  let tabs = await prepareTreeToClose();
+  await listen({ [TSTAPI.kNOTIFY_TRY_FIXUP_TREE_ON_TAB_CLOSED]: { behavior: 'close-all' } });
+  await browser.tabs.remove(tabs.A.id);
+  await wait(1000);
+  delete tabs.A;
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { B, C } = tabs;
+    is([null, B.id], getParentIds([B, C]),
+       'an invalid behavior must be ignored');
+  }
+}
+
+async function openTabsAtOnce() {
+  const tabs = await Promise.all(['X', 'Y'].map(name => browser.tabs.create({
+    windowId: win.id,
+    url:      `about:blank?${name}`,
+    active:   false
+  })));
+  await wait(1000);
+  return tabs;
+}
+
+export async function testTryGroupNewTabsCanceled() {
+  await listen({ [TSTAPI.kNOTIFY_TRY_GROUP_NEW_TABS]: true });
+  const newTabs = await Utils.doAndGetNewTabs(openTabsAtOnce, { windowId: win.id });
+  ok(getReceivedTypes().includes(TSTAPI.kNOTIFY_TRY_GROUP_NEW_TABS),
+     'the listener must be notified');
+  is(2, newTabs.length,
+     'no group tab must be opened');
+  is([null, null], getParentIds(newTabs),
+     'new tabs must not be grouped');
+}
+
+export async function testTryGroupNewTabsRedirected() {
+  const tabs = await Utils.createTabs({
+    A: { index: 1 }
+  }, { windowId: win.id });
+  await listen({ [TSTAPI.kNOTIFY_TRY_GROUP_NEW_TABS]: { parent: tabs.A.id } });
+  const newTabs = await Utils.doAndGetNewTabs(openTabsAtOnce, { windowId: win.id });
+  is(2, newTabs.length,
+     'no group tab must be opened');
+  await wait(500);
+  const [A, X, Y] = await Utils.refreshTabs([tabs.A].concat(newTabs));
+  is([null, A.id, A.id], getParentIds([A, X, Y]),
+     'new tabs must be attached to the tab given by the listener');
+}
+
+
+async function prepareTabsToAttach() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 },
+    C: { index: 3 }
+  }, { windowId: win.id });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is([null, null, null], getParentIds([A, B, C]),
+       'tabs must be initialized as independent tabs');
+  }
+  return tabs;
+}
+
+export async function testTreeAttachedAndDetached() {
+  const { A, B } = await prepareTabsToAttach();
+  await listen({
+    [TSTAPI.kNOTIFY_TREE_ATTACHED]: null,
+    [TSTAPI.kNOTIFY_TREE_DETACHED]: null
+  });
+
+  await Utils.callAPI({
+    type:   TSTAPI.kATTACH,
+    child:  B.id,
+    parent: A.id
+  });
+  await wait(500);
+  is([TSTAPI.kNOTIFY_TREE_ATTACHED], getReceivedTypes(),
+     'the listener must be notified for attaching');
+  is({ tab: B.id, parent: A.id, windowId: win.id },
+     { tab:      mReceivedMessages[0].tab.id,
+       parent:   mReceivedMessages[0].parent.id,
+       windowId: mReceivedMessages[0].windowId },
+     'the attached tab and its parent must be notified');
+
+  mReceivedMessages = [];
+  await Utils.callAPI({
+    type: TSTAPI.kDETACH,
+    tab:  B.id
+  });
+  await wait(500);
+  is([TSTAPI.kNOTIFY_TREE_DETACHED], getReceivedTypes(),
+     'the listener must be notified for detaching');
+  is({ tab: B.id, oldParentId: A.id, windowId: win.id },
+     { tab:         mReceivedMessages[0].tab.id,
+       oldParentId: mReceivedMessages[0].oldParentId,
+       windowId:    mReceivedMessages[0].windowId },
+     'the detached tab and its old parent must be notified');
+}
+
+export async function testTreeStructureChangedIsNotifiedOncePerWindow() {
+  const { A, B, C } = await prepareTabsToAttach();
+  const anotherWin = await browser.windows.create();
+  try {
+    const [X, Y] = await Promise.all(['X', 'Y'].map(name => browser.tabs.create({
+      windowId: anotherWin.id,
+      url:      `about:blank?${name}`,
+      active:   false
+    })));
+    await wait(500);
+    await listen({ [TSTAPI.kNOTIFY_TREE_STRUCTURE_CHANGED]: null });
+
+    // All changes happen in the delay, so they must be notified at once.
+    await Promise.all([
+      Utils.callAPI({ type: TSTAPI.kATTACH, child: B.id, parent: A.id }),
+      Utils.callAPI({ type: TSTAPI.kATTACH, child: C.id, parent: B.id }),
+      Utils.callAPI({ type: TSTAPI.kATTACH, child: Y.id, parent: X.id })
+    ]);
+    await wait(500);
+    is([win.id, anotherWin.id].sort(),
+       mReceivedMessages.map(message => message.windowId).sort(),
+       'changes must be notified only once for each window');
+
+    const message = mReceivedMessages.find(message => message.windowId == win.id);
+    const relations = message.tabs.filter(tab => [A.id, B.id, C.id].includes(tab.id));
+    is([null, A.id, B.id],
+       relations.map(tab => tab.parentId),
+       'the final tree structure must be notified');
+  }
+  finally {
+    await browser.windows.remove(anotherWin.id);
+  }
+}
+
+export async function testTreeChangesAreNotNotifiedWithoutListener() {
+  const { A, B, C } = await prepareTabsToAttach();
+  await Utils.callAPI({ type: TSTAPI.kATTACH, child: B.id, parent: A.id });
+  await wait(500);
+  is([], getReceivedTypes(),
+     'nothing must be notified while nobody listens');
+
+  await listen({ [TSTAPI.kNOTIFY_TREE_ATTACHED]: null });
+  await Utils.callAPI({ type: TSTAPI.kATTACH, child: C.id, parent: A.id });
+  await wait(500);
+  is([TSTAPI.kNOTIFY_TREE_ATTACHED], getReceivedTypes(),
+     'only notifications listened must be sent');
+}
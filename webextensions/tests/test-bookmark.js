@@ -0,0 +1,126 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is, ok /*, ng*/ } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import * as Bookmark from '/common/bookmark.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as Utils from './utils.js';
+
+let win;
+let folder;
+
+export async function setup() {
+  ok(await browser.permissions.contains({ permissions: ['bookmarks'] }),
+     'the permission to access bookmarks must be granted');
+  win = await browser.windows.create();
+  folder = await browser.bookmarks.create({
+    parentId: 'unfiled_____',
+    title:    'test-bookmark'
+  });
+}
+
+export async function teardown() {
+  await browser.bookmarks.removeTree(folder.id);
+  folder = null;
+  await browser.windows.remove(win.id);
+  win = null;
+}
+
+
+export async function testNestedBookmarksRoundTrip() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4, openerTabId: 'A' },
+    E: { index: 5 }
+  }, { windowId: win.id });
+
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D, E } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${B.id} => ${C.id}`,
+      `${A.id} => ${D.id}`,
+      `${E.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'tabs must be initialized with specified structure');
+  }
+
+  const treeFolder = await Bookmark.bookmarkTabs(Object.values(tabs), {
+    parentId: folder.id,
+    nested:   true
+  });
+  const { items, structure } = await Bookmark.getItemsWithTreeStructure(treeFolder.id);
+  is([
+    'about:blank?A',
+    'about:blank?B',
+    'about:blank?C',
+    'about:blank?D',
+    'about:blank?E'
+  ], items.map(item => item.url),
+     'all tabs must be bookmarked');
+
+  const newTabs = await Utils.doAndGetNewTabs(async () => {
+    const openedTabs = await Utils.callAPI({
+      type:     TSTAPI.kOPEN_URIS,
+      windowId: win.id,
+      uris:     items.map(item => item.url)
+    });
+    await Utils.callAPI({
+      type: TSTAPI.kSET_TREE_STRUCTURE,
+      tabs: openedTabs.map(tab => tab.id),
+      structure
+    });
+  }, { windowId: win.id });
+  const [A, B, C, D, E] = newTabs;
+  is([
+    `${A.id}`,
+    `${A.id} => ${B.id}`,
+    `${A.id} => ${B.id} => ${C.id}`,
+    `${A.id} => ${D.id}`,
+    `${E.id}`
+  ], Utils.treeStructure([A, B, C, D, E]),
+     'bookmarks must be opened as a tree with the original structure');
+}
+
+export async function testOrdinaryFolderIsNotParent() {
+  await browser.bookmarks.create({
+    parentId: folder.id,
+    title:    'A',
+    url:      'about:blank?A'
+  });
+  const subFolder = await browser.bookmarks.create({
+    parentId: folder.id,
+    title:    'folder'
+  });
+  await browser.bookmarks.create({
+    parentId: subFolder.id,
+    title:    'B',
+    url:      'about:blank?B'
+  });
+  await browser.bookmarks.create({
+    parentId: subFolder.id,
+    title:    'C',
+    url:      'about:blank?C'
+  });
+
+  const { items, structure } = await Bookmark.getItemsWithTreeStructure(folder.id);
+  is([
+    'about:blank?A',
+    'about:blank?B',
+    'about:blank?C'
+  ], items.map(item => item.url),
+     'all bookmarks must be collected');
+  is([-1, -1, -1],
+     structure.map(item => item.parent),
+     'bookmarks in an ordinary folder must not be nested under its first bookmark');
+}
@@ -0,0 +1,136 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is, ok, ng } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import { wait } from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as HTMLSanitizer from '/sidebar/html-sanitizer.js';
+import * as Utils from './utils.js';
+
+let win;
+let mReceivedMessages;
+
+function onMessage(message, _sender) {
+  if (message &&
+      message.type == TSTAPI.kNOTIFY_TAB_EXTRA_CONTENTS_CLICKED)
+    mReceivedMessages.push(message);
+}
+
+export async function setup() {
+  win = await browser.windows.create();
+  mReceivedMessages = [];
+  browser.runtime.onMessage.addListener(onMessage);
+}
+
+export async function teardown() {
+  browser.runtime.onMessage.removeListener(onMessage);
+  mReceivedMessages = null;
+  await browser.windows.remove(win.id);
+  win = null;
+}
+
+function sanitize(source) {
+  const container = document.createElement('div');
+  container.appendChild(HTMLSanitizer.sanitize(source));
+  return container;
+}
+
+
+export async function testScriptsAreRemoved() {
+  const container = sanitize('<span>safe</span><script>window.unsafe = true;</script><div><script>window.unsafe = true;</script></div>');
+  is(0, container.querySelectorAll('script').length,
+     'script elements must be removed');
+  is('<span>safe</span><div></div>', container.innerHTML,
+     'safe elements must be kept');
+}
+
+export async function testEventHandlersAreRemoved() {
+  const container = sanitize('<button onclick="window.unsafe = true;" class="safe">button</button><img src="data:image/png;base64,AAAA" onerror="window.unsafe = true;">');
+  const button = container.querySelector('button');
+  ng(button.hasAttribute('onclick'), 'event handler attributes must be removed');
+  is('safe', button.className, 'safe attributes must be kept');
+  ng(container.querySelector('img').hasAttribute('onerror'),
+     'event handler attributes of images must be removed');
+}
+
+export async function testStylesAreRemoved() {
+  const container = sanitize('<span style="position: fixed; inset: 0;" title="title">text</span>');
+  const span = container.querySelector('span');
+  ng(span.hasAttribute('style'), 'style attributes must be removed');
+  is('title', span.getAttribute('title'), 'safe attributes must be kept');
+}
+
+export async function testUnsafeURLsAreRemoved() {
+  const container = sanitize([
+    '<img id="javascript" src="javascript:alert(1)">',
+    '<img id="remote" src="https://example.com/image.png">',
+    '<img id="data" src="data:image/png;base64,AAAA">',
+    '<img id="extension" src="moz-extension://00000000-0000-0000-0000-000000000000/image.png">',
+    '<a href="javascript:alert(1)">link</a>'
+  ].join(''));
+  is({
+    javascript: false,
+    remote:     false,
+    data:       true,
+    extension:  true
+  }, {
+    javascript: container.querySelector('#javascript').hasAttribute('src'),
+    remote:     container.querySelector('#remote').hasAttribute('src'),
+    data:       container.querySelector('#data').hasAttribute('src'),
+    extension:  container.querySelector('#extension').hasAttribute('src')
+  }, 'only images from data: and moz-extension: URLs must be allowed');
+  is(0, container.querySelectorAll('a').length,
+     'links must be removed');
+}
+
+export async function testClicksAreRoutedToAddon() {
+  const tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, active: true }
+  }, { windowId: win.id });
+  const sidebar = (await Utils.openSidebar(win.id)).view;
+
+  // This page works as the addon which has given the contents.
+  const container = sidebar.document.querySelector(`#tab-${tabs.A.id} .${Constants.kEXTRA_ITEMS_CONTAINER}.behind`);
+  const wrapper = container.appendChild(sidebar.document.createElement('span'));
+  wrapper.classList.add('extra-tab-contents');
+  wrapper.dataset.addonId = browser.runtime.id;
+  const button = wrapper.appendChild(sidebar.document.createElement('button'));
+  button.classList.add('my-button');
+  button.dataset.action = 'test';
+
+  for (const type of ['mousedown', 'mouseup', 'click']) {
+    button.dispatchEvent(new sidebar.MouseEvent(type, {
+      button:     0,
+      bubbles:    true,
+      cancelable: true
+    }));
+  }
+  await wait(500);
+
+  is(1, mReceivedMessages.length,
+     'the click must be notified to the addon');
+  const message = mReceivedMessages[0];
+  is({
+    tab:       tabs.A.id,
+    place:     'behind',
+    tagName:   'button',
+    className: 'my-button',
+    action:    'test'
+  }, {
+    tab:       message.tab.id,
+    place:     message.place,
+    tagName:   message.originalTarget.tagName,
+    className: message.originalTarget.className,
+    action:    message.originalTarget.dataset.action
+  }, 'the notification must have the clicked tab and element');
+  ok((await browser.tabs.get(tabs.B.id)).active,
+     'the click on contents must not activate the tab');
+}
@@ -234,3 +234,46 @@ export async function testMoveAttachedTabBeforeHiddenTab() {
   is(tabs.A.index + 1, tabs.H.index, 'first child tab must be placed before hidden tab');
   is(tabs.E.index + 1, tabs.I.index, 'new child tab must be placed before hidden tab');
 }
+
+export async function testHideCollapsedTabsNatively() {
+  await Utils.setConfigs({
+    fixupTreeOnTabVisibilityChanged: true,
+    hideCollapsedTabsNatively: true
+  });
+
+  let tabs = await Utils.createTabs({
+    A: { index: 1, active: true },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4 }
+  }, { windowId: win.id });
+
+  await Utils.callAPI({
+    type: TSTAPI.kCOLLAPSE_TREE,
+    tab:  tabs.A.id
+  });
+  await wait(1000);
+  is([false, true, true, false],
+     (await Promise.all([tabs.A, tabs.B, tabs.C, tabs.D].map(tab => browser.tabs.get(tab.id)))).map(tab => tab.hidden),
+     'collapsed descendants must be hidden natively');
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${B.id} => ${C.id}`,
+      `${D.id}`
+    ], Utils.treeStructure([A, B, C, D]),
+       'natively hidden descendants must not be detached from the tree');
+  }
+
+  await Utils.callAPI({
+    type: TSTAPI.kEXPAND_TREE,
+    tab:  tabs.A.id
+  });
+  await wait(1000);
+  is([false, false, false, false],
+     (await Promise.all([tabs.A, tabs.B, tabs.C, tabs.D].map(tab => browser.tabs.get(tab.id)))).map(tab => tab.hidden),
+     'expanded descendants must be shown natively');
+}
@@ -0,0 +1,106 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is, ok, ng } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import { wait } from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as Utils from './utils.js';
+
+let win;
+let tabs;
+let sidebar;
+
+export async function setup() {
+  win = await browser.windows.create();
+  tabs = [];
+  for (let i = 0; i < 120; i++) {
+    tabs.push(await browser.tabs.create({
+      windowId: win.id,
+      url:      `about:blank?${i}`,
+      active:   false
+    }));
+  }
+  // The sidebar must be visible, to observe intersections of tabs.
+  sidebar = (await Utils.openSidebar(win.id, { active: true })).view;
+  await wait(500);
+}
+
+export async function teardown() {
+  await browser.windows.remove(win.id);
+  win = null;
+  tabs = null;
+  sidebar = null;
+}
+
+function getTabElement(tab) {
+  return sidebar.document.querySelector(`#tab-${tab.id}`);
+}
+
+function isRendered(tab) {
+  return !!getTabElement(tab).querySelector(`:scope > .${Constants.kLABEL}`);
+}
+
+function getExtraItemsContainer(tab, place) {
+  return getTabElement(tab).querySelector(`:scope > .${Constants.kEXTRA_ITEMS_CONTAINER}.${place}`);
+}
+
+
+export async function testOnlyTabsNearViewportAreRendered() {
+  const first = tabs[0];
+  const last  = tabs[tabs.length - 1];
+  ok(isRendered(first), 'a tab in the viewport must be rendered');
+  ng(isRendered(last), 'a tab far from the viewport must not be rendered');
+  ok(getTabElement(last), 'a tab far from the viewport must have its element as a placeholder');
+  ok(getExtraItemsContainer(last, 'front') && getExtraItemsContainer(last, 'behind'),
+     'a placeholder must have containers for extra contents');
+  is(getTabElement(first).getBoundingClientRect().height,
+     getTabElement(last).getBoundingClientRect().height,
+     'a placeholder must have the height same to rendered tabs');
+}
+
+export async function testRenderedByScroll() {
+  const last = tabs[tabs.length - 1];
+  ng(isRendered(last), 'a tab far from the viewport must not be rendered');
+
+  const tabbar = sidebar.document.querySelector('#tabbar');
+  tabbar.scrollTop = tabbar.scrollTopMax;
+  await wait(500);
+  ok(isRendered(last), 'a tab scrolled into the viewport must be rendered');
+  ng(isRendered(tabs[0]), 'a tab scrolled out of the viewport must be cleared');
+}
+
+export async function testRenderedByActivation() {
+  const last = tabs[tabs.length - 1];
+  ng(isRendered(last), 'a tab far from the viewport must not be rendered');
+
+  await browser.tabs.update(last.id, { active: true });
+  await wait(1000);
+  ok(isRendered(last), 'an activated tab must be scrolled into the viewport and rendered');
+}
+
+export async function testExtraContentsAreKept() {
+  const first     = tabs[0];
+  const container = getExtraItemsContainer(first, 'behind');
+  container.appendChild(sidebar.document.createElement('span')).classList.add('extra');
+
+  const tabbar = sidebar.document.querySelector('#tabbar');
+  tabbar.scrollTop = tabbar.scrollTopMax;
+  await wait(500);
+  ng(isRendered(first), 'a tab scrolled out of the viewport must be cleared');
+  ok(getExtraItemsContainer(first, 'behind').querySelector('.extra'),
+     'extra contents must be kept while the tab is not rendered');
+
+  tabbar.scrollTop = 0;
+  await wait(500);
+  ok(isRendered(first), 'a tab scrolled into the viewport must be rendered again');
+  is(container, getExtraItemsContainer(first, 'behind'),
+     'the container for extra contents must not be recreated');
+  ok(container.querySelector('.extra'),
+     'extra contents must be kept after the tab is rendered again');
+}
@@ -111,3 +111,68 @@ export async function testTryToOpenUnpinnedTabBeforePinnedTab() {
   is(1, newTabs.length, 'a new tab must be opened');
   is(2, newTabs[0].index, 'a new tab must be placed after pinned tabs');
 }
+
+export async function testAutoGroupingRuleMovesTabToTop() {
+  await Utils.setConfigs({
+    autoGroupingRules: [{
+      enabled:       true,
+      urlPattern:    '^about:blank\\?grouped',
+      cookieStoreId: '',
+      openerPattern: '',
+      action:        Constants.kAUTO_GROUPING_ACTION_FIRST,
+      groupTitle:    ''
+    }]
+  });
+
+  const tabs = await Utils.createTabs({
+    A: { index: 1, active: true },
+    B: { index: 2 }
+  }, { windowId: win.id });
+  const newTabs = await Utils.doAndGetNewTabs(async () => {
+    await browser.tabs.create({
+      windowId:    win.id,
+      url:         'about:blank?grouped',
+      openerTabId: tabs.B.id
+    });
+    await wait(1000);
+  }, { windowId: win.id });
+  is({
+    newTabsCount:  1,
+    newTabParent:  null,
+    newTabIndex:   0
+  }, {
+    newTabsCount:  newTabs.length,
+    newTabParent:  newTabs.length > 0 && newTabs[0].$TST.parentId,
+    newTabIndex:   newTabs.length > 0 && newTabs[0].index
+  }, 'a new tab matched to a rule must be placed at the top of the tab bar as an orphan.');
+}
+
+export async function testAutoGroupingRuleIsNotAppliedAfterNewTabPage() {
+  await Utils.setConfigs({
+    autoGroupingRules: [{
+      enabled:       true,
+      urlPattern:    '^about:blank\\?grouped',
+      cookieStoreId: '',
+      openerPattern: '',
+      action:        Constants.kAUTO_GROUPING_ACTION_FIRST,
+      groupTitle:    ''
+    }]
+  });
+
+  await Utils.createTabs({
+    A: { index: 1, active: true }
+  }, { windowId: win.id });
+  const newTabs = await Utils.doAndGetNewTabs(async () => {
+    const tab = await browser.tabs.create({ windowId: win.id }); // new tab page
+    await wait(1000);
+    await browser.tabs.update(tab.id, { url: 'about:blank?grouped' });
+    await wait(1000);
+  }, { windowId: win.id });
+  is({
+    newTabsCount: 1,
+    newTabIndex:  2
+  }, {
+    newTabsCount: newTabs.length,
+    newTabIndex:  newTabs.length > 0 && newTabs[0].index
+  }, 'a tab navigated from the new tab page must not be moved by rules.');
+}
@@ -0,0 +1,184 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is, ok, ng } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import { wait } from '/common/common.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as Utils from './utils.js';
+
+let win;
+let tabs;
+let sidebar;
+
+export async function setup() {
+  win = await browser.windows.create();
+  await Utils.setConfigs({
+    warnOnCloseTabs: false
+  });
+  tabs = await Utils.createTabs({
+    A: { index: 1, active: true },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4 }
+  }, { windowId: win.id });
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${B.id} => ${C.id}`,
+      `${D.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'tabs must be initialized with specified structure');
+  }
+  sidebar = (await Utils.openSidebar(win.id)).view;
+  await wait(300); // wait until ARIA attributes are updated
+}
+
+export async function teardown() {
+  await browser.windows.remove(win.id);
+  win = null;
+  tabs = null;
+  sidebar = null;
+}
+
+function getTabElement(tab) {
+  return sidebar.document.querySelector(`#tab-${tab.id}`);
+}
+
+function getFocusableTabName() {
+  return Object.keys(tabs).find(name => getTabElement(tabs[name]).getAttribute('tabindex') == '0');
+}
+
+async function pressKey(tab, key) {
+  getTabElement(tab).dispatchEvent(new sidebar.KeyboardEvent('keydown', {
+    key,
+    bubbles:    true,
+    cancelable: true
+  }));
+  await wait(300);
+}
+
+function getAttributes(name) {
+  const values = {};
+  for (const tabName of Object.keys(tabs)) {
+    values[tabName] = getTabElement(tabs[tabName]).getAttribute(name);
+  }
+  return values;
+}
+
+
+export async function testAriaRoles() {
+  is('tree', sidebar.document.querySelector('#all-tabs').getAttribute('role'),
+     'the tab bar must be a tree');
+  is({ A: 'treeitem', B: 'treeitem', C: 'treeitem', D: 'treeitem' },
+     getAttributes('role'),
+     'tabs must be tree items');
+}
+
+export async function testAriaAttributes() {
+  is({ A: '1', B: '2', C: '3', D: '1' },
+     getAttributes('aria-level'),
+     'tabs must have their levels');
+  is({ A: 'true', B: 'true', C: null, D: null },
+     getAttributes('aria-expanded'),
+     'only parent tabs must have their expanded state');
+  is({ A: 'true', B: 'false', C: 'false', D: 'false' },
+     getAttributes('aria-selected'),
+     'only the active tab must be selected');
+
+  await Utils.callAPI({
+    type: TSTAPI.kCOLLAPSE_TREE,
+    tab:  tabs.B.id
+  });
+  await wait(500);
+  is({ A: 'true', B: 'false', C: null, D: null },
+     getAttributes('aria-expanded'),
+     'the collapsed tab must be reported as not expanded');
+
+  await browser.tabs.update(tabs.D.id, { active: true });
+  await wait(500);
+  is({ A: 'false', B: 'false', C: 'false', D: 'true' },
+     getAttributes('aria-selected'),
+     'the selected state must follow the active tab');
+}
+
+export async function testRovingFocusWithArrowKeys() {
+  is('A', getFocusableTabName(),
+     'only the active tab must be focusable initially');
+
+  await pressKey(tabs.A, 'ArrowDown');
+  is('B', getFocusableTabName(), 'ArrowDown must move the focus to the next tab');
+  await pressKey(tabs.B, 'ArrowDown');
+  await pressKey(tabs.C, 'ArrowDown');
+  is('D', getFocusableTabName(), 'ArrowDown must move the focus across trees');
+  await pressKey(tabs.D, 'ArrowUp');
+  is('C', getFocusableTabName(), 'ArrowUp must move the focus to the previous tab');
+
+  const allTabs = await browser.tabs.query({ windowId: win.id });
+  await pressKey(tabs.C, 'Home');
+  is(`tab-${allTabs[0].id}`,
+     sidebar.document.querySelector('.tab[tabindex="0"]').id,
+     'Home must move the focus to the first tab');
+  await pressKey(tabs.C, 'End');
+  is(`tab-${allTabs[allTabs.length - 1].id}`,
+     sidebar.document.querySelector('.tab[tabindex="0"]').id,
+     'End must move the focus to the last tab');
+}
+
+export async function testCollapseExpandWithLeftRightKeys() {
+  await pressKey(tabs.A, 'ArrowLeft');
+  ok(sidebar.Tab.get(tabs.A.id).$TST.subtreeCollapsed,
+     'ArrowLeft on an expanded parent must collapse it');
+  is('A', getFocusableTabName(), 'the focus must stay on the collapsed parent');
+
+  await pressKey(tabs.A, 'ArrowDown');
+  is('D', getFocusableTabName(), 'collapsed tabs must be skipped');
+  await pressKey(tabs.D, 'ArrowUp');
+
+  await pressKey(tabs.A, 'ArrowRight');
+  ng(sidebar.Tab.get(tabs.A.id).$TST.subtreeCollapsed,
+     'ArrowRight on a collapsed parent must expand it');
+  is('A', getFocusableTabName(), 'the focus must stay on the expanded parent');
+
+  await pressKey(tabs.A, 'ArrowRight');
+  is('B', getFocusableTabName(), 'ArrowRight on an expanded parent must move the focus to the first child');
+  await pressKey(tabs.B, 'ArrowRight');
+  await pressKey(tabs.C, 'ArrowLeft');
+  is('B', getFocusableTabName(), 'ArrowLeft on a leaf must move the focus to the parent');
+}
+
+export async function testActivateWithEnter() {
+  await pressKey(tabs.A, 'ArrowDown');
+  await pressKey(tabs.B, 'Enter');
+  ok((await browser.tabs.get(tabs.B.id)).active,
+     'Enter must activate the focused tab');
+}
+
+export async function testMultiselectWithSpace() {
+  await pressKey(tabs.A, 'ArrowDown');
+  await pressKey(tabs.B, ' ');
+  const B = await browser.tabs.get(tabs.B.id);
+  ok(B.highlighted, 'Space must add the focused tab to the selection');
+  ng(B.active, 'Space must not activate the focused tab');
+
+  await pressKey(tabs.B, ' ');
+  ng((await browser.tabs.get(tabs.B.id)).highlighted,
+     'Space must remove the selected tab from the selection');
+}
+
+export async function testCloseWithDelete() {
+  await pressKey(tabs.D, 'ArrowUp');
+  await pressKey(tabs.C, 'Delete');
+  await wait(500);
+  const remainingIds = (await browser.tabs.query({ windowId: win.id })).map(tab => tab.id);
+  ng(remainingIds.includes(tabs.C.id), 'Delete must close the focused tab');
+  is('D', getFocusableTabName(), 'the focus must move to the next tab');
+}
@@ -0,0 +1,142 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is, ok /*, ng*/ } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import { wait } from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as Utils from './utils.js';
+
+let win;
+let tabs;
+let sidebar;
+
+export async function setup() {
+  win = await browser.windows.create();
+  await Utils.setConfigs({
+    showTabFilter:      true,
+    tabFilterUseRegExp: false
+  });
+  tabs = await Utils.createTabs({
+    A: { index: 1, url: 'about:blank?fruits' },
+    B: { index: 2, url: 'about:blank?apple', openerTabId: 'A' },
+    C: { index: 3, url: 'about:blank?banana', openerTabId: 'B' },
+    D: { index: 4, url: 'about:blank?cherry' }
+  }, { windowId: win.id });
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${B.id} => ${C.id}`,
+      `${D.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'tabs must be initialized with specified structure');
+  }
+  sidebar = (await Utils.openSidebar(win.id)).view;
+}
+
+export async function teardown() {
+  await browser.windows.remove(win.id);
+  win = null;
+  tabs = null;
+  sidebar = null;
+}
+
+async function filter(query, useRegExp = false) {
+  const regExpCheck = sidebar.document.querySelector('#tab-filter-regexp');
+  if (regExpCheck.checked != useRegExp) {
+    regExpCheck.checked = useRegExp;
+    regExpCheck.dispatchEvent(new sidebar.Event('change', { bubbles: true }));
+  }
+  const field = sidebar.document.querySelector('#tab-filter-field');
+  field.value = query;
+  field.dispatchEvent(new sidebar.Event('input', { bubbles: true }));
+  await wait(300);
+}
+
+function getFilterStates() {
+  const states = {};
+  for (const name of Object.keys(tabs)) {
+    const tab = sidebar.Tab.get(tabs[name].id);
+    states[name] = tab.$TST.states.has(Constants.kTAB_STATE_FILTER_MATCHED) ? 'matched' :
+      tab.$TST.states.has(Constants.kTAB_STATE_FILTER_CONTEXT) ? 'context' :
+        tab.$TST.states.has(Constants.kTAB_STATE_FILTER_UNMATCHED) ? 'unmatched' :
+          'none';
+  }
+  return states;
+}
+
+
+export async function testFilterByURL() {
+  await filter('cherry');
+  ok(sidebar.document.documentElement.classList.contains(Constants.kTABBAR_STATE_FILTERING),
+     'the tab bar must be in the filtering mode');
+  is({ A: 'unmatched', B: 'unmatched', C: 'unmatched', D: 'matched' },
+     getFilterStates(),
+     'only the matched tab must be marked as matched');
+
+  await filter('');
+  ok(!sidebar.document.documentElement.classList.contains(Constants.kTABBAR_STATE_FILTERING),
+     'the filtering mode must be cleared by an empty query');
+  is({ A: 'none', B: 'none', C: 'none', D: 'none' },
+     getFilterStates(),
+     'filter states must be cleared by an empty query');
+}
+
+export async function testQueryIsNotRegExpByDefault() {
+  await filter('apple|cherry');
+  is({ A: 'unmatched', B: 'unmatched', C: 'unmatched', D: 'unmatched' },
+     getFilterStates(),
+     'special characters must be matched literally');
+}
+
+export async function testFilterByRegExp() {
+  await filter('\\?(apple|cherry)$', true);
+  is({ A: 'context', B: 'matched', C: 'unmatched', D: 'matched' },
+     getFilterStates(),
+     'tabs must be filtered with the regular expression');
+
+  await filter('(', true);
+  ok(sidebar.document.querySelector('#tab-filter-field').classList.contains('invalid'),
+     'an invalid regular expression must be reported');
+}
+
+export async function testAncestorsAreDimmed() {
+  await filter('banana');
+  is({ A: 'context', B: 'context', C: 'matched', D: 'unmatched' },
+     getFilterStates(),
+     'ancestors of the matched tab must be kept as the context');
+  const style = sidebar.getComputedStyle(sidebar.document.querySelector(`#tab-${tabs.A.id}`));
+  is('0.5', style.opacity,
+     'context tabs must be dimmed');
+}
+
+export async function testCollapsedMatchedTabsAreTemporarilyExpanded() {
+  await Utils.callAPI({
+    type: TSTAPI.kCOLLAPSE_TREE,
+    tab:  tabs.A.id
+  });
+  await wait(500);
+  ok(sidebar.Tab.get(tabs.C.id).$TST.collapsed,
+     'the descendant must be collapsed');
+
+  await filter('banana');
+  const element = sidebar.document.querySelector(`#tab-${tabs.C.id}`);
+  ok(element, 'the collapsed matched tab must be rendered');
+  is('visible', sidebar.getComputedStyle(element).visibility,
+     'the collapsed matched tab must be visible while filtering');
+  ok(sidebar.Tab.get(tabs.A.id).$TST.subtreeCollapsed,
+     'the collapsed state of the tree must not be changed by the filter');
+
+  await filter('');
+  ok(sidebar.Tab.get(tabs.C.id).$TST.collapsed,
+     'the descendant must be collapsed again after the filter is cleared');
+}
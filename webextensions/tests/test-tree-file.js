@@ -0,0 +1,96 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is /*, ok, ng*/ } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import * as Constants from '/common/constants.js';
+import * as Utils from './utils.js';
+
+let win;
+
+export async function setup() {
+  win = await browser.windows.create();
+}
+
+export async function teardown() {
+  await browser.windows.remove(win.id);
+  win = null;
+}
+
+
+export async function testExportAsJSON() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4 }
+  }, { windowId: win.id });
+
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${B.id} => ${C.id}`,
+      `${D.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'tabs must be initialized with specified structure');
+  }
+
+  const file = await browser.runtime.sendMessage({
+    type:     Constants.kCOMMAND_EXPORT_TREE_FILE,
+    windowId: win.id,
+    format:   Constants.kTREE_FILE_FORMAT_JSON
+  });
+  const data = JSON.parse(file.contents);
+  is(Constants.kTREE_FILE_TYPE, data.type,
+     'exported file must have the type');
+  is([
+    { url: 'about:blank?A', parent: -1 },
+    { url: 'about:blank?B', parent: 0 },
+    { url: 'about:blank?C', parent: 1 },
+    { url: 'about:blank?D', parent: -1 }
+  ], data.tabs.slice(1).map(tab => ({ url: tab.url, parent: tab.parent })),
+     'exported file must have tree structure');
+}
+
+export async function testImportFromMarkdown() {
+  const contents = [
+    '- [A](about:blank?A)',
+    '  - [B](about:blank?B)',
+    '    - [C](about:blank?C)',
+    '  - [D](about:blank?D)',
+    '- [E](about:blank?E)'
+  ].join('\n');
+  const tabs = await Utils.doAndGetNewTabs(async () => {
+    await browser.runtime.sendMessage({
+      type:     Constants.kCOMMAND_IMPORT_TREE_FILE,
+      windowId: win.id,
+      filename: 'tree.md',
+      contents
+    });
+  }, { windowId: win.id });
+  const [A, B, C, D, E] = tabs;
+  is([
+    'about:blank?A',
+    'about:blank?B',
+    'about:blank?C',
+    'about:blank?D',
+    'about:blank?E'
+  ], tabs.map(tab => tab.url),
+     'all items must be opened as tabs');
+  is([
+    `${A.id}`,
+    `${A.id} => ${B.id}`,
+    `${A.id} => ${B.id} => ${C.id}`,
+    `${A.id} => ${D.id}`,
+    `${E.id}`
+  ], Utils.treeStructure(tabs),
+     'tabs must be restored with the structure');
+}
@@ -0,0 +1,300 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is /*, ok, ng*/ } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import { wait } from '/common/common.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as Utils from './utils.js';
+
+let win;
+
+export async function setup() {
+  win = await browser.windows.create();
+}
+
+export async function teardown() {
+  await browser.windows.remove(win.id);
+  win = null;
+}
+
+
+export async function testUndoRedoIndent() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3 }
+  }, { windowId: win.id });
+
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${C.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'tabs must be initialized with specified structure');
+  }
+
+  await Utils.callAPI({
+    type:           TSTAPI.kINDENT,
+    tab:            tabs.C.id,
+    followChildren: true
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${C.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'the tab must be indented');
+  }
+
+  await Utils.callAPI({
+    type:     TSTAPI.kUNDO_TREE_OPERATION,
+    windowId: win.id
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${C.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'indentation must be undone');
+  }
+
+  await Utils.callAPI({
+    type:     TSTAPI.kREDO_TREE_OPERATION,
+    windowId: win.id
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${C.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'indentation must be redone');
+  }
+}
+
+export async function testConcurrentOperationsAreRecordedSeparately() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 },
+    C: { index: 3 },
+    D: { index: 4 }
+  }, { windowId: win.id });
+
+  await Promise.all([
+    Utils.callAPI({
+      type: TSTAPI.kINDENT,
+      tab:  tabs.B.id
+    }),
+    Utils.callAPI({
+      type: TSTAPI.kINDENT,
+      tab:  tabs.D.id
+    })
+  ]);
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([null, A.id, null, C.id],
+       [A, B, C, D].map(tab => tab.$TST.parentId || null),
+       'both tabs must be indented');
+  }
+
+  await Utils.callAPI({
+    type:     TSTAPI.kUNDO_TREE_OPERATION,
+    windowId: win.id
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  is(1,
+     [tabs.B, tabs.D].filter(tab => !!tab.$TST.parentId).length,
+     'only one of concurrent operations must be undone');
+
+  await Utils.callAPI({
+    type:     TSTAPI.kUNDO_TREE_OPERATION,
+    windowId: win.id
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  is(0,
+     [tabs.B, tabs.D].filter(tab => !!tab.$TST.parentId).length,
+     'another operation must be undone separately');
+}
+
+export async function testBatchRollsBackOnFailure() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 },
+    C: { index: 3 }
+  }, { windowId: win.id });
+
+  const result = await Utils.callAPI({
+    type:       TSTAPI.kBATCH,
+    windowId:   win.id,
+    operations: [
+      { type:   TSTAPI.kATTACH,
+        parent: tabs.A.id,
+        child:  tabs.B.id },
+      // an invalid structure raises an error
+      { type:      TSTAPI.kSET_TREE_STRUCTURE,
+        tabs:      [tabs.A.id, tabs.C.id],
+        structure: {} }
+    ]
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is({
+      error: TSTAPI.kERROR_BATCH_FAILED,
+      index: 1
+    }, {
+      error: result.error,
+      index: result.index
+    }, 'the failed operation must be reported');
+    is([
+      `${A.id}`,
+      `${B.id}`,
+      `${C.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'changes by preceding operations must be rolled back');
+  }
+}
+
+export async function testBatchContinuesWithFalseResult() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 },
+    C: { index: 3 }
+  }, { windowId: win.id });
+
+  const result = await Utils.callAPI({
+    type:       TSTAPI.kBATCH,
+    windowId:   win.id,
+    operations: [
+      { type:   TSTAPI.kATTACH,
+        parent: tabs.A.id,
+        child:  tabs.B.id },
+      // a root tab cannot be outdented, and it is just ignored
+      { type: TSTAPI.kOUTDENT,
+        tab:  tabs.C.id },
+      { type:   TSTAPI.kATTACH,
+        parent: tabs.A.id,
+        child:  tabs.C.id }
+    ]
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is([true, false, true], result,
+       'results of all operations must be returned');
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${C.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'changes must not be rolled back by an operation returning false');
+  }
+}
+
+export async function testBatchRollsBackOnMissingTab() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 },
+    C: { index: 3 }
+  }, { windowId: win.id });
+  const closedTab = await browser.tabs.create({ windowId: win.id });
+  await browser.tabs.remove(closedTab.id);
+
+  const result = await Utils.callAPI({
+    type:       TSTAPI.kBATCH,
+    windowId:   win.id,
+    operations: [
+      { type:   TSTAPI.kATTACH,
+        parent: tabs.A.id,
+        child:  tabs.B.id },
+      { type: TSTAPI.kDETACH,
+        tab:  closedTab.id },
+      { type:   TSTAPI.kATTACH,
+        parent: tabs.A.id,
+        child:  tabs.C.id }
+    ]
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C } = tabs;
+    is({
+      error:       TSTAPI.kERROR_BATCH_FAILED,
+      index:       1,
+      resultError: TSTAPI.kERROR_TAB_NOT_FOUND
+    }, {
+      error:       result.error,
+      index:       result.index,
+      resultError: result.result && result.result.error
+    }, 'the operation for the missing tab must be reported as a failure');
+    is([
+      `${A.id}`,
+      `${B.id}`,
+      `${C.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'changes by preceding operations must be rolled back');
+  }
+}
+
+export async function testBatchRejectsTabsInAnotherWindow() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 }
+  }, { windowId: win.id });
+  const tabInAnotherWindow = await browser.tabs.getCurrent();
+
+  const result = await Utils.callAPI({
+    type:       TSTAPI.kBATCH,
+    windowId:   win.id,
+    operations: [
+      { type:   TSTAPI.kATTACH,
+        parent: tabs.A.id,
+        child:  tabs.B.id },
+      { type: TSTAPI.kCOLLAPSE_TREE,
+        tab:  tabInAnotherWindow.id }
+    ]
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B } = tabs;
+    is({
+      error: TSTAPI.kERROR_WINDOW_MISMATCH,
+      index: 1
+    }, {
+      error: result.error,
+      index: result.index
+    }, 'the operation for another window must be rejected');
+    is([
+      `${A.id}`,
+      `${B.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'no operation must be run');
+  }
+}
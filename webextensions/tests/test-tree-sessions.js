@@ -0,0 +1,148 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is, ok /*, ng*/ } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import * as Constants from '/common/constants.js';
+import * as Utils from './utils.js';
+
+let win;
+let sessionIds;
+
+export async function setup() {
+  win = await browser.windows.create();
+  sessionIds = [];
+}
+
+export async function teardown() {
+  await Promise.all(sessionIds.map(id => browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_REMOVE_TREE_SESSION,
+    id
+  })));
+  sessionIds = null;
+  await browser.windows.remove(win.id);
+  win = null;
+}
+
+async function prepareTree() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4, openerTabId: 'A' },
+    E: { index: 5 }
+  }, { windowId: win.id });
+
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D, E } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${B.id} => ${C.id}`,
+      `${A.id} => ${D.id}`,
+      `${E.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'tabs must be initialized with specified structure');
+  }
+  return tabs;
+}
+
+async function saveSession(rootTab, name) {
+  const session = await browser.runtime.sendMessage({
+    type:      Constants.kCOMMAND_SAVE_TREE_SESSION,
+    rootTabId: rootTab.id,
+    silent:    true,
+    name
+  });
+  sessionIds.push(session.id);
+  return session;
+}
+
+async function findSession(id) {
+  const { sessions } = await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_PULL_TREE_SESSIONS
+  });
+  return sessions.find(session => session.id == id);
+}
+
+
+export async function testSaveAndRestore() {
+  const tabs = await prepareTree();
+  const session = await saveSession(tabs.A, 'test session');
+  is('test session', session.name,
+     'the session must be saved with the given name');
+  {
+    const saved = await findSession(session.id);
+    ok(saved, 'the saved session must be listed');
+    is({ name: 'test session', count: 4 },
+       { name: saved.name, count: saved.count },
+       'the listed session must have the name and the number of tabs in the tree');
+  }
+
+  const restoredTabs = await Utils.doAndGetNewTabs(async () => {
+    await browser.runtime.sendMessage({
+      type:     Constants.kCOMMAND_RESTORE_TREE_SESSION,
+      id:       session.id,
+      windowId: win.id
+    });
+  }, { windowId: win.id });
+  const [A, B, C, D] = restoredTabs;
+  is([
+    'about:blank?A',
+    'about:blank?B',
+    'about:blank?C',
+    'about:blank?D'
+  ], restoredTabs.map(tab => tab.url),
+     'all tabs in the session must be reopened');
+  is([
+    `${A.id}`,
+    `${A.id} => ${B.id}`,
+    `${A.id} => ${B.id} => ${C.id}`,
+    `${A.id} => ${D.id}`
+  ], Utils.treeStructure(restoredTabs),
+     'reopened tabs must be restored with the structure');
+}
+
+export async function testSaveWithDefaultName() {
+  const tabs = await prepareTree();
+  const session = await saveSession(tabs.A, '  ');
+  ok(session.name.trim() != '',
+     'a blank name must be replaced with the default name');
+}
+
+export async function testRenameAndRemove() {
+  const tabs = await prepareTree();
+  const session = await saveSession(tabs.A, 'before');
+
+  const renamed = await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_RENAME_TREE_SESSION,
+    id:   session.id,
+    name: 'after'
+  });
+  ok(renamed, 'the session must be renamed');
+  is('after', (await findSession(session.id)).name,
+     'the renamed session must be listed with the new name');
+
+  const renamedToBlank = await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_RENAME_TREE_SESSION,
+    id:   session.id,
+    name: ''
+  });
+  ok(!renamedToBlank, 'the session must not be renamed to a blank name');
+  is('after', (await findSession(session.id)).name,
+     'the name must not be changed by a blank name');
+
+  const removed = await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_REMOVE_TREE_SESSION,
+    id:   session.id
+  });
+  ok(removed, 'the session must be removed');
+  is(undefined, await findSession(session.id),
+     'the removed session must not be listed');
+}
@@ -12,6 +12,7 @@ import { is /*, ok, ng*/ } from '/tests/assert.js';
 //import Tab from '/common/Tab.js';
 
 import * as Constants from '/common/constants.js';
+import * as TSTAPI from '/common/tst-api.js';
 import * as Utils from './utils.js';
 
 let win;
@@ -148,3 +149,425 @@ export async function testPromoteAllChildrenWhenClosedParentIsLastChild() {
        'all children must be promoted');
   }
 }
+
+export async function testCreateTabAsChildViaAPI() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3 }
+  }, { windowId: win.id });
+
+  const created = await Utils.callAPI({
+    type:         TSTAPI.kCREATE,
+    url:          'about:blank?created',
+    parent:       tabs.A.id,
+    insertBefore: tabs.B.id,
+    active:       false
+  });
+  await wait(500);
+  is({
+    parentId: tabs.A.id,
+    index:    tabs.B.index,
+    active:   false
+  }, {
+    parentId: created.ancestorTabIds[0],
+    index:    created.index,
+    active:   created.active
+  }, 'the new tab must be returned with its final position in the tree');
+
+  tabs = await Utils.refreshTabs(Object.assign({ D: created }, tabs));
+  {
+    const { A, B, C, D } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${D.id}`,
+      `${A.id} => ${B.id}`,
+      `${C.id}`
+    ], Utils.treeStructure([A, D, B, C]),
+       'the new tab must be opened as the first child');
+  }
+}
+
+export async function testCreateTabWithReferenceInAnotherWindowViaAPI() {
+  const tabs = await Utils.createTabs({
+    A: { index: 1 }
+  }, { windowId: win.id });
+  const tabInAnotherWindow = await browser.tabs.getCurrent();
+
+  const created = await Utils.callAPI({
+    type:         TSTAPI.kCREATE,
+    url:          'about:blank?created',
+    windowId:     win.id,
+    parent:       tabs.A.id,
+    insertBefore: tabInAnotherWindow.id
+  });
+  is(TSTAPI.kERROR_WINDOW_MISMATCH, created.error,
+     'a tab must not be created with a reference tab in another window');
+
+  const opened = await Utils.callAPI({
+    type:     TSTAPI.kOPEN_URIS,
+    uris:     ['about:blank?opened'],
+    windowId: win.id,
+    parent:   tabInAnotherWindow.id
+  });
+  is(TSTAPI.kERROR_WINDOW_MISMATCH, opened.error,
+     'tabs must not be opened with a parent in another window');
+  is(2, (await browser.tabs.query({ windowId: win.id })).length,
+     'no tab must be opened');
+}
+
+export async function testQueryTabsViaAPI() {
+  const tabs = await Utils.createTabs({
+    A: { index: 1, url: 'about:blank?A' },
+    B: { index: 2, url: 'about:blank?B', openerTabId: 'A' },
+    C: { index: 3, url: 'about:blank?C', openerTabId: 'B' },
+    D: { index: 4, url: 'about:blank?D', openerTabId: 'A' }
+  }, { windowId: win.id });
+  const { A, B, C, D } = tabs;
+
+  const descendants = await Utils.callAPI({
+    type:     TSTAPI.kGET_TREE,
+    windowId: win.id,
+    query:    { descendantsOf: A.id }
+  });
+  is([B.id, C.id, D.id],
+     descendants.map(tab => tab.id),
+     'descendants must be returned in the order of their index');
+  is([[C.id], [], []],
+     descendants.map(tab => tab.childIds),
+     'queried tabs must be returned without their subtree');
+
+  const children = await Utils.callAPI({
+    type:     TSTAPI.kGET_TREE,
+    windowId: win.id,
+    query:    { descendantsOf: A.id, depth: 1 }
+  });
+  is([B.id, D.id],
+     children.map(tab => tab.id),
+     'descendants must be filtered by their depth');
+
+  const paged = await Utils.callAPI({
+    type:     TSTAPI.kGET_TREE,
+    windowId: win.id,
+    query:    { url: '^about:blank\\?[BCD]$', offset: 1, limit: 1 }
+  });
+  is([C.id],
+     paged.map(tab => tab.id),
+     'matched tabs must be paged');
+}
+
+export async function testCloseTreeViaAPI() {
+  await Utils.setConfigs({
+    warnOnCloseTabs: false
+  });
+  const tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4, openerTabId: 'A' }
+  }, { windowId: win.id });
+
+  const closed = await Utils.callAPI({
+    type: TSTAPI.kCLOSE_TREE,
+    tab:  tabs.B.id
+  });
+  await wait(500);
+  is(true, closed,
+     'the result of the command must be returned');
+  const remainingTabIds = (await browser.tabs.query({ windowId: win.id })).map(tab => tab.id);
+  is([true, false, false, true],
+     [tabs.A, tabs.B, tabs.C, tabs.D].map(tab => remainingTabIds.includes(tab.id)),
+     'the target tab and its descendants must be closed');
+}
+
+export async function testUnloadTreeViaAPI() {
+  const tabs = await Utils.createTabs({
+    A: { index: 1, url: 'about:blank?A' },
+    B: { index: 2, url: 'about:blank?B', openerTabId: 'A' },
+    C: { index: 3, url: 'about:blank?C', openerTabId: 'B' },
+    D: { index: 4, url: 'about:blank?D', active: true }
+  }, { windowId: win.id });
+  await wait(500);
+
+  const unloadedCount = await Utils.callAPI({
+    type: TSTAPI.kUNLOAD_TREE,
+    tab:  tabs.A.id
+  });
+  await wait(500);
+  is(3, unloadedCount,
+     'all tabs in the tree must be unloaded');
+  is([true, true, true, false],
+     (await Promise.all([tabs.A, tabs.B, tabs.C, tabs.D].map(tab => browser.tabs.get(tab.id)))).map(tab => tab.discarded),
+     'tabs in other trees must not be unloaded');
+}
+
+export async function testSortChildrenViaAPI() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1, url: 'about:blank?A' },
+    B: { index: 2, url: 'about:blank?c', openerTabId: 'A' },
+    C: { index: 3, url: 'about:blank?a', openerTabId: 'A' },
+    D: { index: 4, url: 'about:blank?z', openerTabId: 'C' },
+    E: { index: 5, url: 'about:blank?y', openerTabId: 'C' },
+    F: { index: 6, url: 'about:blank?b', openerTabId: 'A' }
+  }, { windowId: win.id });
+
+  await Utils.callAPI({
+    type:      TSTAPI.kSORT_CHILDREN,
+    tab:       tabs.A.id,
+    key:       'url',
+    order:     'ascending',
+    recursive: true
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D, E, F } = tabs;
+    is([A.id, C.id, E.id, D.id, F.id, B.id],
+       await Utils.tabsOrder([A, B, C, D, E, F]),
+       'children must be sorted with their descendants');
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${C.id}`,
+      `${A.id} => ${C.id} => ${D.id}`,
+      `${A.id} => ${C.id} => ${E.id}`,
+      `${A.id} => ${F.id}`
+    ], Utils.treeStructure([A, B, C, D, E, F]),
+       'tree structure must be kept');
+    is([C.id, F.id, B.id],
+       (await Utils.callAPI({
+         type: TSTAPI.kGET_TREE,
+         tab:  A.id
+       })).children.map(tab => tab.id),
+       'children must be ordered by their new positions');
+  }
+}
+
+export async function testFlattenTreeViaAPI() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4, openerTabId: 'C' },
+    E: { index: 5, openerTabId: 'A' }
+  }, { windowId: win.id });
+
+  await Utils.callAPI({
+    type:  TSTAPI.kFLATTEN_TREE,
+    tab:   tabs.A.id,
+    level: 1
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D, E } = tabs;
+    is([A.id, B.id, C.id, D.id, E.id],
+       await Utils.tabsOrder([A, B, C, D, E]),
+       'tabs must not be moved');
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${C.id}`,
+      `${A.id} => ${D.id}`,
+      `${A.id} => ${E.id}`
+    ], Utils.treeStructure([A, B, C, D, E]),
+       'too deep tabs must be attached to the ancestor at the max level');
+  }
+}
+
+export async function testEnforceMaxTreeLevel() {
+  await Utils.setConfigs({
+    maxTreeLevel:        1,
+    enforceMaxTreeLevel: true,
+    attachTooDeepTabAs:  Constants.kNEWTAB_OPEN_AS_NEXT_SIBLING
+  });
+
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'A' },
+    D: { index: 4, openerTabId: 'B' }
+  }, { windowId: win.id });
+
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([A.id, B.id, D.id, C.id],
+       await Utils.tabsOrder([A, B, C, D]),
+       'too deep tab must be placed next to the deepest allowed ancestor');
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${D.id}`,
+      `${A.id} => ${C.id}`
+    ], Utils.treeStructure([A, B, D, C]),
+       'too deep tab must be attached as a sibling of the deepest allowed ancestor');
+  }
+}
+
+export async function testMaxTreeLevelIsNotAppliedToRestoredTree() {
+  await Utils.setConfigs({
+    maxTreeLevel:        1,
+    enforceMaxTreeLevel: true,
+    attachTooDeepTabAs:  Constants.kNEWTAB_OPEN_AS_NEXT_SIBLING
+  });
+
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2 },
+    C: { index: 3 },
+    D: { index: 4 }
+  }, { windowId: win.id });
+
+  await Utils.callAPI({
+    type:      TSTAPI.kSET_TREE_STRUCTURE,
+    tabs:      [tabs.A.id, tabs.B.id, tabs.C.id],
+    structure: [-1, 0, 1]
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([null, A.id, B.id, null],
+       [A, B, C, D].map(tab => tab.$TST.parentId || null),
+       'applied structure must be kept even if it is deeper than the max level');
+  }
+
+  await Utils.callAPI({
+    type:   TSTAPI.kATTACH,
+    parent: tabs.C.id,
+    child:  tabs.D.id
+  });
+  await wait(500);
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D } = tabs;
+    is([A.id, B.id, C.id, D.id],
+       await Utils.tabsOrder([A, B, C, D]),
+       'newly attached tab must be placed next to the deepest allowed ancestor');
+    is([null, A.id, B.id, A.id],
+       [A, B, C, D].map(tab => tab.$TST.parentId || null),
+       'newly attached tab must be attached within the max level');
+  }
+}
+
+export async function testMoveTreeToWindowViaAPI() {
+  const destinationWindow = await browser.windows.create();
+  try {
+    const tabs = await Utils.createTabs({
+      A: { index: 1 },
+      B: { index: 2, openerTabId: 'A' },
+      C: { index: 3, openerTabId: 'B' },
+      D: { index: 4, openerTabId: 'A' }
+    }, { windowId: win.id });
+    const destinationTabs = await Utils.createTabs({
+      E: { index: 1 }
+    }, { windowId: destinationWindow.id });
+
+    await Utils.callAPI({
+      type: TSTAPI.kCOLLAPSE_TREE,
+      tab:  tabs.B.id
+    });
+    const movedTabs = await Utils.callAPI({
+      type:     TSTAPI.kMOVE_TREE_TO_WINDOW,
+      tab:      tabs.B.id,
+      windowId: destinationWindow.id,
+      attachTo: destinationTabs.E.id
+    });
+    await wait(1000);
+    is([tabs.B.id, tabs.C.id],
+       movedTabs.map(tab => tab.id),
+       'the target tab and its descendants must be moved');
+
+    const movedTree = await Utils.callAPI({
+      type: TSTAPI.kGET_TREE,
+      tab:  destinationTabs.E.id
+    });
+    is({
+      windowId:      destinationWindow.id,
+      children:      [tabs.B.id],
+      collapsed:     true,
+      grandchildren: [tabs.C.id]
+    }, {
+      windowId:      movedTree.windowId,
+      children:      movedTree.children.map(tab => tab.id),
+      collapsed:     movedTree.children[0].states.includes(Constants.kTAB_STATE_SUBTREE_COLLAPSED),
+      grandchildren: movedTree.children[0].children.map(tab => tab.id)
+    }, 'the moved tree must be attached under the target tab with its collapsed state');
+  }
+  finally {
+    await browser.windows.remove(destinationWindow.id);
+  }
+}
+
+export async function testCloseDuplicatedTabsViaAPI() {
+  await Utils.setConfigs({
+    warnOnCloseTabs: false
+  });
+  let tabs = await Utils.createTabs({
+    A: { index: 1, url: 'about:blank?A' },
+    B: { index: 2, url: 'about:blank?B', openerTabId: 'A' },
+    C: { index: 3, url: 'about:blank?A#fragment' },
+    D: { index: 4, url: 'about:blank?D', openerTabId: 'C' }
+  }, { windowId: win.id });
+
+  const groups = await Utils.callAPI({
+    type:       TSTAPI.kFIND_DUPLICATED_TABS,
+    windowId:   win.id,
+    ignoreHash: true
+  });
+  is([[tabs.A.id, tabs.C.id]],
+     groups.map(group => group.tabs.map(tab => tab.id)),
+     'tabs with same URL must be found as duplicated');
+
+  await Utils.callAPI({
+    type:       TSTAPI.kCLOSE_DUPLICATED_TABS,
+    windowId:   win.id,
+    ignoreHash: true
+  });
+  await wait(500);
+  delete tabs.C;
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, D } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${D.id}`
+    ], Utils.treeStructure([A, B, D]),
+       'children of the closed duplicated tab must be moved under the kept tab');
+  }
+}
+
+export async function testTabDataViaAPI() {
+  const tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' }
+  }, { windowId: win.id });
+
+  await Utils.callAPI({
+    type: TSTAPI.kSET_TAB_DATA,
+    tab:  tabs.B.id,
+    data: { foo: 'bar', count: 1 }
+  });
+  await Utils.callAPI({
+    type: TSTAPI.kDELETE_TAB_DATA,
+    tab:  tabs.B.id,
+    keys: ['count']
+  });
+  is({ foo: 'bar' },
+     await Utils.callAPI({
+       type: TSTAPI.kGET_TAB_DATA,
+       tab:  tabs.B.id
+     }),
+     'only remaining data must be returned');
+
+  const tree = await Utils.callAPI({
+    type:        TSTAPI.kGET_TREE,
+    tab:         tabs.A.id,
+    withTabData: true
+  });
+  is([{}, { foo: 'bar' }],
+     [tree.data, tree.children[0].data],
+     'data must be included in the tree on request');
+}
@@ -0,0 +1,129 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import { is /*, ok, ng*/ } from '/tests/assert.js';
+//import Tab from '/common/Tab.js';
+
+import { wait } from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as TSTAPI from '/common/tst-api.js';
+import * as Utils from './utils.js';
+
+let win;
+
+export async function setup() {
+  win = await browser.windows.create();
+  await Utils.setConfigs({
+    warnOnCloseTabs: false
+  });
+}
+
+export async function teardown() {
+  await browser.windows.remove(win.id);
+  win = null;
+}
+
+async function prepareTree() {
+  let tabs = await Utils.createTabs({
+    A: { index: 1 },
+    B: { index: 2, openerTabId: 'A' },
+    C: { index: 3, openerTabId: 'B' },
+    D: { index: 4, openerTabId: 'A' },
+    E: { index: 5 }
+  }, { windowId: win.id });
+
+  tabs = await Utils.refreshTabs(tabs);
+  {
+    const { A, B, C, D, E } = tabs;
+    is([
+      `${A.id}`,
+      `${A.id} => ${B.id}`,
+      `${A.id} => ${B.id} => ${C.id}`,
+      `${A.id} => ${D.id}`,
+      `${E.id}`
+    ], Utils.treeStructure(Object.values(tabs)),
+       'tabs must be initialized with specified structure');
+  }
+  return tabs;
+}
+
+async function undoCloseTree() {
+  const tabIds = await browser.runtime.sendMessage({
+    type: Constants.kCOMMAND_UNDO_CLOSE_TREE
+  });
+  await wait(500);
+  return Utils.refreshTabs(tabIds.map(id => ({ id })));
+}
+
+async function assertRestoredTree() {
+  const restoredTabs = await undoCloseTree();
+  const [A, B, C, D] = restoredTabs;
+  is([
+    'about:blank?A',
+    'about:blank?B',
+    'about:blank?C',
+    'about:blank?D'
+  ], restoredTabs.map(tab => tab.url),
+     'all closed tabs must be restored in the original order');
+  is([
+    `${A.id}`,
+    `${A.id} => ${B.id}`,
+    `${A.id} => ${B.id} => ${C.id}`,
+    `${A.id} => ${D.id}`
+  ], Utils.treeStructure(restoredTabs),
+     'restored tabs must have the original structure');
+  return restoredTabs;
+}
+
+
+export async function testUndoCloseTree() {
+  const tabs = await prepareTree();
+  await Utils.callAPI({
+    type: TSTAPI.kCLOSE_TREE,
+    tab:  tabs.A.id
+  });
+  await wait(500);
+  is([tabs.E.id],
+     (await browser.tabs.query({ windowId: win.id })).slice(1).map(tab => tab.id),
+     'the whole tree must be closed');
+
+  await assertRestoredTree();
+}
+
+export async function testUndoCloseAllChildren() {
+  await Utils.setConfigs({
+    closeParentBehavior:         Constants.kCLOSE_PARENT_BEHAVIOR_CLOSE_ALL_CHILDREN,
+    parentTabBehaviorForChanges: Constants.kPARENT_TAB_BEHAVIOR_ALWAYS
+  });
+  const tabs = await prepareTree();
+  await browser.tabs.remove(tabs.A.id);
+  await wait(1000);
+  is([tabs.E.id],
+     (await browser.tabs.query({ windowId: win.id })).slice(1).map(tab => tab.id),
+     'all children must be closed with the parent');
+
+  await assertRestoredTree();
+}
+
+export async function testUndoRestoredTreeWithHistory() {
+  const tabs = await prepareTree();
+  await Utils.callAPI({
+    type: TSTAPI.kCLOSE_TREE,
+    tab:  tabs.A.id
+  });
+  await wait(500);
+  await assertRestoredTree();
+
+  await Utils.callAPI({
+    type:     TSTAPI.kUNDO_TREE_OPERATION,
+    windowId: win.id
+  });
+  await wait(500);
+  is([tabs.E.id],
+     (await browser.tabs.query({ windowId: win.id })).slice(1).map(tab => tab.id),
+     'restoring of the tree must be undone as a tree operation');
+}
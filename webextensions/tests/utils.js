@@ -180,3 +180,22 @@ export async function callAPI(message) {
     type: `treestyletab:api:${message.type}`
   }));
 }
+
+// Opens the sidebar page as a tab in the window, to test its contents.
+// The page handles the window as the current window.
+export async function openSidebar(windowId, options = {}) {
+  const tab = await browser.tabs.create({
+    windowId,
+    url:    '/sidebar/sidebar.html',
+    active: !!options.active
+  });
+  for (let i = 0; i < 100; i++) {
+    await wait(100);
+    const view = browser.extension.getViews({ type: 'tab', windowId })
+      .find(view => view.location.pathname == '/sidebar/sidebar.html');
+    if (view &&
+        !view.document.documentElement.classList.contains('initializing'))
+      return { tab, view };
+  }
+  throw new Error(`The sidebar is not initialized in the window ${windowId}`);
+}